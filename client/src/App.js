@@ -2,11 +2,13 @@ import React from 'react';
 import { BrowserRouter as Router, Route, Routes } from 'react-router-dom';
 import { SocketProvider } from './context/SocketContext';
 import { RoomProvider } from './context/RoomContext';
+import { AlgorithmProvider } from './context/AlgorithmContext';
 
 // Import pages
 import Home from './pages/Home';
 import Dashboard from './pages/Dashboard';
 import Room from './pages/Room';
+import Replay from './pages/Replay';
 import NotFound from './pages/NotFound';
 
 // Import components
@@ -15,21 +17,24 @@ import Navbar from './components/layout/Navbar';
 function App() {
   return (
     <SocketProvider>
-      <RoomProvider>
-        <Router>
-          <div className="App">
-            <Navbar />
-            <div className="container">
-              <Routes>
-                <Route path="/" element={<Home />} />
-                <Route path="/dashboard" element={<Dashboard />} />
-                <Route path="/room/:roomCode" element={<Room />} />
-                <Route path="*" element={<NotFound />} />
-              </Routes>
+      <AlgorithmProvider>
+        <RoomProvider>
+          <Router>
+            <div className="App">
+              <Navbar />
+              <div className="container">
+                <Routes>
+                  <Route path="/" element={<Home />} />
+                  <Route path="/dashboard" element={<Dashboard />} />
+                  <Route path="/room/:roomCode" element={<Room />} />
+                  <Route path="/replay/:raceId" element={<Replay />} />
+                  <Route path="*" element={<NotFound />} />
+                </Routes>
+              </div>
             </div>
-          </div>
-        </Router>
-      </RoomProvider>
+          </Router>
+        </RoomProvider>
+      </AlgorithmProvider>
     </SocketProvider>
   );
 }
@@ -0,0 +1,316 @@
+import { useContext, useMemo } from 'react';
+import AlgorithmContext from '../context/AlgorithmContext';
+import DatasetCanvas from './DatasetCanvas';
+import HeapTree from './HeapTree';
+import { DEFAULT_RENDERER } from '../constants/renderers';
+import { compareValues, formatValue, getBarHeights, getRanks, valueIdentity } from '../utils/datasetValues';
+
+// Largest heap drawn as a tree; past this its nodes are too close together to read
+const MAX_HEAP_TREE_SIZE = 1023;
+
+// Operation types that move values around, drawn with the swap color
+const PLACEMENT_OPERATIONS = [
+  'swap', 'shift', 'insert', 'merge_place', 'merge_copy', 'rotate_shift', 'rotate_place', 'write',
+  'place', 'gather', 'reverse', 'cycle_write', 'pile_pop'
+];
+
+// Operation types that move a value into auxiliary memory (buckets, piles, a tree or a shelf)
+const AUXILIARY_OPERATIONS = ['bucketing', 'pile_push', 'tree_insert', 'library_insert'];
+
+// Pick the bar color for a highlighted block based on the operation type
+const getOperationColor = ({ type, alternate }) => {
+  if (type === 'comparison' || type === 'access') {
+    return alternate ? 'var(--color-compare-alt)' : 'var(--color-compare)';
+  } else if (PLACEMENT_OPERATIONS.includes(type)) {
+    return alternate ? 'var(--color-swap-alt)' : 'var(--color-swap)';
+  } else if (type === 'shuffle') {
+    return 'var(--color-swap)'; // Use swap color for shuffle
+  } else if (type === 'removal') {
+    return 'var(--color-removal)'; // For Stalin sort
+  } else if (type === 'copy_to_aux') {
+    return 'var(--color-compare)'; // Use comparison color for copying to auxiliary array
+  } else if (AUXILIARY_OPERATIONS.includes(type)) {
+    return 'var(--color-bucket)';
+  }
+  return undefined;
+};
+
+// A sorting network's comparator round highlights every comparator at once:
+// pairs that exchanged their values in the swap color, the rest in the
+// compare color. Indices and values hold the comparators' pairs, flattened.
+const getComparatorColors = ({ indices, values }) => {
+  const colors = new Map();
+  for (let k = 0; k + 1 < indices.length; k += 2) {
+    const color = compareValues(values[k], values[k + 1]) > 0 ? 'var(--color-swap)' : 'var(--color-compare)';
+    colors.set(indices[k], color);
+    colors.set(indices[k + 1], color);
+  }
+  return colors;
+};
+
+// Shade blocks that share a key by their original order, lightest first, so
+// equal keys that end up out of order show the sort was unstable. Each group
+// of equal keys gets its own hue. Untagged values (a player's writes) aren't shaded.
+const getEqualKeyShades = (dataset, tags) => {
+  if (!dataset || !tags) return [];
+
+  // Original positions of the blocks with each key
+  const groups = new Map();
+  const keys = new Map(); // Identity -> key, for sorting the groups
+  dataset.forEach((value, index) => {
+    if (tags[index] === null || tags[index] === undefined) return;
+    const identity = valueIdentity(value);
+    if (!groups.has(identity)) groups.set(identity, []);
+    groups.get(identity).push(tags[index]);
+    keys.set(identity, value);
+  });
+
+  const duplicateKeys = [...groups.keys()]
+    .filter(identity => groups.get(identity).length > 1)
+    .sort((a, b) => compareValues(keys.get(a), keys.get(b)));
+  const shades = new Map(); // identity -> (tag -> color)
+  duplicateKeys.forEach((key, groupIndex) => {
+    const group = [...groups.get(key)].sort((a, b) => a - b);
+    const hue = Math.round(groupIndex * 137.5) % 360;
+    shades.set(key, new Map(group.map((tag, rank) => [
+      tag,
+      `hsl(${hue}, 70%, ${Math.round(75 - (rank / (group.length - 1)) * 45)}%)`
+    ])));
+  });
+
+  return dataset.map((value, index) => {
+    const identity = valueIdentity(value);
+    return shades.has(identity) ? shades.get(identity).get(tags[index]) : undefined;
+  });
+};
+
+// Regions an algorithm annotates (see annotate in server/utils/algorithmEngine.js),
+// in drawing order, with their legend labels and colors. Runs alternate shades
+// so neighbouring runs can be told apart; the merge window spans runs, so it's
+// an outline rather than a shade.
+const ANNOTATION_BANDS = [
+  { name: 'sorted', label: 'Sorted', color: 'var(--color-annotation-sorted)' },
+  { name: 'heap', label: 'Heap', color: 'var(--color-annotation-heap)' },
+  { name: 'runs', label: 'Runs', color: 'var(--color-annotation-run)', alternateColor: 'var(--color-annotation-run-alt)' },
+  { name: 'partition', label: 'Partition', color: 'var(--color-annotation-partition)' },
+  { name: 'merge', label: 'Merge window', color: 'var(--color-merge)', outline: true }
+];
+
+// Bands for an algorithm's annotated ranges, for the renderers to shade
+const getAnnotationBands = (annotations) => {
+  if (!annotations) return [];
+
+  const bands = [];
+  ANNOTATION_BANDS.forEach(({ name, color, alternateColor, outline = false }) => {
+    const ranges = name === 'runs' ? (annotations.runs || []) : (annotations[name] ? [annotations[name]] : []);
+    ranges.forEach(([start, end], index) => {
+      bands.push({ start, end, color: alternateColor && index % 2 === 1 ? alternateColor : color, outline });
+    });
+  });
+  return bands;
+};
+
+// Colors of the values the last operation touched, by index
+const getHighlights = (lastOperation, length) => {
+  const highlights = new Map();
+  if (!lastOperation) return highlights;
+
+  if (lastOperation.type === 'comparator_round') return getComparatorColors(lastOperation);
+
+  const color = getOperationColor(lastOperation);
+  if (!color) return highlights;
+
+  if (lastOperation.type === 'shuffle') {
+    // Highlight everything during a shuffle
+    for (let index = 0; index < length; index++) highlights.set(index, color);
+  } else if (lastOperation.type === 'reverse') {
+    for (let index = lastOperation.indices[0]; index <= lastOperation.indices[1]; index++) highlights.set(index, color);
+  } else {
+    lastOperation.indices.forEach(index => highlights.set(index, color));
+  }
+  return highlights;
+};
+
+// Describe an operation with its indices and values, e.g. "comparison [3, 4] = [12, 7]"
+const describeOperation = ({ type, indices = [], values = [] }) => {
+  if (type === 'comparator_round') {
+    const pairs = [];
+    for (let k = 0; k + 1 < indices.length; k += 2) {
+      pairs.push(`${indices[k]}↔${indices[k + 1]}`);
+    }
+    return `comparator round of ${pairs.length} [${pairs.join(', ')}]`;
+  }
+
+  const shownValues = values.filter(value => value !== undefined).map(formatValue);
+  return `${type.replace(/_/g, ' ')} [${indices.join(', ')}]${shownValues.length > 0 ? ` = [${shownValues.join(', ')}]` : ''}`;
+};
+
+// Dataset and stats for one algorithm - used by the live race and by replays.
+// renderer is the viewer's choice of view (see constants/renderers.js).
+// showOperation spells out the last operation (for step-by-step races).
+// name overrides the registry's display name (e.g. player algorithms in a replay).
+const AlgorithmBars = ({ algorithmType, name, progress, steps, renderer = DEFAULT_RENDERER, waitingText = 'Waiting for race to start...', showOperation = false }) => {
+  const { getAlgorithmDisplayName } = useContext(AlgorithmContext);
+  const displayName = name || getAlgorithmDisplayName(algorithmType);
+
+  // Datasets run to thousands of values, so work out what's drawn only when
+  // the dataset changes rather than every time the room re-renders
+  const visualizationDataset = progress ? progress.dataset : undefined;
+  const tags = progress && progress.tags ? progress.tags : null; // Original position of each value, for showing stability
+  const levels = useMemo(() => getBarHeights(visualizationDataset || []).map(height => height / 100), [visualizationDataset]);
+  const ranks = useMemo(() => getRanks(visualizationDataset || []), [visualizationDataset]);
+  const equalKeyShades = useMemo(() => getEqualKeyShades(visualizationDataset, tags), [visualizationDataset, tags]);
+
+  if (!progress) {
+    return (
+      <div className="algorithm-visualization waiting" data-algorithm={algorithmType}>
+        <h3>{displayName}</h3>
+        <div className="waiting-text">{waitingText}</div>
+      </div>
+    );
+  }
+
+  const {
+    comparisons = 0,
+    swaps = 0,
+    arrayAccesses = 0,
+    arrayWrites = 0,
+    finished = false,
+    lastOperation,
+    position,
+    stoppedEarly = false,
+    stable = null, // Observed stability once finished (null if it couldn't be seen)
+    error = null, // Set when the algorithm did not finish
+    disqualified = null, // Set when its output failed verification
+    heap = null, // The heap a heap sort is working on, drawn as a tree over the bars
+    annotations = null, // What the algorithm is working on (pivots, runs, partitions, ...) while running
+    comparisonsSaved = null // Heap sort variants, once finished: comparisons saved over binary Heap Sort
+  } = progress;
+
+  const status = error ? 'dnf' : (disqualified ? 'disqualified' : (finished ? 'finished' : 'racing'));
+
+  const dataset = visualizationDataset || [];
+  const showHeap = Boolean(heap) && !finished && Boolean(visualizationDataset) && visualizationDataset.length <= MAX_HEAP_TREE_SIZE;
+  const pivots = new Set(!finished && annotations && annotations.pivots ? annotations.pivots : []);
+
+  // Equal keys are shaded by original order; otherwise a finished algorithm
+  // uses a uniform success color. Highlights only show while running.
+  const scene = {
+    levels,
+    ranks,
+    labels: dataset.length <= 15 ? dataset.map(formatValue) : null,
+    textValues: dataset.length > 0 && typeof dataset[0] !== 'number',
+    highlights: finished ? new Map() : getHighlights(lastOperation, dataset.length),
+    shades: dataset.map((value, index) => equalKeyShades[index] || (status === 'finished' ? 'var(--color-success-bars)' : undefined)),
+    bands: finished ? [] : getAnnotationBands(annotations),
+    pivots
+  };
+  const legend = !finished && annotations
+    ? [
+      ...ANNOTATION_BANDS.filter(({ name }) => annotations[name] && (name !== 'runs' || annotations.runs.length > 0)),
+      ...(pivots.size > 0 ? [{ name: 'pivot', label: pivots.size > 1 ? 'Pivots' : 'Pivot' }] : [])
+    ]
+    : [];
+
+  return (
+    <div
+      className={`algorithm-visualization ${status} ${lastOperation ? 'last-updated' : ''} ${stoppedEarly ? 'stopped-early' : ''} ${showHeap ? 'with-heap' : ''}`}
+      data-algorithm={algorithmType}
+    >
+      <h3>{displayName}</h3>
+
+      <div className="visualization-stats">
+        <div className="stat">
+          <span>Steps:</span>
+          <span>{steps}</span>
+        </div>
+        <div className="stat">
+          <span>Comparisons:</span>
+          <span>{comparisons}</span>
+        </div>
+        <div className="stat">
+          <span>Swaps:</span>
+          <span>{swaps}</span>
+        </div>
+        <div className="stat">
+          <span>Accesses:</span>
+          <span>{arrayAccesses || 0}</span>
+        </div>
+        <div className="stat">
+          <span>Writes:</span>
+          <span>{arrayWrites || 0}</span>
+        </div>
+        {(status === 'finished' || (status === 'disqualified' && position)) && (
+          <div className="position">
+            <span>Position:</span>
+            <span>{position}</span>
+          </div>
+        )}
+        {stoppedEarly && (
+          <div className="stopped-early-badge">
+            <span>⚠️ Stopped</span>
+          </div>
+        )}
+        {error && (
+          <div className="dnf-badge">
+            <span>✖ DNF</span>
+          </div>
+        )}
+        {disqualified && (
+          <div className="disqualified-badge">
+            <span>⛔ DQ</span>
+          </div>
+        )}
+        {!finished && annotations && annotations.digit && (
+          <div className="stat" title="The radix digit being sorted by, counting from the least significant">
+            <span>Digit:</span>
+            <span>{annotations.digit.position + 1} of {annotations.digit.count}</span>
+          </div>
+        )}
+        {finished && comparisonsSaved !== null && (
+          <div className="stat" title="Comparisons saved over a binary Heap Sort of the same input (negative if it made more)">
+            <span>Saved:</span>
+            <span>{comparisonsSaved}</span>
+          </div>
+        )}
+        {finished && stable !== null && (
+          <div className={`stability-badge ${stable ? 'stable' : 'unstable'}`} title="Whether equal keys kept their original order">
+            <span>{stable ? 'Stable' : 'Unstable'}</span>
+          </div>
+        )}
+      </div>
+
+      {error && <div className="dnf-reason">{error}</div>}
+      {disqualified && <div className="dnf-reason">{disqualified}</div>}
+
+      {showOperation && (
+        <div className="operation-detail">
+          {finished ? 'Done' : lastOperation ? describeOperation(lastOperation) : 'No operation yet'}
+        </div>
+      )}
+
+      {legend.length > 0 && (
+        <div className="annotation-legend">
+          {legend.map(({ name, label }) => (
+            <span key={name} className={`annotation-key ${name}`}>{label}</span>
+          ))}
+        </div>
+      )}
+
+      {showHeap && (
+        <HeapTree
+          heap={heap}
+          length={visualizationDataset.length}
+          lastOperation={lastOperation}
+          activeColor={lastOperation ? getOperationColor(lastOperation) : undefined}
+        />
+      )}
+
+      <div className="data-blocks">
+        <DatasetCanvas renderer={renderer} scene={scene} describe={(index) => formatValue(dataset[index])} />
+      </div>
+    </div>
+  );
+};
+
+export default AlgorithmBars;
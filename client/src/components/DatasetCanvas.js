@@ -0,0 +1,41 @@
+import { useEffect, useRef, useState } from 'react';
+import { drawScene, indexAtPoint } from '../utils/renderers';
+
+// A dataset drawn on a canvas with the viewer's renderer. Redraws whenever
+// the scene changes or the canvas is resized, keeping the last frame so only
+// what changed since is redrawn; hovering shows the value under the pointer,
+// as describe(index) puts it.
+const DatasetCanvas = ({ renderer, scene, describe }) => {
+  const canvasRef = useRef(null);
+  const frameRef = useRef(null);
+  const [size, setSize] = useState(null);
+
+  // Track the canvas's box, since the drawing is sized to it
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(() => {
+      setSize({ width: canvas.clientWidth, height: canvas.clientHeight });
+    });
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (canvasRef.current) {
+      frameRef.current = drawScene(canvasRef.current, renderer, scene, frameRef.current);
+    }
+  }, [renderer, scene, size]);
+
+  const handleMouseMove = (e) => {
+    const canvas = e.currentTarget;
+    const box = canvas.getBoundingClientRect();
+    const index = indexAtPoint(renderer, scene.levels.length, e.clientX - box.left, e.clientY - box.top, box.width, box.height);
+    canvas.title = index === null ? '' : describe(index);
+  };
+
+  return <canvas ref={canvasRef} className="dataset-canvas" onMouseMove={handleMouseMove} />;
+};
+
+export default DatasetCanvas;
@@ -0,0 +1,42 @@
+import { getHeapDepths, getHeapParents } from '../utils/heapLayout';
+
+// A heap sort's heap drawn as a tree over the bars: every element sits above
+// its own bar, one row per level, with a line up to its parent. The elements
+// of the last operation and the edges between them (a sift step) are drawn
+// in the operation's color.
+const HeapTree = ({ heap, length, lastOperation, activeColor }) => {
+  const parents = getHeapParents(heap);
+  const depths = getHeapDepths(parents);
+  const levels = Math.max(...depths) + 1;
+  const active = new Set(lastOperation ? lastOperation.indices : []);
+
+  // Centers of each element's bar and row, in viewBox units
+  const x = (index) => index + 0.5;
+  const y = (index) => depths[index] + 0.5;
+
+  return (
+    <svg className="heap-tree" viewBox={`0 0 ${length} ${levels}`} preserveAspectRatio="none">
+      {parents.map((parent, index) => parent >= 0 && (
+        <line
+          key={`edge-${index}`}
+          className="heap-edge"
+          x1={x(parent)} y1={y(parent)} x2={x(index)} y2={y(index)}
+          vectorEffect="non-scaling-stroke"
+          style={active.has(index) && active.has(parent) ? { stroke: activeColor } : undefined}
+        />
+      ))}
+      {parents.map((parent, index) => (
+        // A zero-length line with round caps, so nodes stay round however the tree is stretched
+        <line
+          key={`node-${index}`}
+          className="heap-node"
+          x1={x(index)} y1={y(index)} x2={x(index)} y2={y(index)}
+          vectorEffect="non-scaling-stroke"
+          style={active.has(index) ? { stroke: activeColor } : undefined}
+        />
+      ))}
+    </svg>
+  );
+};
+
+export default HeapTree;
@@ -0,0 +1,32 @@
+import { useState } from 'react';
+import { DEFAULT_RENDERER, RENDERERS, RENDERER_STORAGE_KEY } from '../constants/renderers';
+
+// The viewer's renderer, remembered between visits. Every viewer picks their
+// own; it isn't a room setting.
+export const useRenderer = () => {
+  const [renderer, setRenderer] = useState(() => {
+    const saved = localStorage.getItem(RENDERER_STORAGE_KEY);
+    return RENDERERS[saved] ? saved : DEFAULT_RENDERER;
+  });
+
+  const chooseRenderer = (value) => {
+    localStorage.setItem(RENDERER_STORAGE_KEY, value);
+    setRenderer(value);
+  };
+
+  return [renderer, chooseRenderer];
+};
+
+// Select for how datasets are drawn
+const RendererPicker = ({ renderer, onChange }) => (
+  <label className="renderer-picker">
+    <span>View:</span>
+    <select value={renderer} onChange={(e) => onChange(e.target.value)}>
+      {Object.entries(RENDERERS).map(([id, name]) => (
+        <option key={id} value={id}>{name}</option>
+      ))}
+    </select>
+  </label>
+);
+
+export default RendererPicker;
@@ -0,0 +1,33 @@
+// Operation cost presets - keep in sync with server/utils/costModel.js
+export const COST_PRESETS = {
+  classic: {
+    name: 'Classic (one step per operation)',
+    weights: { operation: 1, comparison: 0, swap: 0, read: 0, write: 0 }
+  },
+  uniform: {
+    name: 'Uniform',
+    weights: { operation: 0, comparison: 1, swap: 1, read: 1, write: 1 }
+  },
+  expensiveComparisons: {
+    name: 'Expensive comparisons (string keys)',
+    weights: { operation: 0, comparison: 10, swap: 1, read: 1, write: 1 }
+  },
+  expensiveWrites: {
+    name: 'Expensive writes (flash memory)',
+    weights: { operation: 0, comparison: 1, swap: 1, read: 1, write: 10 }
+  }
+};
+
+// Labels for each weight when editing a custom cost model
+export const COST_WEIGHT_LABELS = {
+  operation: 'Per operation',
+  comparison: 'Comparison',
+  swap: 'Swap',
+  read: 'Read',
+  write: 'Write'
+};
+
+export const DEFAULT_COST_MODEL = {
+  preset: 'classic',
+  weights: { ...COST_PRESETS.classic.weights }
+};
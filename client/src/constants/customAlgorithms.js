@@ -0,0 +1,18 @@
+// Limits on player-submitted algorithms - keep in sync with server/utils/sandbox.js
+// and server/utils/customAlgorithms.js
+export const MAX_CODE_LENGTH = 20000;
+export const MAX_NAME_LENGTH = 40;
+
+// Starting point shown in the editor
+export const CUSTOM_ALGORITHM_TEMPLATE = `// Sort the array in place. You can only use:
+//   compare(i, j) - negative, zero or positive, like a sort comparator
+//   swap(i, j)    - swap the values at i and j
+//   access(i)     - read the value at i
+//   write(i, v)   - write the number v at i (integer datasets only)
+// n is the number of elements. The code runs synchronously (no await).
+for (let i = 1; i < n; i++) {
+  for (let j = i; j > 0 && compare(j - 1, j) > 0; j--) {
+    swap(j - 1, j);
+  }
+}
+`;
@@ -0,0 +1,11 @@
+// How big a race's dataset may be - keep in sync with server/utils/datasetLimits.js
+export const DATASET_LIMITS = {
+  minSize: 5,
+  maxSize: 10000,
+  maxRaceValues: 30000 // Across every algorithm in the race
+};
+
+// Largest dataset a race of the given number of algorithms may sort
+export const maxDatasetSizeFor = (algorithmCount) => (
+  Math.max(DATASET_LIMITS.minSize, Math.min(DATASET_LIMITS.maxSize, Math.floor(DATASET_LIMITS.maxRaceValues / Math.max(1, algorithmCount))))
+);
@@ -0,0 +1,24 @@
+// Dataset shape presets - keep in sync with server/utils/datasetShapes.js
+export const DATASET_SHAPES = {
+  random: 'Random',
+  sorted: 'Already sorted',
+  reversed: 'Reversed',
+  nearlySorted: 'Nearly sorted (a few swaps)',
+  fewUnique: 'Few unique values',
+  sawtooth: 'Sawtooth',
+  organPipe: 'Organ pipe',
+  gaussian: 'Gaussian (bell curve, integers only)',
+  sortedRuns: 'Already-sorted runs'
+};
+
+export const DEFAULT_DATASET_SHAPE = 'random';
+
+// Limits for a host-supplied dataset - keep in sync with server/utils/customDataset.js
+// (the size limits are the same as DATASET_LIMITS in ./datasetLimits.js)
+export const CUSTOM_DATASET_LIMITS = {
+  minSize: 5,
+  maxSize: 10000,
+  minValue: 1,
+  maxValue: 5000,
+  maxTextLength: 100000
+};
@@ -0,0 +1,8 @@
+// Dataset types - keep in sync with server/utils/datasetTypes.js
+export const DATASET_TYPES = {
+  integers: 'Integers',
+  strings: 'Strings (lexicographic)',
+  records: 'Records (name, then score)'
+};
+
+export const DEFAULT_DATASET_TYPE = 'integers';
@@ -0,0 +1,10 @@
+// Quick Sort pivot strategies - keep in sync with server/utils/pivotStrategies.js
+export const PIVOT_STRATEGIES = {
+  first: 'First element',
+  last: 'Last element',
+  random: 'Random element',
+  medianOfThree: 'Median of three',
+  ninther: 'Ninther (median of three medians)'
+};
+
+export const DEFAULT_PIVOT_STRATEGY = 'last';
@@ -0,0 +1,7 @@
+// Limits that mark runaway algorithms DNF - keep in sync with server/utils/raceLimits.js
+export const RACE_LIMITS = {
+  defaultStepBudget: 2000000, // Also the most operations a player sort may perform (see server/utils/sandbox.js)
+  maxStepBudget: 100000000,
+  defaultTimeLimit: 600, // seconds
+  maxTimeLimit: 3600
+};
@@ -0,0 +1,2 @@
+// Layout of race_update messages this client understands - keep in sync with server/utils/raceUpdates.js
+export const RACE_UPDATE_VERSION = 1;
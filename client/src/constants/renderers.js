@@ -0,0 +1,14 @@
+// Ways to draw a dataset, picked by each viewer (see utils/renderers.js)
+export const RENDERERS = {
+  bars: 'Bar chart',
+  scatter: 'Dot plot',
+  strip: 'Color strip',
+  wheel: 'Color wheel',
+  spiral: 'Spiral',
+  disparity: 'Disparity dots'
+};
+
+export const DEFAULT_RENDERER = 'bars';
+
+// Where the viewer's choice is remembered between visits
+export const RENDERER_STORAGE_KEY = 'renderer';
@@ -0,0 +1,81 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import SocketContext from './SocketContext';
+
+const AlgorithmContext = createContext();
+
+// Name shown for an algorithm the server hasn't described (yet)
+const getFallbackName = (algorithmId) => {
+  return algorithmId.charAt(0).toUpperCase() + algorithmId.slice(1) + ' Sort';
+};
+
+// Holds the server's algorithm registry (see server/utils/algorithmEngine.js):
+// the list of algorithms that can be raced with their names, families and complexity,
+// plus the algorithms players submitted in the current room
+export const AlgorithmProvider = ({ children }) => {
+  const { socket, connected, getAlgorithms } = useContext(SocketContext);
+  const [algorithmList, setAlgorithmList] = useState([]);
+  const [customAlgorithmList, setCustomAlgorithmList] = useState([]);
+
+  // Fetch the registry whenever the connection is (re)established
+  useEffect(() => {
+    if (!socket || !connected) return;
+
+    const handleAlgorithmsList = ({ algorithms }) => {
+      setAlgorithmList(algorithms);
+    };
+
+    // Sent on joining a room and whenever a player submits or removes an algorithm
+    const handleCustomAlgorithms = ({ customAlgorithms }) => {
+      setCustomAlgorithmList(customAlgorithms);
+    };
+
+    socket.on('algorithms_list', handleAlgorithmsList);
+    socket.on('custom_algorithms_updated', handleCustomAlgorithms);
+    getAlgorithms();
+
+    return () => {
+      socket.off('algorithms_list', handleAlgorithmsList);
+      socket.off('custom_algorithms_updated', handleCustomAlgorithms);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [socket, connected]);
+
+  // Player algorithms are listed after the built-in ones
+  const algorithmsById = useMemo(() => {
+    const customEntries = customAlgorithmList.map((algorithm, index) => ({
+      ...algorithm,
+      family: 'custom',
+      order: algorithmList.length + index
+    }));
+    return Object.fromEntries([...algorithmList, ...customEntries].map(algorithm => [algorithm.id, algorithm]));
+  }, [algorithmList, customAlgorithmList]);
+
+  // Get the display name for an algorithm
+  const getAlgorithmDisplayName = useCallback((algorithmId) => {
+    const algorithm = algorithmsById[algorithmId];
+    return algorithm ? algorithm.name : getFallbackName(algorithmId);
+  }, [algorithmsById]);
+
+  // Sort comparator putting algorithm ids in the registry's display order
+  const compareAlgorithms = useCallback((a, b) => {
+    const orderA = algorithmsById[a] ? algorithmsById[a].order : Infinity;
+    const orderB = algorithmsById[b] ? algorithmsById[b].order : Infinity;
+    return orderA === orderB ? a.localeCompare(b) : orderA - orderB;
+  }, [algorithmsById]);
+
+  return (
+    <AlgorithmContext.Provider
+      value={{
+        algorithmList,
+        customAlgorithmList,
+        algorithmsById,
+        getAlgorithmDisplayName,
+        compareAlgorithms
+      }}
+    >
+      {children}
+    </AlgorithmContext.Provider>
+  );
+};
+
+export default AlgorithmContext;
@@ -1,5 +1,11 @@
-import { createContext, useState, useContext, useEffect } from 'react';
+import { createContext, useState, useContext, useEffect, useRef } from 'react';
 import SocketContext from './SocketContext';
+import { DEFAULT_COST_MODEL } from '../constants/costModels';
+import { DEFAULT_DATASET_SHAPE } from '../constants/datasetShapes';
+import { DEFAULT_DATASET_TYPE } from '../constants/datasetTypes';
+import { DEFAULT_PIVOT_STRATEGY } from '../constants/pivotStrategies';
+import { RACE_LIMITS } from '../constants/raceLimits';
+import { applyRaceUpdate } from '../utils/raceUpdates';
 
 const RoomContext = createContext();
 
@@ -40,10 +46,23 @@ export const RoomProvider = ({ children }) => {
   const [settings, setSettings] = useState({
     datasetSize: 20,
     allowDuplicates: false,
+    datasetType: DEFAULT_DATASET_TYPE,
+    datasetShape: DEFAULT_DATASET_SHAPE,
+    customDataset: null,
     valueRange: { min: 1, max: 1000 },
-    stepSpeed: 250
+    stepSpeed: 250,
+    executionMode: 'realtime',
+    costModel: DEFAULT_COST_MODEL,
+    pivotStrategy: DEFAULT_PIVOT_STRATEGY,
+    stepBudget: RACE_LIMITS.defaultStepBudget,
+    timeLimit: RACE_LIMITS.defaultTimeLimit,
+    disqualifiedCanWin: false
   });
   const [roomStatus, setRoomStatus] = useState('waiting'); // waiting, racing, finished
+  // The race_update stream as of the last message applied (see utils/raceUpdates.js),
+  // and whether a snapshot has been asked for after a missed message
+  const raceStreamRef = useRef(null);
+  const snapshotRequestedRef = useRef(false);
   const [raceData, setRaceData] = useState(null);
   const [userBet, setUserBet] = useState(null);
   const [allBets, setAllBets] = useState([]);
@@ -137,9 +156,14 @@ export const RoomProvider = ({ children }) => {
     });
 
     // Race started event
-    socket.on('race_started', ({ dataset }) => {
+    socket.on('race_started', ({ dataset, seed, executionMode, snapshot }) => {
       setRoomStatus('racing');
       
+      // The race_update stream starts from the snapshot sent with the race
+      const started = snapshot ? applyRaceUpdate(null, snapshot) : null;
+      raceStreamRef.current = started ? started.stream : null;
+      snapshotRequestedRef.current = false;
+      
       // First, clear any existing race data to prevent state contamination
       setRaceData(null);
       
@@ -149,7 +173,9 @@ export const RoomProvider = ({ children }) => {
         // This prevents issues with null prevData and visualization jitter
         setRaceData({
           dataset: [...dataset], 
-          progress: {}, // Empty progress object for all algorithms
+          seed,
+          executionMode,
+          progress: started ? started.updates : {}, // Every algorithm's starting state
           currentStep: 0,
           endedEarly: false,
           cleanStart: true // Mark this as a clean start
@@ -160,13 +186,30 @@ export const RoomProvider = ({ children }) => {
     });
 
     // Race update event
-    socket.on('race_update', ({ updates }) => {
+    socket.on('race_update', (message) => {
       // Skip updates during transition periods
       if (socket._ignoreRaceEvents) {
         console.log('Ignoring race update during transition');
         return;
       }
       
+      // Most updates only carry the writes since the previous one
+      const applied = applyRaceUpdate(raceStreamRef.current, message);
+      if (!applied) {
+        // A message was missed, so the writes can't be applied: ask for the
+        // whole state once and skip updates until it arrives
+        if (!snapshotRequestedRef.current) {
+          console.log(`Race update ${message.sequence} out of sequence, requesting a snapshot`);
+          snapshotRequestedRef.current = true;
+          socket.emit('request_race_snapshot', { roomCode: message.roomCode });
+        }
+        return;
+      }
+      
+      raceStreamRef.current = applied.stream;
+      snapshotRequestedRef.current = false;
+      const { updates } = applied;
+      
       setRaceData((prevData) => {
         // If prevData is null, we can't process the update
         if (!prevData) return null;
@@ -253,7 +296,7 @@ export const RoomProvider = ({ children }) => {
     });
 
     // Algorithm finished event
-    socket.on('algorithm_finished', ({ type, position, steps, comparisons, swaps }) => {
+    socket.on('algorithm_finished', ({ type, position, steps, comparisons, swaps, disqualificationReason, stable, comparisonsSaved }) => {
       // Skip updates during transition periods
       if (socket._ignoreRaceEvents) {
         console.log('Ignoring algorithm finished during transition');
@@ -276,6 +319,9 @@ export const RoomProvider = ({ children }) => {
               comparisons,
               swaps,
               position,
+              disqualified: disqualificationReason,
+              stable,
+              comparisonsSaved,
               finished: true
             };
             
@@ -290,6 +336,9 @@ export const RoomProvider = ({ children }) => {
             steps,
             comparisons,
             swaps,
+            disqualified: disqualificationReason,
+            stable,
+            comparisonsSaved,
             finished: true
           };
           
@@ -301,6 +350,30 @@ export const RoomProvider = ({ children }) => {
       });
     });
 
+    // Algorithm did not finish (its code failed)
+    socket.on('algorithm_dnf', ({ type, reason, steps }) => {
+      // Skip updates during transition periods
+      if (socket._ignoreRaceEvents) {
+        console.log('Ignoring algorithm dnf during transition');
+        return;
+      }
+      
+      setRaceData((prevData) => {
+        if (!prevData) return null;
+        
+        const newProgress = { ...(prevData.progress || {}) };
+        newProgress[type] = {
+          dataset: [...prevData.dataset],
+          ...newProgress[type],
+          currentStep: steps,
+          error: reason,
+          finished: true
+        };
+        
+        return { ...prevData, progress: newProgress };
+      });
+    });
+
     // Algorithm stopped event (when a race is ended early)
     socket.on('algorithm_stopped', ({ type, position, steps, comparisons, swaps }) => {
       // Skip updates during transition periods
@@ -382,6 +455,15 @@ export const RoomProvider = ({ children }) => {
       });
     });
 
+    // Race paused/resumed by the host
+    socket.on('race_paused', ({ pausedBy }) => {
+      setRaceData((prevData) => prevData ? { ...prevData, paused: true, pausedBy } : prevData);
+    });
+
+    socket.on('race_resumed', () => {
+      setRaceData((prevData) => prevData ? { ...prevData, paused: false, pausedBy: null } : prevData);
+    });
+
     // Add event listener for race speed updates
     socket.on('race_speed_updated', (data) => {
       // Handle race speed updates...
@@ -422,7 +504,7 @@ export const RoomProvider = ({ children }) => {
     });
 
     // Race results event
-    socket.on('race_results', ({ results: raceResults, winnerAlgorithm, endedEarly, leaderboard: leaderboardData }) => {
+    socket.on('race_results', ({ results: raceResults, winnerAlgorithm, winnerAlgorithms, endedEarly, seed, raceId, leaderboard: leaderboardData }) => {
       // Skip updates during transition periods
       if (socket._ignoreRaceEvents) {
         console.log('Ignoring race results during transition');
@@ -439,8 +521,11 @@ export const RoomProvider = ({ children }) => {
       setRoomStatus('finished');
       setResults({
         winnerAlgorithm,
+        winnerAlgorithms: winnerAlgorithms || [winnerAlgorithm],
         results: raceResults,
-        endedEarly: endedEarly || false
+        endedEarly: endedEarly || false,
+        seed,
+        raceId
       });
 
       // Update leaderboard if provided
@@ -483,10 +568,19 @@ export const RoomProvider = ({ children }) => {
     socket.on('race_status', (status) => {
       setRoomStatus(status.status);
       setAlgorithms(status.algorithms);
+      
+      // Joining mid-race picks up the race_update stream from its snapshot
+      const joined = status.snapshot ? applyRaceUpdate(null, status.snapshot) : null;
+      raceStreamRef.current = joined ? joined.stream : null;
+      snapshotRequestedRef.current = false;
+      
       if (status.dataset) {
         setRaceData({
           dataset: status.dataset,
-          progress: {},
+          seed: status.seed,
+          executionMode: status.executionMode,
+          paused: status.paused || false,
+          progress: joined ? joined.updates : {},
           currentStep: 0
         });
       }
@@ -574,6 +668,7 @@ export const RoomProvider = ({ children }) => {
         socket.off('race_results');
         socket.off('algorithm_finished');
         socket.off('algorithm_stopped');
+        socket.off('algorithm_dnf');
         socket.off('race_ended_early');
         socket.off('bet_placed');
         socket.off('bet_confirmed');
@@ -585,6 +680,8 @@ export const RoomProvider = ({ children }) => {
         socket.off('room_state_reset');
         socket.off('reset_room_state');
         socket.off('race_speed_updated');
+        socket.off('race_paused');
+        socket.off('race_resumed');
         socket.off('leaderboard_data');
         socket.off('leaderboard_update');
       }
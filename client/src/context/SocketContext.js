@@ -218,10 +218,10 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
-  // Start a race
-  const startRace = (roomCode) => {
+  // Start a race (pass a seed to re-run an earlier race)
+  const startRace = (roomCode, seed) => {
     if (socket && connected) {
-      socket.emit('start_race', { roomCode });
+      socket.emit('start_race', { roomCode, seed });
     }
   };
 
@@ -232,6 +232,13 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
+  // Set an exact dataset for the room's races (null goes back to generating one)
+  const setDataset = (roomCode, dataset) => {
+    if (socket && connected) {
+      socket.emit('set_dataset', { roomCode, dataset });
+    }
+  };
+
   // Select algorithms
   const selectAlgorithms = (roomCode, algorithms) => {
     if (socket && connected) {
@@ -253,6 +260,27 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
+  // Pause a live race
+  const pauseRace = (roomCode) => {
+    if (socket && connected) {
+      socket.emit('pause_race', { roomCode });
+    }
+  };
+
+  // Resume a paused race
+  const resumeRace = (roomCode) => {
+    if (socket && connected) {
+      socket.emit('resume_race', { roomCode });
+    }
+  };
+
+  // Advance a step-mode race by one operation
+  const stepRace = (roomCode) => {
+    if (socket && connected) {
+      socket.emit('step_race', { roomCode });
+    }
+  };
+
   // Get leaderboard for a room
   const getLeaderboard = (roomCode) => {
     if (socket && connected) {
@@ -263,6 +291,41 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
+  // Request a finished race's dataset and operation log headers for replay
+  const getRaceReplay = (raceId) => {
+    if (socket && connected) {
+      socket.emit('get_race_replay', { raceId });
+    }
+  };
+
+  // Request a page of one algorithm's operation log, from entry start on
+  const getReplayPage = (raceId, algorithm, start) => {
+    if (socket && connected) {
+      socket.emit('get_replay_page', { raceId, algorithm, start });
+    }
+  };
+
+  // Submit (or replace) the player's own sorting algorithm in a room
+  const submitAlgorithm = (roomCode, name, code) => {
+    if (socket && connected) {
+      socket.emit('submit_algorithm', { roomCode, name, code });
+    }
+  };
+
+  // Remove a player-submitted algorithm from a room
+  const removeAlgorithm = (roomCode, algorithmId) => {
+    if (socket && connected) {
+      socket.emit('remove_algorithm', { roomCode, algorithmId });
+    }
+  };
+
+  // Get the algorithms the server can race
+  const getAlgorithms = () => {
+    if (socket && connected) {
+      socket.emit('get_algorithms');
+    }
+  };
+
   // Leave a room
   const leaveRoom = (roomCode) => {
     if (socket && connected) {
@@ -288,10 +351,19 @@ export const SocketProvider = ({ children }) => {
         placeBet,
         startRace,
         updateSettings,
+        setDataset,
         selectAlgorithms,
         resetRoomState,
         endRaceEarly,
+        pauseRace,
+        resumeRace,
+        stepRace,
         getLeaderboard,
+        getRaceReplay,
+        getReplayPage,
+        getAlgorithms,
+        submitAlgorithm,
+        removeAlgorithm,
         leaveRoom,
         leaveCurrentRoom
       }}
@@ -2,32 +2,13 @@ import { useState, useContext, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import SocketContext from '../context/SocketContext';
 import RoomContext from '../context/RoomContext';
+import AlgorithmContext from '../context/AlgorithmContext';
 import { AiOutlineSwap } from 'react-icons/ai';
 import { FiRefreshCw, FiEye, FiEdit, FiClock } from 'react-icons/fi';
 
-// Define proper display names for each algorithm
-const ALGORITHM_NAMES = {
-  'bubble': 'Bubble Sort',
-  'insertion': 'Insertion Sort',
-  'selection': 'Selection Sort',
-  'inplacestable': 'In-Place Stable Sort',
-  'merge': 'Merge Sort',
-  'quick': 'Quick Sort',
-  'heap': 'Heap Sort',
-  'bogo': 'Bogo Sort',
-  'stalin': 'Stalin Sort',
-  'timsort': 'TimSort',
-  'powersort': 'PowerSort',
-  'gnome': 'Gnome Sort',
-  'radix': 'Radix Sort'
-};
-
-// Helper function to get the display name for an algorithm
-const getAlgorithmDisplayName = (algorithmId) => {
-  return ALGORITHM_NAMES[algorithmId] || algorithmId.charAt(0).toUpperCase() + algorithmId.slice(1) + ' Sort';
-};
-
 const RaceHistoryItem = ({ race }) => {
+  const { getAlgorithmDisplayName } = useContext(AlgorithmContext);
+  
   // Add array accesses and writes to the displayable stats
   const resultsMetrics = [
     { label: 'Comparisons', icon: <AiOutlineSwap /> },
@@ -0,0 +1,296 @@
+import { useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import SocketContext from '../context/SocketContext';
+import AlgorithmBars from '../components/AlgorithmBars';
+import RendererPicker, { useRenderer } from '../components/RendererPicker';
+import AlgorithmContext from '../context/AlgorithmContext';
+import { appendEntries, createTimeline, getStepAtTime, getTimelineState } from '../utils/replayTimeline';
+
+// Playback speeds relative to the race's own step speed (ms per unit of cost)
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16];
+
+// How often playback advances (in ms); fast races advance several time units per tick
+const PLAYBACK_TICK = 50;
+
+const Replay = () => {
+  const { raceId } = useParams();
+  const { socket, connected, getRaceReplay, getReplayPage } = useContext(SocketContext);
+  const { getAlgorithmDisplayName, compareAlgorithms } = useContext(AlgorithmContext);
+
+  const [race, setRace] = useState(null);
+  const [timelines, setTimelines] = useState(null); // Set once every log has loaded
+  const [loadedSteps, setLoadedSteps] = useState(0);
+  const [error, setError] = useState(null);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [renderer, setRenderer] = useRenderer();
+  const [speed, setSpeed] = useState(1);
+
+  // Fractional time carried between playback ticks
+  const timeRemainderRef = useRef(0);
+
+  // Each algorithm's timeline while its log loads a page at a time
+  const loadingTimelinesRef = useRef({});
+
+  // Fetch the race once connected, then each algorithm's log page by page
+  useEffect(() => {
+    if (!socket || !connected) return;
+
+    // Show the race once no log has entries left to load
+    const finishIfLoaded = () => {
+      const loading = loadingTimelinesRef.current;
+      const done = Object.values(loading).every(timeline => timeline.length >= timeline.expectedLength);
+      if (done) {
+        setTimelines({ ...loading });
+      }
+    };
+
+    const handleReplay = ({ race: replayRace }) => {
+      if (replayRace.raceId !== raceId) return;
+
+      const loading = {};
+      for (const [type, record] of Object.entries(replayRace.algorithms)) {
+        loading[type] = createTimeline(replayRace.dataset, record.log);
+        if (record.log.length > 0) {
+          getReplayPage(raceId, type, 0);
+        }
+      }
+      loadingTimelinesRef.current = loading;
+
+      setRace(replayRace);
+      setTimelines(null);
+      setLoadedSteps(0);
+      setError(null);
+      setTime(0);
+      finishIfLoaded();
+    };
+
+    const handlePage = ({ raceId: pageRaceId, algorithm, start, entries }) => {
+      const timeline = loadingTimelinesRef.current[algorithm];
+      if (pageRaceId !== raceId || !timeline || start !== timeline.length) return;
+
+      appendEntries(timeline, entries);
+      setLoadedSteps(prevSteps => prevSteps + entries.length);
+
+      if (timeline.length < timeline.expectedLength && entries.length > 0) {
+        getReplayPage(raceId, algorithm, timeline.length);
+      } else {
+        // A log that came up short ends where it stopped
+        timeline.expectedLength = timeline.length;
+        finishIfLoaded();
+      }
+    };
+
+    const handleError = ({ message }) => {
+      setError(message);
+    };
+
+    socket.on('race_replay', handleReplay);
+    socket.on('replay_page', handlePage);
+    socket.on('replay_error', handleError);
+
+    getRaceReplay(raceId);
+
+    return () => {
+      socket.off('race_replay', handleReplay);
+      socket.off('replay_page', handlePage);
+      socket.off('replay_error', handleError);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [socket, connected, raceId]);
+
+  // The replay runs until the slowest algorithm's last operation has played out
+  const totalTime = Math.max(0, ...Object.values(timelines || {}).map(timeline => timeline.endTime));
+
+  // Every moment something changes on screen: an operation appears just after
+  // it starts, and an algorithm finishes at its end time
+  const changeTimes = useMemo(() => {
+    const times = new Set();
+    for (const timeline of Object.values(timelines || {})) {
+      timeline.startTimes.forEach(startTime => times.add(Math.min(startTime + 1, timeline.endTime)));
+      times.add(timeline.endTime);
+    }
+    return [...times].sort((a, b) => a - b);
+  }, [timelines]);
+
+  // Advance playback at the chosen speed
+  useEffect(() => {
+    if (!playing || !timelines) return;
+
+    const stepSpeed = Math.max(race.stepSpeed, 1);
+
+    const interval = setInterval(() => {
+      const advance = timeRemainderRef.current + (PLAYBACK_TICK * speed) / stepSpeed;
+      const wholeUnits = Math.floor(advance);
+      timeRemainderRef.current = advance - wholeUnits;
+
+      if (wholeUnits > 0) {
+        setTime(prevTime => Math.min(prevTime + wholeUnits, totalTime));
+      }
+    }, PLAYBACK_TICK);
+
+    return () => clearInterval(interval);
+  }, [playing, race, timelines, speed, totalTime]);
+
+  // Stop playing at the end of the race
+  useEffect(() => {
+    if (playing && time >= totalTime) {
+      setPlaying(false);
+    }
+  }, [playing, time, totalTime]);
+
+  const handleTogglePlay = () => {
+    // Playing from the end starts over
+    if (!playing && time >= totalTime) {
+      setTime(0);
+    }
+    timeRemainderRef.current = 0;
+    setPlaying(!playing);
+  };
+
+  // Step to the next/previous moment any algorithm changes
+  const handleStep = (direction) => {
+    setPlaying(false);
+    setTime(prevTime => {
+      if (direction > 0) {
+        const next = changeTimes.find(changeTime => changeTime > prevTime);
+        return next === undefined ? totalTime : next;
+      }
+
+      const earlier = changeTimes.filter(changeTime => changeTime < prevTime);
+      return earlier.length > 0 ? earlier[earlier.length - 1] : 0;
+    });
+  };
+
+  const handleScrub = (e) => {
+    setTime(parseInt(e.target.value, 10));
+  };
+
+  // Build the state shown for one algorithm at the current time
+  const getProgress = (type) => {
+    const timeline = timelines[type];
+    const { result, finalDataset } = race.algorithms[type];
+    const state = getTimelineState(timeline, getStepAtTime(timeline, time));
+
+    // An algorithm is done once its last operation has played out
+    const reachedEnd = time >= timeline.endTime;
+    const stoppedEarly = reachedEnd && result.stoppedEarly;
+
+    return {
+      ...state,
+      // A log that was too long to keep stops early, so its end jumps to the final dataset
+      dataset: reachedEnd && timeline.truncated ? finalDataset : state.dataset,
+      finished: reachedEnd && !result.stoppedEarly,
+      position: result.position,
+      stoppedEarly,
+      error: reachedEnd && result.dnf ? result.dnfReason : null,
+      disqualified: reachedEnd && result.status === 'disqualified' ? result.disqualificationReason : null,
+      stable: reachedEnd ? (result.stable ?? null) : null,
+      comparisonsSaved: reachedEnd ? (result.comparisonsSaved ?? null) : null
+    };
+  };
+
+  // Player algorithms are named from the race record, since they may not
+  // exist in the current room
+  const getName = (type) => {
+    const customAlgorithm = (race.customAlgorithms || []).find(({ id }) => id === type);
+    return customAlgorithm ? `${customAlgorithm.name} (${customAlgorithm.author})` : getAlgorithmDisplayName(type);
+  };
+
+  if (error) {
+    return (
+      <div className="replay-page">
+        <div className="alert alert-danger">{error}</div>
+        <Link to="/" className="btn btn-primary">
+          Return to Home
+        </Link>
+      </div>
+    );
+  }
+
+  if (!race) {
+    return <div className="loading">Loading replay...</div>;
+  }
+
+  if (!timelines) {
+    const totalSteps = Object.values(race.algorithms).reduce((total, { log }) => total + log.length, 0);
+    const percent = totalSteps > 0 ? Math.floor((loadedSteps / totalSteps) * 100) : 100;
+    return <div className="loading">Loading replay... {percent}%</div>;
+  }
+
+  const truncatedTypes = Object.keys(timelines).filter(type => timelines[type].truncated);
+
+  const algorithmTypes = Object.keys(race.algorithms).sort(compareAlgorithms);
+
+  return (
+    <div className="replay-page">
+      <div className="room-header">
+        <h1>Replay: Room {race.roomCode}</h1>
+        <div className="replay-meta">
+          Winner: <strong>{race.winnerAlgorithm ? getName(race.winnerAlgorithm) : 'none'}</strong>
+          {race.seed !== undefined && <span className="race-seed"> | Seed: <code>{race.seed}</code></span>}
+        </div>
+        {truncatedTypes.length > 0 && (
+          <div className="replay-meta">
+            Too many operations to keep in full for {truncatedTypes.map(getName).join(', ')}: the replay
+            stops early and shows the final dataset at the end.
+          </div>
+        )}
+      </div>
+
+      <div className="replay-controls">
+        <button className="btn btn-light" onClick={() => handleStep(-1)} disabled={time <= 0} title="Step back">
+          ◀
+        </button>
+        <button className="btn btn-primary" onClick={handleTogglePlay}>
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <button className="btn btn-light" onClick={() => handleStep(1)} disabled={time >= totalTime} title="Step forward">
+          ▶
+        </button>
+        <select
+          className="replay-speed"
+          value={speed}
+          onChange={(e) => setSpeed(parseFloat(e.target.value))}
+          title="Playback speed"
+        >
+          {PLAYBACK_SPEEDS.map(option => (
+            <option key={option} value={option}>{option}x</option>
+          ))}
+        </select>
+        <input
+          type="range"
+          className="replay-scrubber"
+          min="0"
+          max={totalTime}
+          value={time}
+          onChange={handleScrub}
+        />
+        <span className="replay-step">Time {time} / {totalTime}</span>
+        <RendererPicker renderer={renderer} onChange={setRenderer} />
+      </div>
+
+      <div className="race-container">
+        <div className="algorithms-container">
+          {algorithmTypes.map(type => {
+            const progress = getProgress(type);
+
+            return (
+              <div key={type} className="algorithm-card">
+                <AlgorithmBars
+                  algorithmType={type}
+                  name={getName(type)}
+                  progress={progress}
+                  steps={progress.currentStep}
+                  renderer={renderer}
+                />
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Replay;
@@ -1,46 +1,26 @@
 import { useContext, useEffect, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import SocketContext from '../context/SocketContext';
 import RoomContext from '../context/RoomContext';
+import AlgorithmContext from '../context/AlgorithmContext';
 import Notifications from '../components/layout/Notifications';
 import Leaderboard from '../components/Leaderboard';
-import { ALGORITHM_ORDER, ALGORITHM_NAMES, getAlgorithmDisplayName } from '../constants/algorithms';
+import AlgorithmBars from '../components/AlgorithmBars';
+import RendererPicker, { useRenderer } from '../components/RendererPicker';
+import { COST_PRESETS, COST_WEIGHT_LABELS, DEFAULT_COST_MODEL } from '../constants/costModels';
+import { CUSTOM_DATASET_LIMITS, DATASET_SHAPES, DEFAULT_DATASET_SHAPE } from '../constants/datasetShapes';
+import { DATASET_LIMITS, maxDatasetSizeFor } from '../constants/datasetLimits';
+import { DATASET_TYPES, DEFAULT_DATASET_TYPE } from '../constants/datasetTypes';
+import { DEFAULT_PIVOT_STRATEGY, PIVOT_STRATEGIES } from '../constants/pivotStrategies';
+import { RACE_LIMITS } from '../constants/raceLimits';
+import { CUSTOM_ALGORITHM_TEMPLATE, MAX_CODE_LENGTH, MAX_NAME_LENGTH } from '../constants/customAlgorithms';
 import '../styles/leaderboard.css';
 
-// Define the preferred algorithm display order
-// const ALGORITHM_ORDER = {
-//   'bubble': 1,
-//   'insertion': 2,
-//   'selection': 3,
-//   'heap': 4,
-//   'inplacestable': 5,
-//   'merge': 6,
-//   'quick': 7,
-//   'bogo': 8
-// };
-
-// Define proper display names for each algorithm
-// const ALGORITHM_NAMES = {
-//   'bubble': 'Bubble Sort',
-//   'insertion': 'Insertion Sort',
-//   'selection': 'Selection Sort',
-//   'inplacestable': 'In-Place Stable Sort',
-//   'merge': 'Merge Sort',
-//   'quick': 'Quick Sort',
-//   'heap': 'Heap Sort',
-//   'bogo': 'Bogo Sort'
-// };
-
-// Helper function to get the display name for an algorithm
-// const getAlgorithmDisplayName = (algorithmId) => {
-//   return ALGORITHM_NAMES[algorithmId] || algorithmId.charAt(0).toUpperCase() + algorithmId.slice(1) + ' Sort';
-// };
-
 const Room = () => {
   const { roomCode } = useParams();
   const navigate = useNavigate();
   
-  const { socket, username, connected, joinRoom, leaveRoom, placeBet, startRace, updateSettings, selectAlgorithms, resetRoomState, endRaceEarly } = useContext(SocketContext);
+  const { socket, username, connected, joinRoom, leaveRoom, placeBet, startRace, updateSettings, setDataset, selectAlgorithms, resetRoomState, endRaceEarly, pauseRace, resumeRace, stepRace, submitAlgorithm, removeAlgorithm } = useContext(SocketContext);
   const { 
     currentRoom, 
     isHost, 
@@ -56,33 +36,42 @@ const Room = () => {
     clearError, 
     leaveCurrentRoom
   } = useContext(RoomContext);
+  const { algorithmList, customAlgorithmList, getAlgorithmDisplayName, compareAlgorithms } = useContext(AlgorithmContext);
   
   const [selectedAlgorithm, setSelectedAlgorithm] = useState('');
+  const [renderer, setRenderer] = useRenderer();
+  
+  // Optional seed the host can enter to re-run an earlier race
+  const [seedInput, setSeedInput] = useState('');
   const [settingsForm, setSettingsForm] = useState({
     datasetSize: 20,
     allowDuplicates: false,
+    datasetType: DEFAULT_DATASET_TYPE,
+    datasetShape: DEFAULT_DATASET_SHAPE,
     valueRange: { min: 1, max: 5000 },
-    stepSpeed: 250
+    stepSpeed: 250,
+    executionMode: 'realtime',
+    costModel: DEFAULT_COST_MODEL,
+    pivotStrategy: DEFAULT_PIVOT_STRATEGY,
+    stepBudget: RACE_LIMITS.defaultStepBudget,
+    timeLimit: RACE_LIMITS.defaultTimeLimit,
+    disqualifiedCanWin: false
   });
   
-  // State for algorithm selection
+  // State for algorithm selection (id -> selected), synced from the server
   const [algorithmSelection, setAlgorithmSelection] = useState({
     bubble: true,
     quick: true,
-    inplacestable: true,
-    merge: false,
-    insertion: false,
-    selection: false,
-    heap: false,
-    bogo: false,
-    stalin: false,
-    timsort: false,
-    powersort: false,
-    gnome: false,
-    radix: false,
-    radixbit: false
+    inplacestable: true
   });
   
+  // The host's exact dataset, as pasted or loaded from a file
+  const [datasetText, setDatasetText] = useState('');
+  
+  // The player's own algorithm, as typed into the editor
+  const [customName, setCustomName] = useState('');
+  const [customCode, setCustomCode] = useState(CUSTOM_ALGORITHM_TEMPLATE);
+  
   // Add a new state for live speed control
   const [liveSpeed, setLiveSpeed] = useState(settingsForm.stepSpeed || 100);
   
@@ -101,22 +90,7 @@ const Room = () => {
   // Sync algorithm selection with current algorithms
   useEffect(() => {
     if (algorithms && algorithms.length > 0) {
-      const newSelection = {
-        bubble: false,
-        quick: false,
-        inplacestable: false,
-        merge: false,
-        insertion: false,
-        selection: false,
-        heap: false,
-        bogo: false,
-        stalin: false,
-        timsort: false,
-        powersort: false,
-        gnome: false,
-        radix: false,
-        radixbit: false
-      };
+      const newSelection = {};
       
       algorithms.forEach(algo => {
         newSelection[algo] = true;
@@ -214,7 +188,9 @@ const Room = () => {
   
   // Handle starting race
   const handleStartRace = () => {
-    startRace(roomCode);
+    const seed = seedInput.trim();
+    startRace(roomCode, seed === '' ? undefined : seed);
+    setSeedInput('');
   };
   
   // Handle resetting room to waiting state
@@ -222,6 +198,12 @@ const Room = () => {
     resetRoomState(roomCode);
   };
   
+  // Handle resetting the room with the finished race's seed ready to re-run
+  const handleRerunSeed = () => {
+    setSeedInput(String(results.seed));
+    resetRoomState(roomCode);
+  };
+  
   // Handle leaving room
   const handleLeaveRoom = () => {
     leaveCurrentRoom();
@@ -237,6 +219,29 @@ const Room = () => {
         ...settingsForm,
         [name]: checked
       });
+    } else if (name === 'costModel.preset') {
+      // Presets fill in their weights; custom starts from the current weights
+      const costModel = settingsForm.costModel || DEFAULT_COST_MODEL;
+      setSettingsForm({
+        ...settingsForm,
+        costModel: {
+          preset: value,
+          weights: value === 'custom' ? { ...costModel.weights } : { ...COST_PRESETS[value].weights }
+        }
+      });
+    } else if (name.startsWith('costModel.weights.')) {
+      const key = name.split('.')[2];
+      const costModel = settingsForm.costModel || DEFAULT_COST_MODEL;
+      setSettingsForm({
+        ...settingsForm,
+        costModel: {
+          ...costModel,
+          weights: {
+            ...costModel.weights,
+            [key]: parseInt(value, 10) || 0
+          }
+        }
+      });
     } else if (name.startsWith('valueRange.')) {
       const key = name.split('.')[1];
       setSettingsForm({
@@ -249,7 +254,7 @@ const Room = () => {
     } else {
       setSettingsForm({
         ...settingsForm,
-        [name]: type === 'number' ? parseInt(value, 10) : value
+        [name]: type === 'number' || type === 'range' ? parseInt(value, 10) : value
       });
     }
   };
@@ -260,6 +265,29 @@ const Room = () => {
     updateSettings(roomCode, settingsForm);
   };
   
+  // Load an uploaded CSV, JSON or text file into the dataset box
+  const handleDatasetFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => setDatasetText(reader.result);
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+  
+  // Handle using the pasted dataset for the next races
+  const handleDatasetSubmit = (e) => {
+    e.preventDefault();
+    setDataset(roomCode, datasetText);
+  };
+  
+  // Handle submitting the player's own algorithm
+  const handleSubmitAlgorithm = (e) => {
+    e.preventDefault();
+    submitAlgorithm(roomCode, customName.trim() || `${username}'s Sort`, customCode);
+  };
+  
   // Handle algorithm selection change
   const handleAlgorithmChange = (algorithm) => {
     const newSelection = { ...algorithmSelection, [algorithm]: !algorithmSelection[algorithm] };
@@ -285,121 +313,21 @@ const Room = () => {
   
   // Render algorithm visualization
   const renderAlgorithmVisualization = (algorithmType) => {
-    if (!raceData || !raceData.progress || !raceData.progress[algorithmType]) {
-      return (
-        <div className="algorithm-visualization waiting" data-algorithm={algorithmType}>
-          <h3>{getAlgorithmDisplayName(algorithmType)}</h3>
-          <div className="waiting-text">Waiting for race to start...</div>
-        </div>
-      );
-    }
-    
-    const { 
-      dataset: visualizationDataset, 
-      comparisons = 0, 
-      swaps = 0, 
-      arrayAccesses = 0, 
-      arrayWrites = 0,
-      finished = false, 
-      lastOperation, 
-      position, 
-      stoppedEarly = false 
-    } = raceData.progress[algorithmType];
+    const progress = raceData && raceData.progress ? raceData.progress[algorithmType] : null;
     
     // Generate a unique key for this visualization based on the algorithm and 
     // either the cleaned/cleanStart flag or a timestamp to force fresh rendering
-    const visualKey = `${algorithmType}-${raceData.cleanStart || raceData.cleaned ? 'new' : 'current'}-${roomStatus}`;
+    const visualKey = `${algorithmType}-${raceData && (raceData.cleanStart || raceData.cleaned) ? 'new' : 'current'}-${roomStatus}`;
     
     return (
-      <div 
+      <AlgorithmBars
         key={visualKey}
-        className={`algorithm-visualization ${finished ? 'finished' : 'racing'} ${lastOperation ? 'last-updated' : ''} ${stoppedEarly ? 'stopped-early' : ''}`}
-        data-algorithm={algorithmType}
-      >
-        <h3>{getAlgorithmDisplayName(algorithmType)}</h3>
-        
-        <div className="visualization-stats">
-          <div className="stat">
-            <span>Steps:</span>
-            <span>{raceData.currentStep}</span>
-          </div>
-          <div className="stat">
-            <span>Comparisons:</span>
-            <span>{comparisons}</span>
-          </div>
-          <div className="stat">
-            <span>Swaps:</span>
-            <span>{swaps}</span>
-          </div>
-          <div className="stat">
-            <span>Accesses:</span>
-            <span>{arrayAccesses || 0}</span>
-          </div>
-          <div className="stat">
-            <span>Writes:</span>
-            <span>{arrayWrites || 0}</span>
-          </div>
-          {finished && (
-            <div className="position">
-              <span>Position:</span>
-              <span>{position}</span>
-            </div>
-          )}
-          {stoppedEarly && (
-            <div className="stopped-early-badge">
-              <span>⚠️ Stopped</span>
-            </div>
-          )}
-        </div>
-        
-        <div className="data-blocks">
-          {visualizationDataset && visualizationDataset.map((value, index) => {
-            // Determine if this block should be highlighted
-            // Only highlight if the algorithm is still running
-            const isHighlighted = !finished && lastOperation && 
-              (lastOperation.indices.includes(index) || 
-               lastOperation.type === 'shuffle'); // Highlight all blocks during shuffle
-            
-            // Choose color based on operation type and alternating flag
-            let backgroundColor = undefined;
-            
-            // If algorithm is finished, use a uniform success color
-            if (finished) {
-              backgroundColor = 'var(--color-success-bars)';
-            } else if (isHighlighted) {
-              const { type, alternate } = lastOperation;
-              if (type === 'comparison') {
-                backgroundColor = alternate ? 'var(--color-compare-alt)' : 'var(--color-compare)';
-              } else if (type === 'swap' || type === 'shift' || type === 'insert' || 
-                        type === 'merge_place' || type === 'merge_copy' || 
-                        type === 'rotate_shift' || type === 'rotate_place') {
-                backgroundColor = alternate ? 'var(--color-swap-alt)' : 'var(--color-swap)';
-              } else if (type === 'shuffle') {
-                backgroundColor = 'var(--color-swap)'; // Use swap color for shuffle
-              } else if (type === 'removal') {
-                backgroundColor = 'var(--color-removal)'; // For Stalin sort
-              } else if (type === 'copy_to_aux') {
-                backgroundColor = 'var(--color-compare)'; // Use comparison color for copying to auxiliary array
-              } else if (type === 'bucketing' || type === 'place') {
-                backgroundColor = 'var(--color-swap)'; // Use swap color for radix sort operations
-              }
-            }
-            
-            return (
-              <div 
-                key={`${visualKey}-block-${index}`}
-                className="data-block"
-                style={{ 
-                  height: `${(value / Math.max(...visualizationDataset)) * 100}%`,
-                  backgroundColor
-                }}
-              >
-                {visualizationDataset.length <= 15 && value}
-              </div>
-            );
-          })}
-        </div>
-      </div>
+        algorithmType={algorithmType}
+        progress={progress}
+        steps={raceData ? raceData.currentStep : 0}
+        renderer={renderer}
+        showOperation={raceData && raceData.executionMode === 'step'}
+      />
     );
   };
   
@@ -422,10 +350,7 @@ const Room = () => {
         <div className="betting-options">
           {algorithms
             .slice() // Create a copy to avoid mutating the original array
-            .sort((a, b) => {
-              // Sort by the defined order
-              return (ALGORITHM_ORDER[a] || 99) - (ALGORITHM_ORDER[b] || 99);
-            })
+            .sort(compareAlgorithms) // Sort by the registry's display order
             .map(algo => (
               <div key={algo} className="betting-option">
                 <input
@@ -476,32 +401,53 @@ const Room = () => {
         <h3>Race Results</h3>
         
         <div className="winner-announcement">
-          <h4>Winner: {getAlgorithmDisplayName(results.winnerAlgorithm)}</h4>
+          <h4>
+            {results.winnerAlgorithms.length === 0 && 'No algorithm finished'}
+            {results.winnerAlgorithms.length > 1 ? 'Tie for first: ' : results.winnerAlgorithms.length === 1 && 'Winner: '}
+            {results.winnerAlgorithms.map(getAlgorithmDisplayName).join(' & ')}
+          </h4>
+          {results.seed !== undefined && (
+            <p className="race-seed">Race seed: <code>{results.seed}</code></p>
+          )}
         </div>
         
         <div className="algorithm-results">
           {Object.entries(results.results)
             .sort((a, b) => {
-              // Primary sort by position
-              if (a[1].position !== b[1].position) {
-                return a[1].position - b[1].position;
+              // Primary sort by position (algorithms that did not finish go last)
+              const positionA = a[1].position ?? Infinity;
+              const positionB = b[1].position ?? Infinity;
+              if (positionA !== positionB) {
+                return positionA - positionB;
               }
               
-              // Secondary sort by algorithm name for consistent ordering
-              return (ALGORITHM_ORDER[a[0]] || 99) - (ALGORITHM_ORDER[b[0]] || 99);
+              // Secondary sort by display order for consistent ordering
+              return compareAlgorithms(a[0], b[0]);
             })
             .map(([algo, data]) => (
-              <div key={algo} className={`algorithm-result ${data.isWinner ? 'winner' : ''} ${data.stoppedEarly ? 'stopped-early' : ''}`}>
+              <div key={algo} className={`algorithm-result ${data.isWinner ? 'winner' : ''} ${data.stoppedEarly ? 'stopped-early' : ''} ${data.dnf ? 'dnf' : ''} ${data.status === 'disqualified' ? 'disqualified' : ''}`}>
                 <h5>{getAlgorithmDisplayName(algo)}</h5>
                 <div className="result-stats">
                   <div className="stat">
                     <span>Position:</span>
-                    <span>{data.position}</span>
+                    <span>{data.dnf ? 'DNF' : (data.position ?? 'DQ')}</span>
                   </div>
                   <div className="stat">
                     <span>Steps:</span>
                     <span>{data.steps}</span>
                   </div>
+                  {data.totalCost !== undefined && (
+                    <div className="stat">
+                      <span>Cost:</span>
+                      <span>{data.totalCost}</span>
+                    </div>
+                  )}
+                  {data.finishTime !== undefined && (
+                    <div className="stat">
+                      <span>Virtual Time:</span>
+                      <span>{data.finishTime} ticks</span>
+                    </div>
+                  )}
                   <div className="stat">
                     <span>Comparisons:</span>
                     <span>{data.comparisons}</span>
@@ -518,11 +464,33 @@ const Room = () => {
                     <span>Writes:</span>
                     <span>{data.arrayWrites || 0}</span>
                   </div>
+                  {data.comparisonsSaved !== null && data.comparisonsSaved !== undefined && (
+                    <div className="stat" title="Comparisons saved over a binary Heap Sort of the same input (negative if it made more)">
+                      <span>Saved vs. Heap Sort:</span>
+                      <span>{data.comparisonsSaved}</span>
+                    </div>
+                  )}
+                  {data.stable !== null && data.stable !== undefined && (
+                    <div className="stat" title="Whether equal keys kept their original order in this run">
+                      <span>Stable:</span>
+                      <span>{data.stable ? 'Yes' : 'No'}</span>
+                    </div>
+                  )}
                   {data.stoppedEarly && (
                     <div className="stopped-early-indicator">
                       ⚠️ Stopped Early
                     </div>
                   )}
+                  {data.dnf && (
+                    <div className="dnf-indicator" title={data.dnfReason}>
+                      ✖ Did not finish: {data.dnfReason}
+                    </div>
+                  )}
+                  {data.status === 'disqualified' && (
+                    <div className="disqualified-indicator" title={data.disqualificationReason}>
+                      ⛔ Disqualified: {data.disqualificationReason}
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
@@ -531,17 +499,33 @@ const Room = () => {
         {userBet && (
           <div className="user-result">
             <h4>
-              {userBet === results.winnerAlgorithm ? 
+              {results.winnerAlgorithms.includes(userBet) ? 
                 'Congratulations! You won!' : 
                 'Better luck next time!'}
             </h4>
           </div>
         )}
         
+        {results.raceId && (
+          <div className="results-actions">
+            {/* Opens in a new tab so watching the replay doesn't leave the room */}
+            <Link to={`/replay/${results.raceId}`} target="_blank" rel="noopener noreferrer" className="btn btn-light">
+              Watch Replay
+            </Link>
+          </div>
+        )}
+        
         {isHost && (
-          <button className="btn btn-primary" onClick={handleResetRoom}>
-            Start New Race
-          </button>
+          <div className="results-actions">
+            <button className="btn btn-primary" onClick={handleResetRoom}>
+              Start New Race
+            </button>
+            {results.seed !== undefined && (
+              <button className="btn btn-light" onClick={handleRerunSeed}>
+                Re-run This Seed
+              </button>
+            )}
+          </div>
         )}
       </div>
     );
@@ -558,136 +542,109 @@ const Room = () => {
         <p>Choose which algorithms will participate in the race:</p>
         
         <div className="algorithm-options">
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-bubble"
-              checked={algorithmSelection.bubble}
-              onChange={() => handleAlgorithmChange('bubble')}
-            />
-            <label htmlFor="algo-bubble">{getAlgorithmDisplayName('bubble')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-quick"
-              checked={algorithmSelection.quick}
-              onChange={() => handleAlgorithmChange('quick')}
-            />
-            <label htmlFor="algo-quick">{getAlgorithmDisplayName('quick')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-inplacestable"
-              checked={algorithmSelection.inplacestable}
-              onChange={() => handleAlgorithmChange('inplacestable')}
-            />
-            <label htmlFor="algo-inplacestable">{getAlgorithmDisplayName('inplacestable')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-merge"
-              checked={algorithmSelection.merge}
-              onChange={() => handleAlgorithmChange('merge')}
-            />
-            <label htmlFor="algo-merge">{getAlgorithmDisplayName('merge')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-timsort"
-              checked={algorithmSelection.timsort}
-              onChange={() => handleAlgorithmChange('timsort')}
-            />
-            <label htmlFor="algo-timsort">{getAlgorithmDisplayName('timsort')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-powersort"
-              checked={algorithmSelection.powersort}
-              onChange={() => handleAlgorithmChange('powersort')}
-            />
-            <label htmlFor="algo-powersort">{getAlgorithmDisplayName('powersort')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-insertion"
-              checked={algorithmSelection.insertion}
-              onChange={() => handleAlgorithmChange('insertion')}
-            />
-            <label htmlFor="algo-insertion">{getAlgorithmDisplayName('insertion')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-selection"
-              checked={algorithmSelection.selection}
-              onChange={() => handleAlgorithmChange('selection')}
-            />
-            <label htmlFor="algo-selection">{getAlgorithmDisplayName('selection')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-heap"
-              checked={algorithmSelection.heap}
-              onChange={() => handleAlgorithmChange('heap')}
-            />
-            <label htmlFor="algo-heap">{getAlgorithmDisplayName('heap')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-bogo"
-              checked={algorithmSelection.bogo}
-              onChange={() => handleAlgorithmChange('bogo')}
-            />
-            <label htmlFor="algo-bogo">{getAlgorithmDisplayName('bogo')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-stalin"
-              checked={algorithmSelection.stalin}
-              onChange={() => handleAlgorithmChange('stalin')}
-            />
-            <label htmlFor="algo-stalin">{getAlgorithmDisplayName('stalin')}</label>
-          </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-gnome"
-              checked={algorithmSelection.gnome}
-              onChange={() => handleAlgorithmChange('gnome')}
-            />
-            <label htmlFor="algo-gnome">{getAlgorithmDisplayName('gnome')}</label>
-          </div>
-          <div className="algorithm-option">
+          {algorithmList.map(algorithm => (
+            <div
+              key={algorithm.id}
+              className="algorithm-option"
+              title={`${algorithm.family} | best ${algorithm.complexity.best}, average ${algorithm.complexity.average}, worst ${algorithm.complexity.worst}, space ${algorithm.complexity.space}`}
+            >
+              <input
+                type="checkbox"
+                id={`algo-${algorithm.id}`}
+                checked={!!algorithmSelection[algorithm.id]}
+                onChange={() => handleAlgorithmChange(algorithm.id)}
+              />
+              <label htmlFor={`algo-${algorithm.id}`}>
+                {algorithm.name}
+                <span className="algorithm-tags">
+                  {algorithm.stable && <span className="algorithm-tag">stable</span>}
+                  {algorithm.inPlace && <span className="algorithm-tag">in-place</span>}
+                </span>
+              </label>
+            </div>
+          ))}
+          {customAlgorithmList.map(algorithm => (
+            <div key={algorithm.id} className="algorithm-option" title={`Written by ${algorithm.author}`}>
+              <input
+                type="checkbox"
+                id={`algo-${algorithm.id}`}
+                checked={!!algorithmSelection[algorithm.id]}
+                onChange={() => handleAlgorithmChange(algorithm.id)}
+              />
+              <label htmlFor={`algo-${algorithm.id}`}>
+                {algorithm.name}
+                <span className="algorithm-tags">
+                  <span className="algorithm-tag">by {algorithm.author}</span>
+                </span>
+              </label>
+            </div>
+          ))}
+        </div>
+        <div className="settings-notice">
+          <small>Algorithm changes will take effect in the next race</small>
+        </div>
+      </div>
+    );
+  };
+  
+  // Render the editor for the player's own algorithm (any player, between races)
+  const renderCustomAlgorithmEditor = () => {
+    if (roomStatus === 'racing') return null;
+    
+    const isUserHost = isHost || (socket && players.some(p => p.socketId === socket.id && p.isHost));
+    const ownAlgorithm = customAlgorithmList.find(algorithm => algorithm.author === username);
+    
+    return (
+      <div className="custom-algorithm-section settings-section">
+        <h3>Your Algorithm</h3>
+        <p>Write your own sort and race it against the built-in algorithms once the host selects it.</p>
+        
+        <form onSubmit={handleSubmitAlgorithm}>
+          <div className="form-group">
+            <label htmlFor="customAlgorithmName">Name</label>
             <input
-              type="checkbox"
-              id="algo-radix"
-              checked={algorithmSelection.radix}
-              onChange={() => handleAlgorithmChange('radix')}
+              type="text"
+              id="customAlgorithmName"
+              value={customName}
+              maxLength={MAX_NAME_LENGTH}
+              placeholder={`${username}'s Sort`}
+              onChange={(e) => setCustomName(e.target.value)}
             />
-            <label htmlFor="algo-radix">{getAlgorithmDisplayName('radix')}</label>
           </div>
-          <div className="algorithm-option">
-            <input
-              type="checkbox"
-              id="algo-radixbit"
-              checked={algorithmSelection.radixbit}
-              onChange={() => handleAlgorithmChange('radixbit')}
+          <div className="form-group">
+            <label htmlFor="customAlgorithmCode">Code</label>
+            <textarea
+              id="customAlgorithmCode"
+              className="custom-algorithm-code"
+              rows="14"
+              spellCheck="false"
+              maxLength={MAX_CODE_LENGTH}
+              value={customCode}
+              onChange={(e) => setCustomCode(e.target.value)}
             />
-            <label htmlFor="algo-radixbit">{getAlgorithmDisplayName('radixbit')}</label>
+            <small className="form-help">
+              Runs in strict mode in a sandbox with a 1 second CPU limit, 64 MB of memory and the room's step budget of operations, like the built-in algorithms, but never more than {RACE_LIMITS.defaultStepBudget.toLocaleString()}. Code that fails does not finish the race.
+            </small>
           </div>
-        </div>
-        <div className="settings-notice">
-          <small>Algorithm changes will take effect in the next race</small>
-        </div>
+          <button type="submit" className="btn btn-primary">
+            {ownAlgorithm ? 'Update Algorithm' : 'Submit Algorithm'}
+          </button>
+        </form>
+        
+        {customAlgorithmList.length > 0 && (
+          <ul className="custom-algorithm-list">
+            {customAlgorithmList.map(algorithm => (
+              <li key={algorithm.id}>
+                <span>{algorithm.name} <small>by {algorithm.author}</small></span>
+                {(algorithm.author === username || isUserHost) && (
+                  <button className="btn btn-light" onClick={() => removeAlgorithm(roomCode, algorithm.id)}>
+                    Remove
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
     );
   };
@@ -697,6 +654,10 @@ const Room = () => {
     const isUserHost = isHost || (socket && players.some(p => p.socketId === socket.id && p.isHost));
     if (!isUserHost || roomStatus !== 'waiting') return null;
     
+    // Each algorithm's dataset is sent and drawn on every update, so the
+    // more algorithms race, the smaller the datasets may be
+    const maxDatasetSize = maxDatasetSizeFor(algorithms.length);
+    
     return (
       <div className="settings-section">
         <h3>Room Settings</h3>
@@ -710,8 +671,8 @@ const Room = () => {
                 type="range"
                 id="datasetSize"
                 name="datasetSize"
-                min="5"
-                max="1024"
+                min={DATASET_LIMITS.minSize}
+                max={maxDatasetSize}
                 step="1"
                 value={settingsForm.datasetSize}
                 onChange={handleSettingsChange}
@@ -720,12 +681,15 @@ const Room = () => {
                 type="number"
                 id="datasetSizeNumber"
                 name="datasetSize"
-                min="5"
-                max="1024"
+                min={DATASET_LIMITS.minSize}
+                max={maxDatasetSize}
                 value={settingsForm.datasetSize}
                 onChange={handleSettingsChange}
               />
             </div>
+            <small className="form-help">
+              Up to {maxDatasetSize} values for a race of {algorithms.length} algorithms ({DATASET_LIMITS.maxRaceValues} values across the race, at most {DATASET_LIMITS.maxSize} each).
+            </small>
           </div>
           
           <div className="form-group">
@@ -737,6 +701,49 @@ const Room = () => {
               checked={settingsForm.allowDuplicates}
               onChange={handleSettingsChange}
             />
+            <small className="form-help">
+              Equal values are shaded by their original order, so an unstable sort shows them out of order.
+            </small>
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="datasetType">Dataset Type</label>
+            <select
+              id="datasetType"
+              name="datasetType"
+              value={settingsForm.datasetType || DEFAULT_DATASET_TYPE}
+              onChange={handleSettingsChange}
+            >
+              {Object.entries(DATASET_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <small className="form-help">
+              {settingsForm.datasetType === 'records'
+                ? 'Records sort by name, then by score; the value range sets the scores.'
+                : settingsForm.datasetType === 'strings'
+                  ? 'Comparing strings costs more the longer their shared prefix; radix sorts go one character at a time.'
+                  : 'Whole numbers within the value range.'}
+            </small>
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="datasetShape">Dataset Shape</label>
+            <select
+              id="datasetShape"
+              name="datasetShape"
+              value={settingsForm.datasetShape || DEFAULT_DATASET_SHAPE}
+              onChange={handleSettingsChange}
+            >
+              {Object.entries(DATASET_SHAPES).map(([shape, label]) => (
+                <option key={shape} value={shape}>{label}</option>
+              ))}
+            </select>
+            <small className="form-help">
+              {settingsForm.datasetShape === 'fewUnique'
+                ? 'Few unique values always repeats values, whatever Allow Duplicates is set to.'
+                : 'Structured input shows off adaptive algorithms that finish early on partly sorted data.'}
+            </small>
           </div>
           
           <div className="form-group">
@@ -761,12 +768,15 @@ const Room = () => {
                   id="valueRange.max"
                   name="valueRange.max"
                   min="1"
-                  max="5000"
+                  max={DATASET_LIMITS.maxSize}
                   value={settingsForm.valueRange.max}
                   onChange={handleSettingsChange}
                 />
               </div>
             </div>
+            <small className="form-help">
+              Without duplicates, whole numbers need a range holding at least as many values as the dataset.
+            </small>
           </div>
           
           <div className="form-group">
@@ -794,10 +804,171 @@ const Room = () => {
             </div>
           </div>
           
+          <div className="form-group">
+            <label htmlFor="executionMode">Execution Mode</label>
+            <select
+              id="executionMode"
+              name="executionMode"
+              value={settingsForm.executionMode || 'realtime'}
+              onChange={handleSettingsChange}
+            >
+              <option value="realtime">Real time</option>
+              <option value="virtual">Virtual clock (exact finish order)</option>
+              <option value="step">Step-by-step (host advances each operation)</option>
+            </select>
+            <small className="form-help">
+              {settingsForm.executionMode === 'step'
+                ? 'The race waits for the host: each step runs exactly one operation of every algorithm.'
+                : 'Virtual clock times every operation on one shared clock, so equal totals are true ties.'}
+            </small>
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="costModelPreset">Cost Model</label>
+            <select
+              id="costModelPreset"
+              name="costModel.preset"
+              value={(settingsForm.costModel || DEFAULT_COST_MODEL).preset}
+              onChange={handleSettingsChange}
+            >
+              {Object.entries(COST_PRESETS).map(([preset, { name }]) => (
+                <option key={preset} value={preset}>{name}</option>
+              ))}
+              <option value="custom">Custom weights</option>
+            </select>
+            {(settingsForm.costModel || DEFAULT_COST_MODEL).preset === 'custom' && (
+              <div className="cost-weights">
+                {Object.entries(COST_WEIGHT_LABELS).map(([weight, label]) => (
+                  <div key={weight}>
+                    <label htmlFor={`costModel.weights.${weight}`}>{label}</label>
+                    <input
+                      type="number"
+                      id={`costModel.weights.${weight}`}
+                      name={`costModel.weights.${weight}`}
+                      min="0"
+                      max="1000"
+                      value={settingsForm.costModel.weights[weight]}
+                      onChange={handleSettingsChange}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+            <small className="form-help">
+              Each operation costs its weighted comparisons, swaps, reads and writes; step speed is the time per unit of cost.
+            </small>
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="pivotStrategy">Quick Sort Pivot</label>
+            <select
+              id="pivotStrategy"
+              name="pivotStrategy"
+              value={settingsForm.pivotStrategy || DEFAULT_PIVOT_STRATEGY}
+              onChange={handleSettingsChange}
+            >
+              {Object.entries(PIVOT_STRATEGIES).map(([strategy, label]) => (
+                <option key={strategy} value={strategy}>{label}</option>
+              ))}
+            </select>
+            <small className="form-help">
+              {['first', 'last'].includes(settingsForm.pivotStrategy || DEFAULT_PIVOT_STRATEGY)
+                ? 'A fixed pivot makes Quick Sort quadratic on sorted and reversed datasets; Introsort and pdqsort show how library sorts avoid that.'
+                : 'Only Quick Sort uses this; the other quicksorts pick their pivots their own way.'}
+            </small>
+          </div>
+          
+          <div className="form-group">
+            <label>Race Limits</label>
+            <div className="range-inputs">
+              <div>
+                <label htmlFor="stepBudget">Step Budget</label>
+                <input
+                  type="number"
+                  id="stepBudget"
+                  name="stepBudget"
+                  min="0"
+                  max={RACE_LIMITS.maxStepBudget}
+                  value={settingsForm.stepBudget ?? RACE_LIMITS.defaultStepBudget}
+                  onChange={handleSettingsChange}
+                />
+              </div>
+              <div>
+                <label htmlFor="timeLimit">Time Limit (s)</label>
+                <input
+                  type="number"
+                  id="timeLimit"
+                  name="timeLimit"
+                  min="0"
+                  max={RACE_LIMITS.maxTimeLimit}
+                  value={settingsForm.timeLimit ?? RACE_LIMITS.defaultTimeLimit}
+                  onChange={handleSettingsChange}
+                />
+              </div>
+            </div>
+            <small className="form-help">
+              An algorithm that takes more steps, or is still running when time is up, does not finish (DNF). 0 for no limit; step-by-step races have no time limit.
+            </small>
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="disqualifiedCanWin">Disqualified Algorithms Can Win</label>
+            <input
+              type="checkbox"
+              id="disqualifiedCanWin"
+              name="disqualifiedCanWin"
+              checked={settingsForm.disqualifiedCanWin}
+              onChange={handleSettingsChange}
+            />
+            <small className="form-help">
+              Every finished algorithm is checked for a sorted copy of the input; one that isn't (Stalin Sort drops values) is disqualified.
+            </small>
+          </div>
+          
           <button type="submit" className="btn btn-primary">
             Update Settings
           </button>
         </form>
+        
+        <form className="custom-dataset-form" onSubmit={handleDatasetSubmit}>
+          <div className="form-group">
+            <label htmlFor="customDataset">Custom Dataset</label>
+            {settings.customDataset && (
+              <p className="custom-dataset-status">
+                Races use your {settings.customDataset.length} values instead of a generated dataset.
+              </p>
+            )}
+            <textarea
+              id="customDataset"
+              className="custom-dataset-input"
+              rows="4"
+              spellCheck="false"
+              maxLength={CUSTOM_DATASET_LIMITS.maxTextLength}
+              placeholder="e.g. 50, 40, 30, 20, 10"
+              value={datasetText}
+              onChange={(e) => setDatasetText(e.target.value)}
+            />
+            <input
+              type="file"
+              id="customDatasetFile"
+              accept=".csv,.json,.txt,text/csv,application/json,text/plain"
+              onChange={handleDatasetFile}
+            />
+            <small className="form-help">
+              Comma- or newline-separated numbers, a CSV file or a JSON array: {CUSTOM_DATASET_LIMITS.minSize} to {CUSTOM_DATASET_LIMITS.maxSize} whole numbers from {CUSTOM_DATASET_LIMITS.minValue} to {CUSTOM_DATASET_LIMITS.maxValue}. It replaces the size, duplicates, shape and range settings until cleared.
+            </small>
+          </div>
+          <div className="custom-dataset-actions">
+            <button type="submit" className="btn btn-primary" disabled={!datasetText.trim()}>
+              Use Dataset
+            </button>
+            {settings.customDataset && (
+              <button type="button" className="btn btn-light" onClick={() => setDataset(roomCode, null)}>
+                Clear Dataset
+              </button>
+            )}
+          </div>
+        </form>
       </div>
     );
   };
@@ -807,9 +978,31 @@ const Room = () => {
     const isUserHost = isHost || (socket && players.some(p => p.socketId === socket.id && p.isHost));
     if (!isUserHost || roomStatus !== 'racing') return null;
     
+    // Step-mode races have no speed to change; the host advances them instead
+    if (raceData && raceData.executionMode === 'step') {
+      return (
+        <div className="live-speed-control">
+          <h3>Host Controls</h3>
+          <button className="btn btn-primary step-race-btn" onClick={() => stepRace(roomCode)}>
+            ⏭ Step
+          </button>
+          <p className="speed-info">
+            <i className="fas fa-info-circle"></i> Each step runs one operation of every algorithm
+          </p>
+          {renderEndRaceEarly()}
+        </div>
+      );
+    }
+    
     return (
       <div className="live-speed-control">
         <h3>Host Controls</h3>
+        <button 
+          className={`btn ${raceData && raceData.paused ? 'btn-success' : 'btn-light'} pause-race-btn`}
+          onClick={handleTogglePause}
+        >
+          {raceData && raceData.paused ? '▶ Resume Race' : '⏸ Pause Race'}
+        </button>
         <div className="form-group">
           <label htmlFor="liveSpeed">Algorithm Speed (ms)</label>
           <div className="input-with-number">
@@ -838,23 +1031,39 @@ const Room = () => {
           <i className="fas fa-info-circle"></i> Changes apply immediately to all algorithms
         </p>
         
-        {hasFinishedAlgorithm && (
-          <div className="end-race-early">
-            <button 
-              className="btn btn-warning end-race-btn" 
-              onClick={handleEndRaceEarly}
-            >
-              End Race Early
-            </button>
-            <p className="end-race-info">
-              <i className="fas fa-exclamation-triangle"></i> This will stop all remaining algorithms and declare a winner
-            </p>
-          </div>
-        )}
+        {renderEndRaceEarly()}
+      </div>
+    );
+  };
+  
+  // End-race-early button, offered once any algorithm has finished
+  const renderEndRaceEarly = () => {
+    if (!hasFinishedAlgorithm) return null;
+    
+    return (
+      <div className="end-race-early">
+        <button 
+          className="btn btn-warning end-race-btn" 
+          onClick={handleEndRaceEarly}
+        >
+          End Race Early
+        </button>
+        <p className="end-race-info">
+          <i className="fas fa-exclamation-triangle"></i> This will stop all remaining algorithms and declare a winner
+        </p>
       </div>
     );
   };
   
+  // Handle pausing/resuming the race
+  const handleTogglePause = () => {
+    if (raceData && raceData.paused) {
+      resumeRace(roomCode);
+    } else {
+      pauseRace(roomCode);
+    }
+  };
+  
   // Handle ending race early
   const handleEndRaceEarly = () => {
     endRaceEarly(roomCode);
@@ -935,30 +1144,51 @@ const Room = () => {
             </p>
           </div>
           {roomStatus === 'waiting' && (
-            <button 
-              className="btn btn-success start-race-btn" 
-              onClick={handleStartRace}
-              disabled={algorithms.length < 2}
-            >
-              Start Race
-            </button>
+            <div className="start-race-controls">
+              <input
+                type="text"
+                className="seed-input"
+                placeholder="Seed (optional)"
+                value={seedInput}
+                onChange={(e) => setSeedInput(e.target.value.replace(/[^0-9]/g, ''))}
+                title="Enter the seed of an earlier race to re-run it with the same dataset"
+              />
+              <button 
+                className="btn btn-success start-race-btn" 
+                onClick={handleStartRace}
+                disabled={algorithms.length < 2}
+              >
+                {seedInput ? 'Re-run Race' : 'Start Race'}
+              </button>
+            </div>
           )}
           {roomStatus === 'racing' && renderLiveSpeedControl()}
         </div>
       )}
       
       <div className="room-main">
-        <div className="race-container">
-          <h2>Sorting Algorithm Race</h2>
+        <div className={`race-container ${raceData && raceData.paused && roomStatus === 'racing' ? 'paused' : ''}`}>
+          <div className="race-header">
+            <h2>Sorting Algorithm Race</h2>
+            <RendererPicker renderer={renderer} onChange={setRenderer} />
+          </div>
+          {raceData && raceData.paused && roomStatus === 'racing' && (
+            <div className="race-paused-overlay">
+              <span>⏸ Paused{raceData.pausedBy ? ` by ${raceData.pausedBy}` : ''}</span>
+            </div>
+          )}
+          {raceData && raceData.executionMode === 'step' && roomStatus === 'racing' && !isHost && (
+            <p className="step-mode-hint">Step-by-step race: the host advances every algorithm one operation at a time.</p>
+          )}
+          {raceData && raceData.seed !== undefined && roomStatus === 'racing' && (
+            <p className="race-seed">Seed: <code>{raceData.seed}</code></p>
+          )}
           
           <div className="algorithms-container">
             {/* Sort algorithms in a consistent order before rendering */}
             {algorithms
               .slice() // Create a copy to avoid mutating the original array
-              .sort((a, b) => {
-                // Sort by the defined order
-                return (ALGORITHM_ORDER[a] || 99) - (ALGORITHM_ORDER[b] || 99);
-              })
+              .sort(compareAlgorithms) // Sort by the registry's display order
               .map(algo => (
                 <div key={algo} className="algorithm-card">
                   {renderAlgorithmVisualization(algo)}
@@ -971,6 +1201,7 @@ const Room = () => {
         <div className="room-sidebar">
           {renderBetting()}
           {renderAlgorithmSelector()}
+          {renderCustomAlgorithmEditor()}
           {renderSettings()}
           {roomStatus === 'finished' && renderResults()}
           <Leaderboard roomCode={roomCode} />
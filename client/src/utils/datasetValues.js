@@ -0,0 +1,66 @@
+/**
+ * Dataset Values
+ * Helpers for drawing datasets of any type: integers, strings, or records
+ * sent as [name, score] arrays (see server/utils/datasetTypes.js)
+ */
+
+// Sort order of two values - keep in sync with compareValues in server/utils/datasetTypes.js
+export const compareValues = (a, b) => {
+  if (Array.isArray(a)) {
+    for (let i = 0; i < a.length; i++) {
+      const order = compareValues(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return 0;
+  }
+
+  if (typeof a === 'string') {
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+
+  return a - b;
+};
+
+// Text shown for a value, e.g. "Grace 39" for a record
+export const formatValue = (value) => (Array.isArray(value) ? value.join(' ') : String(value));
+
+// Something equal values share and different values don't, usable as a Map key
+export const valueIdentity = (value) => (Array.isArray(value) ? JSON.stringify(value) : value);
+
+/**
+ * Bar heights for a dataset, as percentages of the tallest bar. Numbers are
+ * drawn to scale; strings and records by their rank in sort order, so the
+ * sorted dataset still reads as a staircase.
+ * @param {Array} dataset - The values
+ * @returns {Array} - Height of each value's bar (0-100)
+ */
+export const getBarHeights = (dataset) => {
+  if (!dataset || dataset.length === 0) return [];
+
+  if (typeof dataset[0] === 'number') {
+    const maxValue = Math.max(...dataset);
+    return dataset.map(value => (value / maxValue) * 100);
+  }
+
+  const ranks = new Map();
+  [...dataset].sort(compareValues).forEach(value => {
+    const identity = valueIdentity(value);
+    if (!ranks.has(identity)) ranks.set(identity, ranks.size + 1);
+  });
+
+  return dataset.map(value => (ranks.get(valueIdentity(value)) / ranks.size) * 100);
+};
+
+// Position each value ends up at once sorted, equal values keeping their order
+export const getRanks = (dataset) => {
+  if (!dataset) return [];
+
+  const ranks = new Array(dataset.length);
+  dataset
+    .map((value, index) => index)
+    .sort((a, b) => compareValues(dataset[a], dataset[b]) || a - b)
+    .forEach((index, rank) => {
+      ranks[index] = rank;
+    });
+  return ranks;
+};
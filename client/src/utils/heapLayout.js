@@ -0,0 +1,66 @@
+/**
+ * Heap Layout
+ * Turns the heap a heap sort reports in its state (see getHeapLayout in
+ * server/utils/algorithmEngine.js) into the tree it stands for, so the
+ * visualizer can draw it over the bars
+ */
+
+// Leonardo numbers, the sizes of Smoothsort's heaps - keep in sync with server/utils/algorithmEngine.js
+const LEONARDO_NUMBERS = [1, 1];
+
+const leonardoNumber = (order) => {
+  while (LEONARDO_NUMBERS.length <= order) {
+    const count = LEONARDO_NUMBERS.length;
+    LEONARDO_NUMBERS.push(LEONARDO_NUMBERS[count - 1] + LEONARDO_NUMBERS[count - 2] + 1);
+  }
+  return LEONARDO_NUMBERS[order];
+};
+
+/**
+ * Parent of every element in the heap
+ * @param {object} heap - { layout: 'dary', arity, size }, { layout: 'weak', size }
+ *   or { layout: 'leonardo', size, trees } with [root, order] pairs
+ * @returns {Array} - Index of each element's parent, -1 for roots
+ */
+export const getHeapParents = ({ layout, size, arity, trees = [] }) => {
+  const parents = new Array(size).fill(-1);
+
+  if (layout === 'dary') {
+    for (let i = 1; i < size; i++) {
+      parents[i] = Math.floor((i - 1) / arity);
+    }
+  } else if (layout === 'weak') {
+    // The root's only child is 1; every other element i has children 2i and 2i + 1
+    for (let i = 2; i < size; i++) {
+      parents[i] = Math.floor(i / 2);
+    }
+    if (size > 1) parents[1] = 0;
+  } else if (layout === 'leonardo') {
+    // A Leonardo heap of order k >= 2 is its root, last, after subheaps of orders k - 1 and k - 2
+    const stack = trees.map(([root, order]) => [root, order, -1]);
+    while (stack.length > 0) {
+      const [root, order, parent] = stack.pop();
+      parents[root] = parent;
+      if (order >= 2) {
+        stack.push([root - 1 - leonardoNumber(order - 2), order - 1, root]);
+        stack.push([root - 1, order - 2, root]);
+      }
+    }
+  }
+
+  return parents;
+};
+
+// Depth of every element below its root, given each one's parent
+export const getHeapDepths = (parents) => {
+  const depths = new Array(parents.length).fill(null);
+
+  const depthOf = (index) => {
+    if (depths[index] === null) {
+      depths[index] = parents[index] < 0 ? 0 : depthOf(parents[index]) + 1;
+    }
+    return depths[index];
+  };
+
+  return parents.map((parent, index) => depthOf(index));
+};
@@ -0,0 +1,51 @@
+/**
+ * Race Updates
+ * Applies the server's race_update stream (see server/utils/raceUpdates.js):
+ * keyframes carry every algorithm's dataset, other messages only the writes
+ * since the message before, which are applied to the datasets kept from it.
+ */
+
+import { RACE_UPDATE_VERSION } from '../constants/raceUpdates';
+
+// Apply a flat [index, value, tag, ...] writes list to copies of a dataset and its tags
+const applyWrites = ({ dataset, tags }, writes) => {
+  const nextDataset = [...dataset];
+  const nextTags = [...tags];
+
+  for (let i = 0; i < writes.length; i += 3) {
+    nextDataset[writes[i]] = writes[i + 1];
+    nextTags[writes[i]] = writes[i + 2];
+  }
+
+  return { dataset: nextDataset, tags: nextTags };
+};
+
+/**
+ * Applies a race_update message to the stream's state so far
+ * @param {object|null} stream - { sequence, datasets } as of the last message applied, or null
+ * @param {object} message - The race_update message
+ * @returns {object|null} - { stream, updates } with every algorithm's full state
+ *   in updates, or null if the message can't be applied (an unknown version,
+ *   or a missed message), in which case the client needs a snapshot
+ */
+export const applyRaceUpdate = (stream, { version, sequence, keyframe, updates }) => {
+  if (version !== RACE_UPDATE_VERSION) return null;
+  if (!keyframe && (!stream || sequence !== stream.sequence + 1)) return null;
+
+  const datasets = {};
+  const states = {};
+
+  for (const [type, { dataset, tags, writes, ...progress }] of Object.entries(updates)) {
+    if (dataset) {
+      datasets[type] = { dataset, tags };
+    } else if (stream.datasets[type]) {
+      datasets[type] = applyWrites(stream.datasets[type], writes);
+    } else {
+      return null;
+    }
+
+    states[type] = { ...progress, ...datasets[type] };
+  }
+
+  return { stream: { sequence, datasets }, updates: states };
+};
@@ -0,0 +1,412 @@
+/**
+ * Renderers
+ * Draw a dataset on a canvas in one of the views listed in
+ * constants/renderers.js. Every renderer draws the same scene, built by
+ * AlgorithmBars from an algorithm's progress:
+ *   levels - each value's height as a fraction of the largest (see getBarHeights)
+ *   ranks - each value's position once sorted (see getRanks)
+ *   labels - text drawn on each value when there are only a few, or null
+ *   textValues - whether the labels are strings or records, drawn sideways
+ *   highlights - Map of index -> color for the values the last operation touched
+ *   shades - color of each value where it isn't the default (equal keys, finished)
+ *   bands - { start, end, color, outline } ranges the algorithm annotated
+ *   pivots - Set of the indices of the current pivots
+ * Colors may be CSS variables, e.g. 'var(--color-swap)'.
+ *
+ * Datasets run to thousands of values, and between race updates only a few
+ * of them usually change, so the left-to-right views redraw just the
+ * stretches of the canvas under the values that changed since the last
+ * frame (see drawScene).
+ */
+
+const TAU = 2 * Math.PI;
+
+// Turns 'var(--name)' colors into the values the stylesheet gives them, since
+// a canvas can't read CSS variables itself
+const createColorResolver = (canvas) => {
+  const style = getComputedStyle(canvas);
+  const resolved = new Map();
+
+  return (color) => {
+    if (!color || !color.startsWith('var(')) return color;
+    if (!resolved.has(color)) {
+      resolved.set(color, style.getPropertyValue(color.slice(4, -1)).trim());
+    }
+    return resolved.get(color);
+  };
+};
+
+// Color of a value by its sorted position, red through violet, so a sorted
+// dataset reads as a rainbow
+const rankHue = (rank, count) => `hsl(${Math.round((rank / Math.max(1, count - 1)) * 300)}, 75%, 55%)`;
+
+// Color of a value in the bar and dot views
+const valueColor = (scene, index, color) => (
+  color(scene.highlights.get(index) || scene.shades[index] || 'var(--color-primary)')
+);
+
+// Shade or outline the annotated ranges behind a left-to-right view
+const drawBands = (ctx, { bands, levels }, color, width, top, height) => {
+  const slot = width / levels.length;
+
+  bands.forEach(({ start, end, color: bandColor, outline }) => {
+    const x = start * slot;
+    const bandWidth = (end - start) * slot;
+    if (outline) {
+      ctx.strokeStyle = color(bandColor);
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x + 1, top + 1, bandWidth - 2, height - 2);
+    } else {
+      ctx.fillStyle = color(bandColor);
+      ctx.fillRect(x, top, bandWidth, height);
+    }
+  });
+};
+
+const drawLabels = (ctx, { labels, levels, textValues }, width, height) => {
+  if (!labels) return;
+
+  const slot = width / levels.length;
+  ctx.fillStyle = 'white';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = textValues ? 'left' : 'center';
+  ctx.textBaseline = textValues ? 'middle' : 'bottom';
+
+  labels.forEach((label, index) => {
+    const x = (index + 0.5) * slot;
+    if (textValues) {
+      // Strings and records run up the bar so they fit
+      ctx.save();
+      ctx.translate(x, height - 2);
+      ctx.rotate(-Math.PI / 2);
+      ctx.fillText(label, 0, 0, Math.max(0, levels[index] * height - 4));
+      ctx.restore();
+    } else {
+      ctx.fillText(label, x, height - 2, slot);
+    }
+  });
+};
+
+// The left-to-right views draw the values at indices from (inclusive) to
+// (exclusive), so a redraw can be limited to part of the dataset
+const drawBars = (ctx, scene, color, width, height, from, to) => {
+  const { levels, pivots } = scene;
+  const slot = width / levels.length;
+
+  drawBands(ctx, scene, color, width, 0, height);
+
+  for (let index = from; index < to; index++) {
+    const barHeight = levels[index] * height;
+    ctx.fillStyle = valueColor(scene, index, color);
+    // Whole pixels, at least one wide, so neighbouring bars don't leave seams
+    ctx.fillRect(Math.floor(index * slot), height - barHeight, Math.max(1, Math.ceil(slot)), barHeight);
+  }
+
+  ctx.strokeStyle = color('var(--color-pivot)');
+  ctx.lineWidth = 2;
+  pivots.forEach(index => {
+    if (index < from || index >= to) return;
+    ctx.strokeRect(index * slot + 1, height - levels[index] * height + 1, Math.max(0, slot - 2), Math.max(0, levels[index] * height - 2));
+  });
+
+  drawLabels(ctx, scene, width, height);
+};
+
+// A dot in the given color, with a ring around it for pivots
+const drawDot = (ctx, x, y, radius, fill, ring) => {
+  ctx.fillStyle = fill;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, TAU);
+  ctx.fill();
+
+  if (ring) {
+    ctx.strokeStyle = ring;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, radius + 2, 0, TAU);
+    ctx.stroke();
+  }
+};
+
+// Dots get smaller as they get closer together, within readable limits
+const dotRadius = (spacing) => Math.min(5, Math.max(1.5, spacing / 2));
+
+const drawScatter = (ctx, scene, color, width, height, from, to) => {
+  const { levels, highlights, pivots } = scene;
+  const slot = width / levels.length;
+  const radius = dotRadius(slot);
+  const pivotColor = color('var(--color-pivot)');
+
+  drawBands(ctx, scene, color, width, 0, height);
+
+  for (let index = from; index < to; index++) {
+    // Touched values are drawn larger so they stand out among many dots
+    const dotSize = highlights.has(index) ? radius * 1.6 : radius;
+    const y = radius + (1 - levels[index]) * (height - 2 * radius);
+    drawDot(ctx, (index + 0.5) * slot, y, dotSize, valueColor(scene, index, color), pivots.has(index) ? pivotColor : null);
+  }
+};
+
+// One stripe per value colored by its sorted position; a track underneath
+// carries the annotated ranges and the highlights
+const drawStrip = (ctx, scene, color, width, height, from, to) => {
+  const { ranks, highlights, pivots } = scene;
+  const count = ranks.length;
+  const slot = width / count;
+  const stripHeight = height * 0.8;
+  const trackHeight = height - stripHeight;
+
+  for (let index = from; index < to; index++) {
+    ctx.fillStyle = rankHue(ranks[index], count);
+    ctx.fillRect(Math.floor(index * slot), 0, Math.max(1, Math.ceil(slot)), stripHeight);
+  }
+
+  drawBands(ctx, scene, color, width, stripHeight, trackHeight);
+
+  const marker = (index, markerColor) => {
+    if (index < from || index >= to) return;
+    ctx.fillStyle = color(markerColor);
+    ctx.fillRect(Math.floor(index * slot), stripHeight, Math.max(2, Math.ceil(slot)), trackHeight);
+  };
+  pivots.forEach(index => marker(index, 'var(--color-pivot)'));
+  highlights.forEach((highlightColor, index) => marker(index, highlightColor));
+};
+
+// Center and radius of the circular views
+const circle = (width, height) => ({
+  cx: width / 2,
+  cy: height / 2,
+  radius: Math.max(0, Math.min(width, height) / 2 - 6)
+});
+
+// Angle of a position around the circle, starting at the top and going clockwise
+const angleOf = (index, count) => (index / count) * TAU - Math.PI / 2;
+
+// A ring of wedges, one per position, colored by sorted position, so a sorted
+// dataset is a smooth color wheel. Touched and pivot positions get a mark on the rim.
+const drawWheel = (ctx, scene, color, width, height) => {
+  const { ranks, highlights, pivots } = scene;
+  const count = ranks.length;
+  const { cx, cy, radius } = circle(width, height);
+  const inner = radius * 0.35;
+
+  ranks.forEach((rank, index) => {
+    ctx.fillStyle = rankHue(rank, count);
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, angleOf(index, count), angleOf(index + 1, count));
+    ctx.arc(cx, cy, inner, angleOf(index + 1, count), angleOf(index, count), true);
+    ctx.closePath();
+    ctx.fill();
+  });
+
+  const rimMark = (index, markColor) => {
+    ctx.strokeStyle = color(markColor);
+    ctx.lineWidth = 6;
+    ctx.beginPath();
+    // At least a few degrees wide, so single positions show on big datasets
+    const middle = angleOf(index + 0.5, count);
+    const halfWidth = Math.max(TAU / count / 2, 0.04);
+    ctx.arc(cx, cy, radius + 3, middle - halfWidth, middle + halfWidth);
+    ctx.stroke();
+  };
+  pivots.forEach(index => rimMark(index, 'var(--color-pivot)'));
+  highlights.forEach((highlightColor, index) => rimMark(index, highlightColor));
+};
+
+// Dots around the circle by position, at a distance from the center given by
+// value, so a sorted dataset is a spiral out from the middle
+const drawSpiral = (ctx, scene, color, width, height) => {
+  const { levels, ranks, highlights, pivots } = scene;
+  const count = levels.length;
+  const { cx, cy, radius } = circle(width, height);
+  const size = dotRadius((TAU * radius) / count);
+  const pivotColor = color('var(--color-pivot)');
+
+  levels.forEach((level, index) => {
+    const distance = (0.1 + 0.9 * level) * radius;
+    const angle = angleOf(index, count);
+    const fill = highlights.has(index) ? color(highlights.get(index)) : rankHue(ranks[index], count);
+    drawDot(ctx, cx + distance * Math.cos(angle), cy + distance * Math.sin(angle),
+      highlights.has(index) ? size * 1.6 : size, fill, pivots.has(index) ? pivotColor : null);
+  });
+};
+
+// Dots around the circle by position, pulled towards the center by how far
+// each value is from where it belongs, so they all reach the rim once sorted
+const drawDisparity = (ctx, scene, color, width, height) => {
+  const { ranks, highlights, pivots } = scene;
+  const count = ranks.length;
+  const { cx, cy, radius } = circle(width, height);
+  const size = dotRadius((TAU * radius) / count);
+  const pivotColor = color('var(--color-pivot)');
+
+  ranks.forEach((rank, index) => {
+    const distance = (1 - Math.abs(index - rank) / count) * radius;
+    const angle = angleOf(index, count);
+    const fill = highlights.has(index) ? color(highlights.get(index)) : rankHue(rank, count);
+    drawDot(ctx, cx + distance * Math.cos(angle), cy + distance * Math.sin(angle),
+      highlights.has(index) ? size * 1.6 : size, fill, pivots.has(index) ? pivotColor : null);
+  });
+};
+
+const RENDERER_DRAWERS = {
+  bars: drawBars,
+  scatter: drawScatter,
+  strip: drawStrip,
+  wheel: drawWheel,
+  spiral: drawSpiral,
+  disparity: drawDisparity
+};
+
+// Views laid out around a circle rather than left to right
+const CIRCULAR_RENDERERS = ['wheel', 'spiral', 'disparity'];
+
+// How far, in pixels, a left-to-right view draws past the edges of a value's
+// slot: pivot rings and enlarged dots spill onto their neighbours
+const DRAW_REACH = {
+  bars: 2,
+  scatter: 12,
+  strip: 2
+};
+
+// Past this share of changed values a full redraw is cheaper than redrawing each stretch
+const MAX_DIRTY_SHARE = 0.25;
+
+const bandKey = ({ start, end, color, outline }) => `${start}:${end}:${color}:${outline}`;
+
+// Indices whose drawing differs between two scenes of the same dataset, in order
+const getDirtyIndices = (scene, previous) => {
+  const dirty = new Set();
+
+  scene.levels.forEach((level, index) => {
+    if (
+      level !== previous.levels[index] ||
+      scene.ranks[index] !== previous.ranks[index] ||
+      scene.shades[index] !== previous.shades[index] ||
+      scene.highlights.get(index) !== previous.highlights.get(index) ||
+      scene.pivots.has(index) !== previous.pivots.has(index)
+    ) {
+      dirty.add(index);
+    }
+  });
+
+  // A band that appeared or went away repaints everything under it
+  const bands = new Set(scene.bands.map(bandKey));
+  const previousBands = new Set(previous.bands.map(bandKey));
+  [
+    ...scene.bands.filter(band => !previousBands.has(bandKey(band))),
+    ...previous.bands.filter(band => !bands.has(bandKey(band)))
+  ].forEach(({ start, end }) => {
+    for (let index = Math.max(0, start); index < Math.min(end, scene.levels.length); index++) dirty.add(index);
+  });
+
+  return [...dirty].sort((a, b) => a - b);
+};
+
+// Group sorted indices into [start, end) stretches, joining any that are
+// closer than gap, since their redraws would overlap anyway
+const toStretches = (indices, gap) => {
+  const stretches = [];
+  indices.forEach(index => {
+    const last = stretches[stretches.length - 1];
+    if (last && index - last[1] <= gap) {
+      last[1] = index + 1;
+    } else {
+      stretches.push([index, index + 1]);
+    }
+  });
+  return stretches;
+};
+
+/**
+ * Draws a scene on a canvas, sized to the canvas's box at the screen's pixel density.
+ * Given the last frame drawn on the canvas, a left-to-right view only redraws
+ * the stretches where the two differ.
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @param {string} renderer - A key of RENDERERS (constants/renderers.js)
+ * @param {object} scene - What to draw (see the top of this file)
+ * @param {object} [previous] - The last frame: { renderer, scene, width, height, ratio }
+ * @returns {object} - This frame, to pass back as previous next time
+ */
+export const drawScene = (canvas, renderer, scene, previous = null) => {
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  const ratio = window.devicePixelRatio || 1;
+  const frame = { renderer, scene, width, height, ratio };
+
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  const count = scene.levels.length;
+  const draw = RENDERER_DRAWERS[renderer] || drawBars;
+  const color = createColorResolver(canvas);
+
+  const canRedrawPart = previous &&
+    !CIRCULAR_RENDERERS.includes(renderer) &&
+    previous.renderer === renderer &&
+    previous.width === width && previous.height === height && previous.ratio === ratio &&
+    count > 0 && width > 0 && height > 0 &&
+    previous.scene.levels.length === count &&
+    !scene.labels && !previous.scene.labels;
+
+  if (canRedrawPart) {
+    const dirty = getDirtyIndices(scene, previous.scene);
+    if (dirty.length <= count * MAX_DIRTY_SHARE) {
+      const slot = width / count;
+      const reach = DRAW_REACH[renderer] || DRAW_REACH.bars;
+      // Values whose drawing can reach into a dirty value's stretch
+      const margin = Math.ceil((2 * reach) / slot) + 1;
+      // Clip to whole device pixels, so redrawn stretches don't leave seams
+      const snap = (x, round) => round(x * ratio) / ratio;
+
+      toStretches(dirty, 2 * margin).forEach(([start, end]) => {
+        const left = Math.max(0, snap(start * slot - reach, Math.floor));
+        const right = Math.min(canvas.width / ratio, snap(end * slot + reach, Math.ceil));
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, 0, right - left, height);
+        ctx.clip();
+        ctx.clearRect(left, 0, right - left, height);
+        draw(ctx, scene, color, width, height, Math.max(0, start - margin), Math.min(count, end + margin));
+        ctx.restore();
+      });
+      return frame;
+    }
+  }
+
+  ctx.clearRect(0, 0, width, height);
+  if (!count || !width || !height) return frame;
+
+  draw(ctx, scene, color, width, height, 0, count);
+  return frame;
+};
+
+/**
+ * The position drawn under a point of the canvas, for tooltips
+ * @param {string} renderer - A key of RENDERERS
+ * @param {number} count - Number of values drawn
+ * @param {number} x - Distance from the canvas's left edge
+ * @param {number} y - Distance from the canvas's top edge
+ * @param {number} width - The canvas's width
+ * @param {number} height - The canvas's height
+ * @returns {number|null} - The index, or null if the point is outside the drawing
+ */
+export const indexAtPoint = (renderer, count, x, y, width, height) => {
+  if (!count || !width || !height) return null;
+
+  if (!CIRCULAR_RENDERERS.includes(renderer)) {
+    return Math.min(count - 1, Math.max(0, Math.floor((x / width) * count)));
+  }
+
+  const { cx, cy, radius } = circle(width, height);
+  if (Math.hypot(x - cx, y - cy) > radius + 6) return null;
+
+  // Angle clockwise from the top, matching angleOf
+  const angle = (Math.atan2(y - cy, x - cx) + Math.PI / 2 + TAU) % TAU;
+  return Math.min(count - 1, Math.floor((angle / TAU) * count));
+};
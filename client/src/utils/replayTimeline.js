@@ -0,0 +1,185 @@
+/**
+ * Replay Timeline
+ * Rebuilds an algorithm's state at any step from the race's starting dataset
+ * and the algorithm's operation log (see server/utils/operationLog.js).
+ * The log arrives a page of entries at a time, which are added with
+ * appendEntries and kept in flat arrays rather than one array per entry.
+ */
+
+// Copies of the dataset are kept every so many steps so scrubbing doesn't
+// have to replay the log from the start: every MIN_KEYFRAME_INTERVAL steps,
+// or further apart when that many copies would hold more than
+// MAX_KEYFRAME_VALUES values (large datasets over long logs)
+const MIN_KEYFRAME_INTERVAL = 250;
+const MAX_KEYFRAME_VALUES = 4000000;
+
+// Fields kept for every entry, each in an array of its own
+const METRIC_FIELDS = ['time', 'comparisons', 'swaps', 'arrayAccesses', 'arrayWrites'];
+
+// Apply one logged operation to the dataset (in place). Writes are a flat
+// [index, value, index, value, ...] list from writes[start] up to writes[end].
+const applyEntry = (dataset, type, removedIndex, writes, start, end) => {
+  // Removals (Stalin sort) shrink the array at the operation's index
+  if (type === 'removal') {
+    dataset.splice(removedIndex, 1);
+  }
+
+  for (let i = start; i < end; i += 2) {
+    dataset[writes[i]] = writes[i + 1];
+  }
+};
+
+// Append a list's items to a flat array (without spreading, as one
+// operation may write a whole dataset)
+const pushAll = (target, items) => {
+  for (let i = 0; i < items.length; i++) {
+    target.push(items[i]);
+  }
+};
+
+// Apply the timeline's entry at position step to the dataset
+const applyStep = (timeline, dataset, step) => {
+  const { types, typeIds, indexOffsets, indexItems, writeOffsets, writeItems } = timeline;
+  applyEntry(dataset, types[typeIds[step]], indexItems[indexOffsets[step]], writeItems, writeOffsets[step], writeOffsets[step + 1]);
+};
+
+/**
+ * Prepares an algorithm's operation log for random access
+ * @param {Array} dataset - The race's starting dataset
+ * @param {object} log - The stored operation log's header (fields, types, length, truncated)
+ * @returns {object} - Timeline to add entries to with appendEntries
+ */
+export const createTimeline = (dataset, log) => {
+  const field = {};
+  log.fields.forEach((name, index) => {
+    field[name] = index;
+  });
+
+  const metrics = {};
+  METRIC_FIELDS.forEach(name => {
+    metrics[name] = [];
+  });
+
+  const keyframeInterval = Math.max(MIN_KEYFRAME_INTERVAL, Math.ceil((log.length * dataset.length) / MAX_KEYFRAME_VALUES));
+
+  return {
+    field,
+    types: log.types,
+    expectedLength: log.length, // Entries the log holds, loaded or not
+    truncated: log.truncated,   // Whether the log stops before the algorithm did
+    length: 0,
+    typeIds: [],
+    metrics,
+    // Entry k's indices, values and writes are the items from its offset up
+    // to entry k + 1's
+    indexOffsets: [0],
+    indexItems: [],
+    valueOffsets: [0],
+    valueItems: [],
+    writeOffsets: [0],
+    writeItems: [],
+    keyframeInterval,
+    keyframes: [[...dataset]],
+    current: [...dataset], // The dataset after every loaded entry
+    // Each operation is on screen from the time the previous one finished
+    // (times are in units of cost, see server/utils/costModel.js)
+    startTimes: [],
+    endTime: 0
+  };
+};
+
+/**
+ * Adds the next page of log entries to a timeline (in place)
+ * @param {object} timeline - Timeline from createTimeline
+ * @param {Array} entries - Entries following the ones already added
+ */
+export const appendEntries = (timeline, entries) => {
+  const { field, metrics } = timeline;
+
+  entries.forEach(entry => {
+    timeline.startTimes.push(timeline.endTime);
+    timeline.endTime = entry[field.time];
+
+    timeline.typeIds.push(entry[field.type]);
+    METRIC_FIELDS.forEach(name => metrics[name].push(entry[field[name]]));
+    pushAll(timeline.indexItems, entry[field.indices]);
+    timeline.indexOffsets.push(timeline.indexItems.length);
+    pushAll(timeline.valueItems, entry[field.values]);
+    timeline.valueOffsets.push(timeline.valueItems.length);
+    pushAll(timeline.writeItems, entry[field.writes]);
+    timeline.writeOffsets.push(timeline.writeItems.length);
+
+    applyStep(timeline, timeline.current, timeline.length);
+    timeline.length++;
+
+    // Keyframe k holds the dataset after k * keyframeInterval operations
+    if (timeline.length % timeline.keyframeInterval === 0) {
+      timeline.keyframes.push([...timeline.current]);
+    }
+  });
+};
+
+/**
+ * Gets how many operations an algorithm had performed at a point in race time
+ * @param {object} timeline - Timeline from createTimeline
+ * @param {number} time - Race time in units of cost
+ * @returns {number} - The step to show at that time
+ */
+export const getStepAtTime = (timeline, time) => {
+  if (time <= 0) return 0;
+  if (time >= timeline.endTime) return timeline.length;
+
+  // Binary search for the number of operations that started before this time
+  const { startTimes } = timeline;
+  let low = 0;
+  let high = startTimes.length;
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (startTimes[mid] < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+};
+
+/**
+ * Gets an algorithm's state after a number of steps
+ * @param {object} timeline - Timeline from createTimeline
+ * @param {number} step - Number of operations performed (clamped to the log length)
+ * @returns {object} - State in the same shape as a live race update
+ */
+export const getTimelineState = (timeline, step) => {
+  const { types, typeIds, metrics, keyframes, keyframeInterval, indexOffsets, indexItems, valueOffsets, valueItems } = timeline;
+  const clampedStep = Math.max(0, Math.min(step, timeline.length));
+
+  // Start from the closest keyframe at or before the step
+  const keyframeIndex = Math.min(Math.floor(clampedStep / keyframeInterval), keyframes.length - 1);
+  const dataset = [...keyframes[keyframeIndex]];
+
+  for (let i = keyframeIndex * keyframeInterval; i < clampedStep; i++) {
+    applyStep(timeline, dataset, i);
+  }
+
+  // Metrics and the highlighted operation come from the last applied entry
+  const last = clampedStep - 1;
+  const metric = (name) => (clampedStep > 0 ? metrics[name][last] : 0);
+
+  return {
+    dataset,
+    currentStep: clampedStep,
+    totalCost: metric('time'),
+    comparisons: metric('comparisons'),
+    swaps: metric('swaps'),
+    arrayAccesses: metric('arrayAccesses'),
+    arrayWrites: metric('arrayWrites'),
+    lastOperation: clampedStep > 0 ? {
+      type: types[typeIds[last]],
+      indices: indexItems.slice(indexOffsets[last], indexOffsets[last + 1]),
+      values: valueItems.slice(valueOffsets[last], valueOffsets[last + 1])
+    } : null
+  };
+};
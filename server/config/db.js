@@ -1,8 +1,28 @@
+const crypto = require('crypto');
+
+const { getPresetCostModel } = require('../utils/costModel');
+const { DEFAULT_STEP_BUDGET, DEFAULT_TIME_LIMIT } = require('../utils/raceLimits');
+const { DEFAULT_PIVOT_STRATEGY } = require('../utils/pivotStrategies');
+const { MAX_STORED_LOG_BYTES } = require('../utils/operationLog');
+
+// Datasets come from the algorithm engine's generator so seeded races stay reproducible
+const { generateDataset } = require('../utils/algorithmEngine');
+
 // In-memory database implementation
 const db = {
-  rooms: new Map()
+  rooms: new Map(),
+  races: new Map(),
+  storedLogBytes: 0 // Memory the operation logs of the stored races take
 };
 
+// Finished races are kept in memory, so only the most recent ones are retained,
+// and fewer of them when their operation logs are large
+const MAX_STORED_RACES = 50;
+
+// Memory the operation logs of a stored race take
+const logBytesOf = (race) => Object.values(race.algorithms || {})
+  .reduce((total, record) => total + (record.log ? record.log.byteSize : 0), 0);
+
 // For debug purposes
 global.getInMemoryDB = () => db;
 
@@ -16,41 +36,6 @@ const generateRoomCode = () => {
   return code;
 };
 
-// Generate a random dataset for sorting algorithms
-const generateDataset = (size = 20, min = 1, max = 100, allowDuplicates = false) => {
-  const dataset = [];
-  const range = max - min + 1;
-  
-  if (allowDuplicates) {
-    for (let i = 0; i < size; i++) {
-      dataset.push(Math.floor(Math.random() * range) + min);
-    }
-  } else {
-    // Ensure unique values by creating array with all possible values and shuffling
-    if (range < size) {
-      throw new Error('Range must be at least as large as the dataset size when duplicates are not allowed');
-    }
-    
-    const allValues = [];
-    for (let i = min; i <= max; i++) {
-      allValues.push(i);
-    }
-    
-    // Fisher-Yates shuffle
-    for (let i = allValues.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [allValues[i], allValues[j]] = [allValues[j], allValues[i]];
-    }
-    
-    // Take first 'size' elements
-    for (let i = 0; i < size; i++) {
-      dataset.push(allValues[i]);
-    }
-  }
-  
-  return dataset;
-};
-
 // Room model implementation
 class Room {
   constructor(data) {
@@ -59,8 +44,18 @@ class Room {
     this.status = 'waiting';
     this.datasetSize = 20;
     this.allowDuplicates = false;
+    this.datasetType = 'integers'; // What the dataset holds (see utils/datasetTypes.js)
+    this.datasetShape = 'random'; // How the dataset is arranged (see utils/datasetShapes.js)
+    this.customDataset = null; // Exact dataset set by the host, used instead of generating one
+    this.disqualifiedCanWin = false; // Whether algorithms whose output fails verification can still place and win bets
     this.valueRange = { min: 1, max: 5000 };
     this.stepSpeed = 250;
+    this.executionMode = 'realtime'; // 'realtime', 'virtual' or 'step' (see utils/virtualClock.js)
+    this.costModel = getPresetCostModel(); // How much each operation costs (see utils/costModel.js)
+    this.pivotStrategy = DEFAULT_PIVOT_STRATEGY; // How Quick Sort picks its pivot (see utils/pivotStrategies.js)
+    this.stepBudget = DEFAULT_STEP_BUDGET; // Most steps an algorithm may take before it did not finish (see utils/raceLimits.js)
+    this.timeLimit = DEFAULT_TIME_LIMIT;   // Seconds a race may run before unfinished algorithms did not finish
+    this.customAlgorithms = {}; // Player-submitted algorithms by id (see utils/customAlgorithms.js)
     this.createdAt = new Date();
     this.players = [];
     this.pendingDeletion = false;
@@ -365,6 +360,59 @@ class Room {
   }
 }
 
+// Race model implementation - a finished race with its dataset and operation logs
+class Race {
+  constructor(data) {
+    this.createdAt = new Date();
+    
+    // Apply supplied data over defaults
+    Object.assign(this, data);
+    
+    if (!this.raceId) {
+      this.raceId = crypto.randomUUID();
+    }
+  }
+  
+  static async create(data) {
+    const race = new Race(data);
+    
+    db.races.set(race.raceId, race);
+    db.storedLogBytes += logBytesOf(race);
+    
+    // Drop the oldest races once over either limit (Maps keep insertion order),
+    // always keeping the race just stored
+    while (db.races.size > MAX_STORED_RACES || (db.storedLogBytes > MAX_STORED_LOG_BYTES && db.races.size > 1)) {
+      const [oldestId, oldest] = db.races.entries().next().value;
+      db.races.delete(oldestId);
+      db.storedLogBytes -= logBytesOf(oldest);
+      console.log(`[DB] Dropped stored race: ${oldestId}`);
+    }
+    
+    console.log(`[DB] Stored race: ${race.raceId} (room ${race.roomCode})`);
+    
+    return race;
+  }
+  
+  static async findById(raceId) {
+    return db.races.get(raceId) || null;
+  }
+  
+  static async find(query = {}) {
+    const results = [];
+    
+    for (const race of db.races.values()) {
+      // Match all properties in the query
+      const match = Object.entries(query).every(([key, value]) => race[key] === value);
+      
+      if (match) {
+        results.push(race);
+      }
+    }
+    
+    return results;
+  }
+}
+
 // Initialize database and create test rooms if needed
 const initializeDatabase = async () => {
   console.log('In-memory database initialized');
@@ -395,6 +443,9 @@ const getModel = (modelName) => {
   if (modelName === 'Room') {
     return Room;
   }
+  if (modelName === 'Race') {
+    return Race;
+  }
   throw new Error(`Model ${modelName} not implemented`);
 };
 
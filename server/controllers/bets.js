@@ -89,13 +89,16 @@ const clearRoomBets = async (roomCode) => {
 /**
  * Award points to players after a race
  * @param {string} roomCode - The room code
- * @param {string} winnerAlgorithm - The winning algorithm
+ * @param {string|Array} winnerAlgorithm - The winning algorithm (or all algorithms tied for first)
  * @param {Array} playerBets - Array of player bets
  */
 const awardPoints = async (roomCode, winnerAlgorithm, playerBets) => {
   // Normalize room code
   const normalizedRoomCode = roomCode.trim().toUpperCase();
   
+  // A bet on any algorithm tied for first wins
+  const winnerAlgorithms = [].concat(winnerAlgorithm);
+  
   console.log(`🎖️ POINTS: Awarding points in room ${normalizedRoomCode} for algorithm ${winnerAlgorithm}`, 
     { betsCount: playerBets.length });
   
@@ -115,9 +118,10 @@ const awardPoints = async (roomCode, winnerAlgorithm, playerBets) => {
     
     // Award points to winners
     for (const bet of playerBets) {
-      console.log(`Checking bet for ${bet.username}: bet=${bet.algorithm}, winner=${winnerAlgorithm}, match=${bet.algorithm === winnerAlgorithm}`);
+      const isMatch = winnerAlgorithms.includes(bet.algorithm);
+      console.log(`Checking bet for ${bet.username}: bet=${bet.algorithm}, winner=${winnerAlgorithms.join(', ')}, match=${isMatch}`);
       
-      if (bet.algorithm === winnerAlgorithm) {
+      if (isMatch) {
         // Add point directly to the room
         room.addPoint(bet.socketId, bet.username);
         updatedCount++;
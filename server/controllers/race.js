@@ -1,13 +1,44 @@
 const { getModel } = require('../config/db');
-const { createAlgorithm, generateDataset } = require('../utils/algorithmEngine');
+const { createAlgorithm, createUserAlgorithm, generateDataset } = require('../utils/algorithmEngine');
+const { createRandom, deriveSeed, generateSeed } = require('../utils/random');
+const { VirtualClock } = require('../utils/virtualClock');
+const { RealtimeClock } = require('../utils/realtimeClock');
+const { StepClock } = require('../utils/stepClock');
+const { getPresetCostModel } = require('../utils/costModel');
+const { isCustomAlgorithmId, getCustomAlgorithm, getCustomAlgorithmList } = require('../utils/customAlgorithms');
+const { runUserAlgorithm } = require('../utils/sandbox');
+const { verifySortedPermutation } = require('../utils/verification');
+const { minUpdateIntervalFor } = require('../utils/datasetLimits');
+const { RaceUpdateStream } = require('../utils/raceUpdates');
+const { LOG_PAGE_SIZE } = require('../utils/operationLog');
+const { createRecords, keyOf, sortKeyOf } = require('../utils/sortRecord');
 const { getAllBetsForRoom, clearRoomBets, awardPoints, getLeaderboardWithUsernames } = require('./bets');
 
 // In-memory store for active races
 const activeRaces = new Map();
 
-// @desc    Start a race
+// Rooms whose race is being set up (player algorithms running in the sandbox)
+const preparingRaces = new Set();
+
+/**
+ * Creates the clock that times every operation in a race
+ * @param {string} executionMode - 'realtime', 'virtual' or 'step'
+ * @param {number} stepSpeed - Milliseconds per unit of cost
+ * @returns {object} - The race clock
+ */
+const createRaceClock = (executionMode, stepSpeed) => {
+  if (executionMode === 'virtual') {
+    return new VirtualClock(stepSpeed);
+  }
+  if (executionMode === 'step') {
+    return new StepClock();
+  }
+  return new RealtimeClock(stepSpeed);
+};
+
+// @desc    Start a race (pass a seed to re-run an earlier race exactly)
 // @access  Server-only
-exports.startRace = async (io, socket, roomCode, room) => {
+exports.startRace = async (io, socket, roomCode, room, seed) => {
   try {
     // Normalize room code for consistency
     const normalizedRoomCode = roomCode.trim().toUpperCase();
@@ -24,41 +55,101 @@ exports.startRace = async (io, socket, roomCode, room) => {
     }
     
     // Check if race is already running
-    if (activeRaces.has(normalizedRoomCode)) {
+    if (activeRaces.has(normalizedRoomCode) || preparingRaces.has(normalizedRoomCode)) {
       socket.emit('race_error', { message: 'Race is already in progress' });
       return;
     }
     
     // Ensure we have at least 2 algorithms selected
     if (!room.algorithms || room.algorithms.length < 2) {
+      await cancelRaceStart(room);
       socket.emit('race_error', { message: 'Must have at least 2 algorithms selected for a race' });
       return;
     }
     
-    console.log(`Starting race in room ${normalizedRoomCode} with algorithms:`, room.algorithms);
+    // Every race has a seed so it can be reproduced later
+    const raceSeed = seed ?? generateSeed();
+    
+    console.log(`Starting race in room ${normalizedRoomCode} with seed ${raceSeed} and algorithms:`, room.algorithms);
     
-    // Generate dataset
-    const dataset = generateDataset(
-      room.datasetSize,
-      room.valueRange.min,
-      room.valueRange.max,
-      room.allowDuplicates
-    );
+    // Use the host's exact dataset if there is one, otherwise generate it
+    const dataset = room.customDataset
+      ? [...room.customDataset]
+      : generateDataset(
+        room.datasetSize,
+        room.valueRange.min,
+        room.valueRange.max,
+        room.allowDuplicates,
+        { random: createRandom(deriveSeed(raceSeed, 'dataset')), shape: room.datasetShape, type: room.datasetType }
+      );
     
-    // Create algorithm instances
+    // In virtual and step mode every algorithm runs on one shared clock, so the
+    // finish order depends only on the operations performed and not on timer
+    // jitter. The clock is also how the whole race is paused and stopped.
+    const executionMode = room.executionMode || 'realtime';
+    const clock = createRaceClock(executionMode, room.stepSpeed);
+    
+    // Every algorithm is charged with the room's cost model
+    const costModel = room.costModel || getPresetCostModel();
+    
+    // Player algorithms run in the sandbox before the race starts, so none of
+    // them holds up the others once it is underway
+    let sandboxRuns;
+    preparingRaces.add(normalizedRoomCode);
+    try {
+      sandboxRuns = await runCustomAlgorithms(room, dataset, raceSeed);
+    } finally {
+      preparingRaces.delete(normalizedRoomCode);
+    }
+    
+    // Create algorithm instances, each with its own random stream so that
+    // one algorithm's random choices never depend on another's progress
     const algorithms = {};
     for (const algorithmType of room.algorithms) {
-      algorithms[algorithmType] = createAlgorithm(algorithmType, dataset, room.stepSpeed);
+      const options = {
+        random: createRandom(deriveSeed(raceSeed, algorithmType)),
+        clock,
+        costWeights: costModel.weights,
+        pivotStrategy: room.pivotStrategy,
+        stepBudget: room.stepBudget
+      };
+      
+      if (isCustomAlgorithmId(algorithmType)) {
+        const { trace, error } = sandboxRuns[algorithmType];
+        algorithms[algorithmType] = createUserAlgorithm(dataset, room.stepSpeed, { ...options, trace, sandboxError: error });
+      } else {
+        algorithms[algorithmType] = createAlgorithm(algorithmType, dataset, room.stepSpeed, options);
+      }
     }
     
+    // Race updates go out as changes to what clients already have (see raceUpdates.js)
+    const updateStream = new RaceUpdateStream(algorithms);
+    
     // Store race data with normalized room code
     activeRaces.set(normalizedRoomCode, {
       roomCode: normalizedRoomCode,
       algorithms,
+      updateStream,
       dataset,
+      datasetShape: room.customDataset ? 'custom' : room.datasetShape,
+      datasetType: room.customDataset ? 'integers' : room.datasetType,
+      seed: raceSeed,
+      executionMode,
+      costModel,
+      pivotStrategy: room.pivotStrategy,
+      clock,
       startTime: Date.now(),
       stepSpeed: room.stepSpeed,
+      paused: false,
       finishedAlgorithms: [],
+      finishTimes: {}, // Finish time of each algorithm on a shared clock (virtual and step mode)
+      dnfReasons: {},  // Why each algorithm that failed did not finish
+      disqualifications: {}, // Why each algorithm whose output failed verification was disqualified
+      disqualifiedCanWin: room.disqualifiedCanWin,
+      stepBudget: room.stepBudget,
+      // Step-mode races wait on the host, so only the other modes are timed
+      timeLimit: executionMode === 'step' ? 0 : room.timeLimit,
+      customAlgorithms: getCustomAlgorithmList(room).filter(({ id }) => algorithms[id]),
       bets: await getAllBetsForRoom(normalizedRoomCode)
     });
     
@@ -66,7 +157,11 @@ exports.startRace = async (io, socket, roomCode, room) => {
     io.to(normalizedRoomCode).emit('race_started', {
       roomCode: normalizedRoomCode,
       algorithms: room.algorithms,
-      dataset
+      dataset,
+      seed: raceSeed,
+      executionMode,
+      costModel,
+      snapshot: updateStream.snapshot() // Where the race_update stream starts
     });
     
     // Start all the sorting algorithms asynchronously
@@ -77,46 +172,124 @@ exports.startRace = async (io, socket, roomCode, room) => {
     
   } catch (error) {
     console.error('Error starting race:', error);
+    
+    // A race that never got going mustn't leave the room stuck racing
+    if (room && !activeRaces.has(room.code)) {
+      await cancelRaceStart(room);
+    }
     socket.emit('race_error', { message: 'Server error' });
   }
 };
 
+// Put a room whose race couldn't start back to waiting, so the host can
+// change the settings and try again
+const cancelRaceStart = async (room) => {
+  try {
+    room.status = 'waiting';
+    await room.save();
+  } catch (error) {
+    console.error('Error resetting room after a failed race start:', error);
+  }
+};
+
+/**
+ * Runs the room's selected player algorithms in the sandbox
+ * @param {object} room - The room
+ * @param {Array} dataset - The race's dataset
+ * @param {number} raceSeed - The race seed
+ * @returns {Promise<object>} - Sandbox result ({ trace, error }) keyed by algorithm id
+ */
+const runCustomAlgorithms = async (room, dataset, raceSeed) => {
+  const runs = {};
+  const sortKeys = createRecords(dataset).map(sortKeyOf);
+  
+  for (const algorithmType of room.algorithms.filter(isCustomAlgorithmId)) {
+    const customAlgorithm = getCustomAlgorithm(room, algorithmType);
+    
+    runs[algorithmType] = customAlgorithm
+      ? await runUserAlgorithm({ code: customAlgorithm.code, dataset: sortKeys, seed: deriveSeed(raceSeed, algorithmType), stepBudget: room.stepBudget })
+      : { trace: [], error: 'Algorithm was removed' };
+  }
+  
+  return runs;
+};
+
 // Run all the algorithms and broadcast updates
 const runRaceAlgorithms = async (io, roomCode, race) => {
   try {
     // Normalize room code for consistency (if not already done)
     const normalizedRoomCode = roomCode.trim().toUpperCase();
     
-    // Set up a regular interval to broadcast the current state
-    const updateInterval = setInterval(() => {
-      broadcastRaceUpdate(io, normalizedRoomCode, race);
-    }, Math.min(100, race.stepSpeed)); // Update regularly, but not more than 10 times per second
+    // Set up a regular interval to broadcast the current state (step-mode
+    // races broadcast after each step instead, see stepRace)
+    if (race.executionMode !== 'step') {
+      startUpdateBroadcast(io, normalizedRoomCode, race);
+    }
     
-    // Store the interval reference in the race object so it can be cleared when ending early
-    race.updateInterval = updateInterval;
+    // Algorithms still running when the time limit is up did not finish
+    if (race.timeLimit) {
+      startTimeLimit(io, normalizedRoomCode, race, race.timeLimit * 1000);
+    }
     
     // Start each algorithm and handle completion
     const algorithmPromises = Object.entries(race.algorithms).map(async ([type, algorithm]) => {
       try {
+        // Operations are recorded before they wait on the clock, so in step
+        // mode an algorithm waits for the host's first step before it starts,
+        // and each step then performs exactly one operation
+        if (race.executionMode === 'step') {
+          await race.clock.wait();
+        }
+        
         // Start the algorithm
         await algorithm.run();
         
-        // When algorithm finishes, record it
-        const position = race.finishedAlgorithms.push(type);
+        // An algorithm already marked as did not finish (the time limit ran
+        // out) can't finish or fail any more
+        if (race.dnfReasons[type]) return;
         
-        // Notify clients about algorithm completion
-        io.to(normalizedRoomCode).emit('algorithm_finished', {
-          type,
-          position,
-          steps: algorithm.currentStep,
-          comparisons: algorithm.comparisons,
-          swaps: algorithm.swaps,
-          arrayAccesses: algorithm.arrayAccesses,
-          arrayWrites: algorithm.arrayWrites
-        });
+        if (algorithm.error) {
+          // An algorithm that failed did not finish and gets no position
+          race.dnfReasons[type] = algorithm.error;
+          
+          io.to(normalizedRoomCode).emit('algorithm_dnf', {
+            type,
+            reason: algorithm.error,
+            steps: algorithm.currentStep
+          });
+        } else {
+          // Check the algorithm really sorted the input before it can place
+          const disqualification = verifySortedPermutation(race.dataset, algorithm.dataset);
+          if (disqualification) {
+            race.disqualifications[type] = disqualification;
+          }
+          
+          // When algorithm finishes, record it (and when, on a shared clock)
+          race.finishedAlgorithms.push(type);
+          if (race.executionMode !== 'realtime') {
+            race.finishTimes[type] = race.clock.now;
+          }
+          const position = getFinishPosition(race, type);
+          
+          // Notify clients about algorithm completion
+          io.to(normalizedRoomCode).emit('algorithm_finished', {
+            type,
+            position,
+            finishTime: race.finishTimes[type],
+            totalCost: algorithm.totalCost,
+            steps: algorithm.currentStep,
+            comparisons: algorithm.comparisons,
+            swaps: algorithm.swaps,
+            arrayAccesses: algorithm.arrayAccesses,
+            arrayWrites: algorithm.arrayWrites,
+            disqualificationReason: disqualification,
+            stable: algorithm.getStability(),
+            comparisonsSaved: algorithm.getComparisonsSaved()
+          });
+        }
         
         // Check if all algorithms are done
-        if (race.finishedAlgorithms.length === Object.keys(race.algorithms).length) {
+        if (isRaceComplete(race)) {
           if (race.updateInterval) {
             clearInterval(race.updateInterval);
           }
@@ -133,25 +306,137 @@ const runRaceAlgorithms = async (io, roomCode, race) => {
   }
 };
 
-// Broadcast the current state of all algorithms
+// Time the race against its time limit; the remaining time is kept on the
+// race so pausing can stop the timer and resuming can restart it
+const startTimeLimit = (io, roomCode, race, remaining) => {
+  race.timeLimitRemaining = remaining;
+  race.timeLimitStartedAt = Date.now();
+  race.timeLimitTimer = setTimeout(() => {
+    race.timeLimitTimer = null;
+    enforceTimeLimit(io, roomCode, race);
+  }, remaining);
+};
+
+// Stop the time limit timer, keeping the time that was left (pausing)
+const stopTimeLimit = (race) => {
+  if (!race.timeLimitTimer) return;
+  
+  clearTimeout(race.timeLimitTimer);
+  race.timeLimitTimer = null;
+  race.timeLimitRemaining = Math.max(0, race.timeLimitRemaining - (Date.now() - race.timeLimitStartedAt));
+};
+
+// Mark every algorithm still running as did not finish and end the race
+const enforceTimeLimit = async (io, roomCode, race) => {
+  try {
+    if (activeRaces.get(roomCode) !== race) return;
+    
+    const reason = `Exceeded the time limit of ${race.timeLimit} s`;
+    
+    // Stop the clock first, so no algorithm still running can take another
+    // step and finish after it has been marked as did not finish
+    race.clock.stop();
+    
+    for (const [type, algorithm] of Object.entries(race.algorithms)) {
+      if (race.finishedAlgorithms.includes(type) || race.dnfReasons[type]) continue;
+      
+      algorithm.pause();
+      race.dnfReasons[type] = reason;
+      
+      io.to(roomCode).emit('algorithm_dnf', {
+        type,
+        reason,
+        steps: algorithm.currentStep
+      });
+    }
+    
+    if (race.updateInterval) {
+      clearInterval(race.updateInterval);
+    }
+    
+    // Show where every algorithm got to before the race is finalized
+    broadcastRaceUpdate(io, roomCode, race);
+    
+    await finalizeRace(io, roomCode);
+  } catch (error) {
+    console.error('Error enforcing race time limit:', error);
+  }
+};
+
+// Check whether every algorithm has finished or failed
+const isRaceComplete = (race) => {
+  const doneCount = race.finishedAlgorithms.length + Object.keys(race.dnfReasons).length;
+  return doneCount === Object.keys(race.algorithms).length;
+};
+
+// Start broadcasting the race state at a regular interval
+const startUpdateBroadcast = (io, roomCode, race) => {
+  // Store the interval reference in the race object so it can be cleared when ending early or pausing
+  // Update with every step, or 10 times per second for slower races, but less
+  // often for big datasets, since keyframes carry every algorithm's dataset
+  const valueCount = race.dataset.length * Object.keys(race.algorithms).length;
+  race.updateInterval = setInterval(() => {
+    broadcastRaceUpdate(io, roomCode, race);
+  }, Math.max(Math.min(100, race.stepSpeed), minUpdateIntervalFor(valueCount)));
+};
+
+// Broadcast the current state of all algorithms, as the next message of the
+// race's update stream
 const broadcastRaceUpdate = (io, roomCode, race) => {
   // Normalize room code for consistency
   const normalizedRoomCode = roomCode.trim().toUpperCase();
   
-  const updates = {};
-  
-  // Get current state of each algorithm
-  for (const [type, algorithm] of Object.entries(race.algorithms)) {
-    updates[type] = algorithm.getState();
-  }
-  
   // Broadcast updates to all clients in the room
   io.to(normalizedRoomCode).emit('race_update', {
     roomCode: normalizedRoomCode,
-    updates
+    ...race.updateStream.next()
   });
 };
 
+// Check whether an algorithm takes a finishing position: it must not have
+// failed, and disqualified algorithms only place if the room allows them to win
+const isRanked = (race, type) => {
+  if (race.dnfReasons[type]) return false;
+  return !race.disqualifications[type] || race.disqualifiedCanWin;
+};
+
+/**
+ * Gets an algorithm's finishing position. On the virtual clock algorithms that
+ * finish at the same time share a position (a true tie); otherwise position
+ * is the order in which they finished. Algorithms that did not finish, and
+ * disqualified ones unless the room lets them win, have no position.
+ * @param {object} race - The race data
+ * @param {string} type - The algorithm type
+ * @returns {number|null} - The position, starting from 1
+ */
+const getFinishPosition = (race, type) => {
+  if (!isRanked(race, type)) {
+    return null;
+  }
+  
+  const finishTime = race.finishTimes[type];
+  
+  // Realtime races and algorithms stopped early go by finishing order
+  if (finishTime === undefined) {
+    return race.finishedAlgorithms.filter(finished => isRanked(race, finished)).indexOf(type) + 1;
+  }
+  
+  const finishedEarlier = Object.entries(race.finishTimes)
+    .filter(([finished, time]) => time < finishTime && isRanked(race, finished))
+    .length;
+  return finishedEarlier + 1;
+};
+
+// Verification status of a result: 'valid' or 'disqualified' for algorithms
+// that finished on their own, null for ones that failed or were stopped early
+const getVerificationStatus = (race, type) => {
+  if (race.dnfReasons[type] || (race.stoppedAlgorithms || []).includes(type)) {
+    return null;
+  }
+  
+  return race.disqualifications[type] ? 'disqualified' : 'valid';
+};
+
 /**
  * Calculates results for a single algorithm
  * @param {object} algorithm - The algorithm instance
@@ -163,7 +448,7 @@ const broadcastRaceUpdate = (io, roomCode, race) => {
  */
 const calculateAlgorithmResult = (algorithm, type, race, stoppedAlgorithms, winnerAlgorithm) => {
   // Find the position in finished algorithms
-  const position = race.finishedAlgorithms.indexOf(type) + 1;
+  const position = getFinishPosition(race, type);
   
   // Only mark as stopped early if this algorithm was explicitly stopped
   // Not just because it wasn't the winner in an early ended race
@@ -176,11 +461,43 @@ const calculateAlgorithmResult = (algorithm, type, race, stoppedAlgorithms, winn
     swaps: algorithm.swaps,
     arrayAccesses: algorithm.arrayAccesses,
     arrayWrites: algorithm.arrayWrites,
-    isWinner: type === winnerAlgorithm,
-    stoppedEarly: wasStoppedEarly
+    totalCost: algorithm.totalCost,
+    finishTime: race.finishTimes[type],
+    isWinner: position === 1,
+    stoppedEarly: wasStoppedEarly,
+    dnf: Boolean(race.dnfReasons[type]),
+    dnfReason: race.dnfReasons[type] || null,
+    status: getVerificationStatus(race, type),
+    disqualificationReason: race.disqualifications[type] || null,
+    // Observed from equal keys in the output; null if the run couldn't show it
+    stable: getVerificationStatus(race, type) ? algorithm.getStability() : null,
+    // Heap sort variants only: comparisons saved over a binary Heap Sort of the same input
+    comparisonsSaved: algorithm.getComparisonsSaved()
   };
 };
 
+/**
+ * Builds the stored record of each algorithm in a finished race
+ * @param {object} race - The race data
+ * @param {object} results - The calculated results keyed by algorithm type
+ * @returns {object} - Operation log, final dataset and result for each algorithm
+ */
+const buildAlgorithmRecords = (race, results) => {
+  const records = {};
+  
+  for (const [type, algorithm] of Object.entries(race.algorithms)) {
+    // The log is kept as is and sent a page at a time (see getReplayPage)
+    algorithm.operationLog.trim();
+    records[type] = {
+      log: algorithm.operationLog,
+      finalDataset: algorithm.dataset.map(keyOf),
+      result: results[type]
+    };
+  }
+  
+  return records;
+};
+
 // Finalize the race and update scores
 const finalizeRace = async (io, roomCode) => {
   try {
@@ -206,8 +523,12 @@ const finalizeRace = async (io, roomCode) => {
     room.status = 'finished';
     await room.save();
     
-    // Determine winner algorithm
-    const winnerAlgorithm = race.finishedAlgorithms[0];
+    // Determine winner algorithm - on the virtual clock several can tie for first
+    const winnerAlgorithm = race.finishedAlgorithms.find(type => isRanked(race, type));
+    const winnerAlgorithms = race.finishedAlgorithms.filter(type => getFinishPosition(race, type) === 1);
+    
+    // The clock is no longer needed once the race is over
+    race.clock.stop();
     
     // Find all winning bets (bets on the winning algorithm)
     const winningBets = [];
@@ -220,14 +541,14 @@ const finalizeRace = async (io, roomCode) => {
     // Find winning bets
     for (const bet of allBets) {
       console.log(`  - Room bet: player=${bet.username}, algorithm=${bet.algorithm}`);
-      if (bet.algorithm === winnerAlgorithm) {
+      if (winnerAlgorithms.includes(bet.algorithm)) {
         winningBets.push(bet);
         winningUsers.push(bet.socketId);
       }
     }
     
     // Award points to players who bet correctly - returns true if points were awarded
-    const pointsAwarded = await awardPoints(normalizedRoomCode, winnerAlgorithm, allBets);
+    const pointsAwarded = await awardPoints(normalizedRoomCode, winnerAlgorithms, allBets);
     console.log(`Points awarded in race: ${pointsAwarded}`);
     
     // Get the leaderboard with usernames - this will include all players even if they have 0 points
@@ -246,12 +567,40 @@ const finalizeRace = async (io, roomCode) => {
       results[type] = calculateAlgorithmResult(algorithm, type, race, stoppedAlgorithms, winnerAlgorithm);
     }
     
+    // Keep the race with every algorithm's operation log so it can be replayed later
+    const Race = getModel('Race');
+    const raceRecord = await Race.create({
+      roomCode: normalizedRoomCode,
+      seed: race.seed,
+      dataset: race.dataset,
+      datasetShape: race.datasetShape,
+      datasetType: race.datasetType,
+      stepSpeed: race.stepSpeed,
+      executionMode: race.executionMode,
+      costModel: race.costModel,
+      pivotStrategy: race.pivotStrategy,
+      disqualifiedCanWin: race.disqualifiedCanWin,
+      stepBudget: race.stepBudget,
+      timeLimit: race.timeLimit,
+      customAlgorithms: race.customAlgorithms,
+      startTime: race.startTime,
+      endTime: Date.now(),
+      pausedDuration: race.pausedDuration || 0,
+      winnerAlgorithm,
+      winnerAlgorithms,
+      endedEarly: race.endedEarly || false,
+      algorithms: buildAlgorithmRecords(race, results)
+    });
+    
     // Broadcast race results
     io.to(normalizedRoomCode).emit('race_results', {
       roomCode: normalizedRoomCode,
       results,
       winnerAlgorithm,
+      winnerAlgorithms,
       winningUsers,
+      seed: race.seed,
+      raceId: raceRecord.raceId,
       endedEarly: race.endedEarly || false,
       leaderboard: leaderboard
     });
@@ -297,6 +646,11 @@ const finalizeRace = async (io, roomCode) => {
  * @param {string} roomCode - The room code
  */
 const cleanupRace = async (roomCode) => {
+  const race = activeRaces.get(roomCode);
+  if (race) {
+    stopTimeLimit(race);
+  }
+  
   // Remove from active races
   activeRaces.delete(roomCode);
   
@@ -317,13 +671,96 @@ exports.getRaceStatus = (roomCode) => {
   
   return {
     exists: true,
-    status: race.finishedAlgorithms.length === Object.keys(race.algorithms).length ? 'finished' : 'racing',
+    status: isRaceComplete(race) ? 'finished' : 'racing',
     algorithms: Object.keys(race.algorithms),
     finishedAlgorithms: race.finishedAlgorithms,
-    dataset: race.dataset
+    dataset: race.dataset,
+    seed: race.seed,
+    executionMode: race.executionMode,
+    paused: race.paused,
+    snapshot: race.updateStream.snapshot() // Where a client joining mid-race picks up the race_update stream
   };
 };
 
+// @desc    Send a client that missed a race update the race's current state
+// @access  Server-only
+exports.sendRaceSnapshot = (socket, roomCode) => {
+  const race = activeRaces.get(roomCode);
+  
+  // The race may have ended while the request was on its way
+  if (!race) return;
+  
+  socket.emit('race_update', {
+    roomCode,
+    ...race.updateStream.snapshot()
+  });
+};
+
+// @desc    Send a finished race (dataset and operation log headers) for replay,
+//          the log entries follow a page at a time (see getReplayPage)
+// @access  Public
+exports.getRaceReplay = async (socket, raceId) => {
+  try {
+    if (!raceId || typeof raceId !== 'string') {
+      socket.emit('replay_error', { message: 'Race ID is required' });
+      return;
+    }
+    
+    const Race = getModel('Race');
+    const race = await Race.findById(raceId);
+    
+    if (!race) {
+      socket.emit('replay_error', { message: 'Race not found. Only recent races are kept for replay.' });
+      return;
+    }
+    
+    socket.emit('race_replay', { race });
+  } catch (error) {
+    console.error('Error getting race replay:', error);
+    socket.emit('replay_error', { message: 'Server error' });
+  }
+};
+
+// @desc    Send a page of a finished race's operation log, starting at entry start
+// @access  Public
+exports.getReplayPage = async (socket, raceId, algorithm, start) => {
+  try {
+    if (!raceId || typeof raceId !== 'string') {
+      socket.emit('replay_error', { message: 'Race ID is required' });
+      return;
+    }
+    
+    const Race = getModel('Race');
+    const race = await Race.findById(raceId);
+    
+    if (!race) {
+      socket.emit('replay_error', { message: 'Race not found. Only recent races are kept for replay.' });
+      return;
+    }
+    
+    if (typeof algorithm !== 'string' || !Object.hasOwn(race.algorithms, algorithm)) {
+      socket.emit('replay_error', { message: 'Algorithm not found in this race' });
+      return;
+    }
+    
+    const { log } = race.algorithms[algorithm];
+    if (!Number.isInteger(start) || start < 0 || start > log.length) {
+      socket.emit('replay_error', { message: 'Invalid replay page' });
+      return;
+    }
+    
+    socket.emit('replay_page', {
+      raceId,
+      algorithm,
+      start,
+      entries: log.getEntries(start, LOG_PAGE_SIZE)
+    });
+  } catch (error) {
+    console.error('Error getting replay page:', error);
+    socket.emit('replay_error', { message: 'Server error' });
+  }
+};
+
 // @desc    Stop a race (for cleanup)
 // @access  Server-only
 exports.stopRace = async (roomCode) => {
@@ -337,11 +774,142 @@ exports.stopRace = async (roomCode) => {
       }
     }
     
+    // Stopping the clock ends algorithms that are still running
+    race.clock.stop();
+    
+    if (race.updateInterval) {
+      clearInterval(race.updateInterval);
+    }
+    
     // Clean up race resources
     await cleanupRace(roomCode);
   }
 };
 
+// @desc    Pause a race, freezing every algorithm mid-operation
+// @access  Server-only
+exports.pauseRace = (io, socket, roomCode) => {
+  try {
+    const race = activeRaces.get(roomCode);
+    
+    if (!race) {
+      socket.emit('race_error', { message: 'No active race found' });
+      return false;
+    }
+    
+    if (race.executionMode === 'step') {
+      socket.emit('race_error', { message: 'Step-mode races only advance when the host steps' });
+      return false;
+    }
+    
+    if (race.paused) {
+      socket.emit('race_error', { message: 'Race is already paused' });
+      return false;
+    }
+    
+    // Freeze the clock and stop broadcasting until the race resumes
+    race.clock.pause();
+    race.paused = true;
+    race.pausedAt = Date.now();
+    
+    // Paused time doesn't count towards the time limit either
+    stopTimeLimit(race);
+    
+    if (race.updateInterval) {
+      clearInterval(race.updateInterval);
+      race.updateInterval = null;
+    }
+    
+    // Send one last update so every client shows the frozen state
+    broadcastRaceUpdate(io, roomCode, race);
+    
+    io.to(roomCode).emit('race_paused', {
+      roomCode,
+      pausedBy: socket.username || socket.id
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Error pausing race:', error);
+    socket.emit('race_error', { message: 'Server error' });
+    return false;
+  }
+};
+
+// @desc    Resume a paused race from where it stopped
+// @access  Server-only
+exports.resumeRace = (io, socket, roomCode) => {
+  try {
+    const race = activeRaces.get(roomCode);
+    
+    if (!race) {
+      socket.emit('race_error', { message: 'No active race found' });
+      return false;
+    }
+    
+    if (!race.paused) {
+      socket.emit('race_error', { message: 'Race is not paused' });
+      return false;
+    }
+    
+    // Paused time doesn't count towards the race's duration
+    race.pausedDuration = (race.pausedDuration || 0) + (Date.now() - race.pausedAt);
+    race.paused = false;
+    race.pausedAt = null;
+    
+    race.clock.resume();
+    startUpdateBroadcast(io, roomCode, race);
+    
+    if (race.timeLimit) {
+      startTimeLimit(io, roomCode, race, race.timeLimitRemaining);
+    }
+    
+    io.to(roomCode).emit('race_resumed', {
+      roomCode,
+      resumedBy: socket.username || socket.id
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Error resuming race:', error);
+    socket.emit('race_error', { message: 'Server error' });
+    return false;
+  }
+};
+
+// @desc    Advance a step-mode race by one operation per algorithm
+// @access  Server-only
+exports.stepRace = (io, socket, roomCode) => {
+  try {
+    const race = activeRaces.get(roomCode);
+    
+    if (!race) {
+      socket.emit('race_error', { message: 'No active race found' });
+      return false;
+    }
+    
+    if (race.executionMode !== 'step') {
+      socket.emit('race_error', { message: 'Race is not in step mode' });
+      return false;
+    }
+    
+    race.clock.step();
+    
+    // Broadcast once every algorithm has performed its operation
+    setImmediate(() => {
+      if (activeRaces.get(roomCode) === race) {
+        broadcastRaceUpdate(io, roomCode, race);
+      }
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Error stepping race:', error);
+    socket.emit('race_error', { message: 'Server error' });
+    return false;
+  }
+};
+
 // @desc    Update step speed during a race
 // @access  Server-only
 exports.updateRaceStepSpeed = (io, socket, roomCode, newStepSpeed) => {
@@ -362,6 +930,9 @@ exports.updateRaceStepSpeed = (io, socket, roomCode, newStepSpeed) => {
       algorithm.stepSpeed = newStepSpeed;
     }
     
+    // The race clock times every operation from the step speed
+    race.clock.tickDuration = newStepSpeed;
+    
     // Broadcast the step speed change to all clients
     io.to(roomCode).emit('race_speed_updated', {
       roomCode,
@@ -418,7 +989,7 @@ exports.endRaceEarly = async (io, socket, roomCode) => {
         // Notify clients about algorithm being forcibly stopped
         io.to(normalizedRoomCode).emit('algorithm_stopped', {
           type,
-          position: race.finishedAlgorithms.length,
+          position: getFinishPosition(race, type),
           steps: algorithm.currentStep,
           comparisons: algorithm.comparisons,
           swaps: algorithm.swaps,
@@ -433,6 +1004,9 @@ exports.endRaceEarly = async (io, socket, roomCode) => {
       clearInterval(race.updateInterval);
     }
     
+    // Stop the clock so stopped algorithms don't keep running
+    race.clock.stop();
+    
     // Finalize the race
     await finalizeRace(io, normalizedRoomCode);
     
@@ -454,7 +1028,13 @@ exports.endRaceEarly = async (io, socket, roomCode) => {
 module.exports = {
   startRace: exports.startRace,
   getRaceStatus: exports.getRaceStatus,
+  sendRaceSnapshot: exports.sendRaceSnapshot,
+  getRaceReplay: exports.getRaceReplay,
+  getReplayPage: exports.getReplayPage,
   stopRace: exports.stopRace,
+  pauseRace: exports.pauseRace,
+  resumeRace: exports.resumeRace,
+  stepRace: exports.stepRace,
   updateRaceStepSpeed: exports.updateRaceStepSpeed,
   endRaceEarly: exports.endRaceEarly
 }; 
\ No newline at end of file
@@ -1,8 +1,19 @@
 const { getModel, generateRoomCode } = require('./config/db');
-const { startRace, getRaceStatus, stopRace, updateRaceStepSpeed, endRaceEarly } = require('./controllers/race');
+const { startRace, getRaceStatus, sendRaceSnapshot, getRaceReplay, getReplayPage, stopRace, pauseRace, resumeRace, stepRace, updateRaceStepSpeed, endRaceEarly } = require('./controllers/race');
 const { getAllBetsForRoom, clearRoomBets, getLeaderboard, getLeaderboardWithUsernames, resetRoomPoints, placeBet } = require('./controllers/bets');
 const { validateRoom, requireHostPermission, validateRoomStatus } = require('./utils/validationUtils');
-const { reassignRoomHost, handleEmptyRoom } = require('./utils/roomUtils');
+const { reassignRoomHost, handleEmptyRoom, getRoomSettings } = require('./utils/roomUtils');
+const { parseSeed } = require('./utils/random');
+const { EXECUTION_MODES } = require('./utils/virtualClock');
+const { parseCostModel } = require('./utils/costModel');
+const { DATASET_SHAPES } = require('./utils/datasetShapes');
+const { PIVOT_STRATEGIES } = require('./utils/pivotStrategies');
+const { DATASET_TYPES } = require('./utils/datasetTypes');
+const { MAX_STEP_BUDGET, MAX_TIME_LIMIT, isValidLimit } = require('./utils/raceLimits');
+const { parseCustomDataset } = require('./utils/customDataset');
+const { checkDatasetSize, checkValueRange } = require('./utils/datasetLimits');
+const { isAlgorithmType, getAlgorithmCatalog } = require('./utils/algorithmEngine');
+const { MAX_CUSTOM_ALGORITHMS, createCustomAlgorithmId, validateSubmission, getCustomAlgorithm, getCustomAlgorithmList } = require('./utils/customAlgorithms');
 
 // Store active socket connections by user
 const activeConnections = new Map();
@@ -351,6 +362,12 @@ const registerSocketHandlers = (io) => {
         // Notify players in the room
         io.to(normalizedRoomCode).emit('room_players', { players });
         
+        // Send the room's player-submitted algorithms (needed for their names even mid-race)
+        socket.emit('custom_algorithms_updated', {
+          roomCode: normalizedRoomCode,
+          customAlgorithms: getCustomAlgorithmList(room)
+        });
+        
         // Send current race status if race is in progress
         const raceStatus = getRaceStatus(normalizedRoomCode);
         if (raceStatus.exists) {
@@ -365,12 +382,7 @@ const registerSocketHandlers = (io) => {
           // Send current settings
           socket.emit('settings_updated', {
             roomCode: normalizedRoomCode,
-            settings: {
-              datasetSize: room.datasetSize,
-              allowDuplicates: room.allowDuplicates,
-              valueRange: room.valueRange,
-              stepSpeed: room.stepSpeed
-            }
+            settings: getRoomSettings(room)
           });
           
           // Send existing bets to the new user
@@ -520,12 +532,7 @@ const registerSocketHandlers = (io) => {
         // Send initial settings to client
         socket.emit('settings_updated', {
           roomCode: code,
-          settings: {
-            datasetSize: room.datasetSize,
-            allowDuplicates: room.allowDuplicates,
-            valueRange: room.valueRange,
-            stepSpeed: room.stepSpeed
-          }
+          settings: getRoomSettings(room)
         });
         
         // Send initial empty leaderboard
@@ -543,6 +550,100 @@ const registerSocketHandlers = (io) => {
       }
     });
     
+    // Handle a player submitting (or replacing) their own sorting algorithm
+    socket.on('submit_algorithm', async ({ roomCode, name, code }) => {
+      try {
+        const room = await validateRoom(roomCode, socket);
+        if (!room) return;
+        
+        if (room.status === 'racing') {
+          socket.emit('room_error', { message: 'Cannot submit algorithms during a race' });
+          return;
+        }
+        
+        const submissionError = validateSubmission({ name, code });
+        if (submissionError) {
+          socket.emit('room_error', { message: submissionError });
+          return;
+        }
+        
+        // Each player has one algorithm; submitting again replaces it
+        const author = socket.username || socketUsernames.get(socket.id) || socket.id;
+        const existing = Object.values(room.customAlgorithms).find(algorithm => algorithm.author === author);
+        
+        if (!existing && Object.keys(room.customAlgorithms).length >= MAX_CUSTOM_ALGORITHMS) {
+          socket.emit('room_error', { message: `A room can have at most ${MAX_CUSTOM_ALGORITHMS} player algorithms` });
+          return;
+        }
+        
+        const id = existing ? existing.id : createCustomAlgorithmId();
+        room.customAlgorithms = {
+          ...room.customAlgorithms,
+          [id]: { id, name: name.trim(), author, code, submittedAt: Date.now() }
+        };
+        await room.save();
+        
+        console.log(`Room ${room.code}: ${author} submitted algorithm ${id}`);
+        
+        io.to(room.code).emit('custom_algorithms_updated', {
+          roomCode: room.code,
+          customAlgorithms: getCustomAlgorithmList(room)
+        });
+        socket.emit('algorithm_submitted', { roomCode: room.code, algorithmId: id });
+      } catch (error) {
+        console.error('Error submitting algorithm:', error);
+        socket.emit('room_error', { message: 'Server error' });
+      }
+    });
+    
+    // Handle removing a player-submitted algorithm (its author or the host)
+    socket.on('remove_algorithm', async ({ roomCode, algorithmId }) => {
+      try {
+        const room = await validateRoom(roomCode, socket);
+        if (!room) return;
+        
+        if (room.status === 'racing') {
+          socket.emit('room_error', { message: 'Cannot remove algorithms during a race' });
+          return;
+        }
+        
+        const algorithm = getCustomAlgorithm(room, algorithmId);
+        if (!algorithm) {
+          socket.emit('room_error', { message: 'Algorithm not found' });
+          return;
+        }
+        
+        if (algorithm.author !== socket.username && room.host !== socket.id) {
+          socket.emit('room_error', { message: 'Only its author or the host can remove an algorithm' });
+          return;
+        }
+        
+        const remaining = { ...room.customAlgorithms };
+        delete remaining[algorithmId];
+        room.customAlgorithms = remaining;
+        
+        // A removed algorithm can't stay in the race
+        const wasSelected = room.algorithms.includes(algorithmId);
+        room.algorithms = room.algorithms.filter(type => type !== algorithmId);
+        await room.save();
+        
+        io.to(room.code).emit('custom_algorithms_updated', {
+          roomCode: room.code,
+          customAlgorithms: getCustomAlgorithmList(room)
+        });
+        
+        if (wasSelected) {
+          io.to(room.code).emit('algorithms_updated', {
+            roomCode: room.code,
+            algorithms: room.algorithms
+          });
+        }
+      } catch (error) {
+        console.error('Error removing algorithm:', error);
+        socket.emit('room_error', { message: 'Server error' });
+      }
+    });
+    
     // Handle algorithm selection
     socket.on('select_algorithm', async ({ roomCode, algorithms }) => {
       try {
@@ -560,9 +661,8 @@ const registerSocketHandlers = (io) => {
           return;
         }
         
-        // Validate algorithm types
-        const validAlgorithms = ['bubble', 'quick', 'inplacestable', 'merge', 'insertion', 'selection', 'heap', 'bogo', 'stalin', 'timsort', 'powersort', 'gnome', 'radix', 'radixbit'];
-        if (!algorithms.every(algo => validAlgorithms.includes(algo))) {
+        // Validate algorithm types against the registry and the room's own algorithms
+        if (!algorithms.every(algo => isAlgorithmType(algo) || Boolean(getCustomAlgorithm(room, algo)))) {
           socket.emit('room_error', { message: 'Invalid algorithm selection' });
           return;
         }
@@ -632,20 +732,38 @@ const registerSocketHandlers = (io) => {
       }
     });
     
-    // Handle race start
-    socket.on('start_race', async ({ roomCode }) => {
+    // Handle race start (an optional seed re-runs an earlier race)
+    socket.on('start_race', async ({ roomCode, seed }) => {
       try {
         const room = await validateRoom(roomCode, socket);
         if (!room) return;
         
         if (!requireHostPermission(room, socket, 'Only host can start the race')) return;
         
+        // Validate the seed if one was supplied
+        let raceSeed;
+        if (seed !== undefined && seed !== null && seed !== '') {
+          raceSeed = parseSeed(seed);
+          if (raceSeed === null) {
+            socket.emit('race_error', { message: 'Seed must be a whole number between 0 and 4294967295' });
+            return;
+          }
+        }
+        
+        // The more algorithms race, the smaller their datasets must be (see datasetLimits.js)
+        const datasetSizeError = checkDatasetSize(room.customDataset ? room.customDataset.length : room.datasetSize, room.algorithms.length)
+          || (room.customDataset ? null : checkValueRange(room.datasetSize, room));
+        if (datasetSizeError) {
+          socket.emit('race_error', { message: datasetSizeError });
+          return;
+        }
+        
         // Update room status
         room.status = 'racing';
         await room.save();
         
         // Start race
-        await startRace(io, socket, roomCode, room);
+        await startRace(io, socket, roomCode, room, raceSeed);
       } catch (error) {
         console.error('Error starting race:', error);
         socket.emit('race_error', { message: 'Server error' });
@@ -675,8 +793,81 @@ const registerSocketHandlers = (io) => {
           return;
         }
         
+        // Validate the execution mode before applying anything
+        if (settings.executionMode !== undefined && !EXECUTION_MODES.includes(settings.executionMode)) {
+          socket.emit('room_error', { message: `Execution mode must be one of: ${EXECUTION_MODES.join(', ')}` });
+          return;
+        }
+        
+        // Validate the dataset type
+        if (settings.datasetType !== undefined && !DATASET_TYPES.includes(settings.datasetType)) {
+          socket.emit('room_error', { message: `Dataset type must be one of: ${DATASET_TYPES.join(', ')}` });
+          return;
+        }
+        
+        // Validate the dataset shape
+        if (settings.datasetShape !== undefined && !DATASET_SHAPES.includes(settings.datasetShape)) {
+          socket.emit('room_error', { message: `Dataset shape must be one of: ${DATASET_SHAPES.join(', ')}` });
+          return;
+        }
+        
+        // Validate Quick Sort's pivot strategy
+        if (settings.pivotStrategy !== undefined && !PIVOT_STRATEGIES.includes(settings.pivotStrategy)) {
+          socket.emit('room_error', { message: `Pivot strategy must be one of: ${PIVOT_STRATEGIES.join(', ')}` });
+          return;
+        }
+        
+        // Validate whether disqualified algorithms can still win
+        if (settings.disqualifiedCanWin !== undefined && typeof settings.disqualifiedCanWin !== 'boolean') {
+          socket.emit('room_error', { message: 'Disqualified can win must be true or false' });
+          return;
+        }
+        
+        // Validate the dataset size against the room's current algorithms
+        // (start_race checks again, since algorithms can be added later)
+        if (settings.datasetSize !== undefined) {
+          const datasetSizeError = checkDatasetSize(settings.datasetSize, room.algorithms.length);
+          if (datasetSizeError) {
+            socket.emit('room_error', { message: datasetSizeError });
+            return;
+          }
+        }
+        
+        // Validate that the value range can fill the dataset without duplicates
+        const valueRangeError = checkValueRange(settings.datasetSize ?? room.datasetSize, {
+          datasetType: settings.datasetType ?? room.datasetType,
+          allowDuplicates: settings.allowDuplicates ?? room.allowDuplicates,
+          valueRange: settings.valueRange ?? room.valueRange
+        });
+        if (valueRangeError) {
+          socket.emit('room_error', { message: valueRangeError });
+          return;
+        }
+        
+        // Validate the limits that stop runaway algorithms (0 turns a limit off)
+        if (settings.stepBudget !== undefined && !isValidLimit(settings.stepBudget, MAX_STEP_BUDGET)) {
+          socket.emit('room_error', { message: `Step budget must be a whole number from 0 (no limit) to ${MAX_STEP_BUDGET}` });
+          return;
+        }
+        
+        if (settings.timeLimit !== undefined && !isValidLimit(settings.timeLimit, MAX_TIME_LIMIT)) {
+          socket.emit('room_error', { message: `Time limit must be a whole number of seconds from 0 (no limit) to ${MAX_TIME_LIMIT}` });
+          return;
+        }
+        
+        // Cost models are a preset name or custom whole-number weights
+        let costModel;
+        if (settings.costModel !== undefined) {
+          costModel = parseCostModel(settings.costModel);
+          
+          if (!costModel) {
+            socket.emit('room_error', { message: 'Cost model must be a preset or whole-number weights from 0 to 1000, at least one above 0' });
+            return;
+          }
+        }
+        
         // Update allowed fields
-        const allowedUpdates = ['datasetSize', 'allowDuplicates', 'valueRange', 'stepSpeed'];
+        const allowedUpdates = ['datasetSize', 'allowDuplicates', 'datasetType', 'datasetShape', 'valueRange', 'stepSpeed', 'executionMode', 'pivotStrategy', 'disqualifiedCanWin', 'stepBudget', 'timeLimit'];
         
         for (const field of allowedUpdates) {
           if (settings[field] !== undefined) {
@@ -684,17 +875,16 @@ const registerSocketHandlers = (io) => {
           }
         }
         
+        if (costModel) {
+          room.costModel = costModel;
+        }
+        
         await room.save();
         
         // Broadcast update to all users in the room
         io.to(roomCode).emit('settings_updated', {
           roomCode,
-          settings: {
-            datasetSize: room.datasetSize,
-            allowDuplicates: room.allowDuplicates,
-            valueRange: room.valueRange,
-            stepSpeed: room.stepSpeed
-          }
+          settings: getRoomSettings(room)
         });
         
       } catch (error) {
@@ -703,6 +893,44 @@ const registerSocketHandlers = (io) => {
       }
     });
     
+    // Handle the host supplying an exact dataset (or clearing it with null)
+    socket.on('set_dataset', async ({ roomCode, dataset }) => {
+      try {
+        const room = await validateRoom(roomCode, socket);
+        if (!room) return;
+        
+        if (!requireHostPermission(room, socket, 'Only host can set the dataset')) return;
+        
+        if (room.status === 'racing') {
+          socket.emit('room_error', { message: 'Cannot change the dataset during a race' });
+          return;
+        }
+        
+        if (dataset === null || dataset === undefined) {
+          room.customDataset = null;
+        } else {
+          const parsed = parseCustomDataset(dataset);
+          
+          if (parsed.error) {
+            socket.emit('room_error', { message: parsed.error });
+            return;
+          }
+          
+          room.customDataset = parsed.dataset;
+        }
+        
+        await room.save();
+        
+        io.to(room.code).emit('settings_updated', {
+          roomCode: room.code,
+          settings: getRoomSettings(room)
+        });
+      } catch (error) {
+        console.error('Error setting dataset:', error);
+        socket.emit('room_error', { message: 'Server error' });
+      }
+    });
+    
     // Handle step speed update during race
     socket.on('update_race_speed', ({ roomCode, stepSpeed }) => {
       try {
@@ -753,6 +981,70 @@ const registerSocketHandlers = (io) => {
       }
     });
     
+    // Handle host pausing a live race
+    socket.on('pause_race', async ({ roomCode }) => {
+      try {
+        const room = await validateRoom(roomCode, socket);
+        if (!room) return;
+        
+        if (!requireHostPermission(room, socket, 'Only host can pause the race')) return;
+        
+        if (!validateRoomStatus(room, 'racing', socket, 'Room is not currently racing')) return;
+        
+        pauseRace(io, socket, room.code);
+      } catch (error) {
+        console.error('Error pausing race:', error);
+        socket.emit('race_error', { message: 'Server error' });
+      }
+    });
+    
+    // Handle host resuming a paused race
+    socket.on('resume_race', async ({ roomCode }) => {
+      try {
+        const room = await validateRoom(roomCode, socket);
+        if (!room) return;
+        
+        if (!requireHostPermission(room, socket, 'Only host can resume the race')) return;
+        
+        if (!validateRoomStatus(room, 'racing', socket, 'Room is not currently racing')) return;
+        
+        resumeRace(io, socket, room.code);
+      } catch (error) {
+        console.error('Error resuming race:', error);
+        socket.emit('race_error', { message: 'Server error' });
+      }
+    });
+    
+    // Handle host stepping a step-mode race
+    socket.on('step_race', async ({ roomCode }) => {
+      try {
+        const room = await validateRoom(roomCode, socket);
+        if (!room) return;
+        
+        if (!requireHostPermission(room, socket, 'Only host can step the race')) return;
+        
+        if (!validateRoomStatus(room, 'racing', socket, 'Room is not currently racing')) return;
+        
+        stepRace(io, socket, room.code);
+      } catch (error) {
+        console.error('Error stepping race:', error);
+        socket.emit('race_error', { message: 'Server error' });
+      }
+    });
+    
+    // Handle a client that missed a race update (or joined mid-race) asking for the whole state
+    socket.on('request_race_snapshot', async ({ roomCode }) => {
+      try {
+        const room = await validateRoom(roomCode, socket);
+        if (!room) return;
+        
+        sendRaceSnapshot(socket, room.code);
+      } catch (error) {
+        console.error('Error sending race snapshot:', error);
+        socket.emit('race_error', { message: 'Server error' });
+      }
+    });
+    
     // Handle end race early
     socket.on('end_race_early', ({ roomCode }) => {
       try {
@@ -915,6 +1207,21 @@ const registerSocketHandlers = (io) => {
       }
     });
                 
+    // Handle request for a finished race's replay (no room membership needed)
+    socket.on('get_race_replay', async ({ raceId } = {}) => {
+      await getRaceReplay(socket, raceId);
+    });
+    
+    // Handle request for a page of a finished race's operation log
+    socket.on('get_replay_page', async ({ raceId, algorithm, start } = {}) => {
+      await getReplayPage(socket, raceId, algorithm, start);
+    });
+    
+    // Handle request for the algorithms that can be raced (names, families, complexity)
+    socket.on('get_algorithms', () => {
+      socket.emit('algorithms_list', { algorithms: getAlgorithmCatalog() });
+    });
+    
     // Handle room leave
     socket.on('leave_room', async ({ roomCode }) => {
       try {
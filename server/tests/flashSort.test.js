@@ -0,0 +1,37 @@
+/**
+ * Flash Sort Tests
+ * Distinct keys whose projections collide must still come out sorted
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAlgorithm } = require('../utils/algorithmEngine');
+const { verifySortedPermutation } = require('../utils/verification');
+
+// Sort a dataset on a clock that never waits
+const runFlashSort = async (dataset) => {
+  const algorithm = createAlgorithm('flash', dataset, 0, { clock: { wait: async () => {} } });
+  await algorithm.run();
+  return algorithm;
+};
+
+test('records sharing a name are sorted by score', async () => {
+  const datasets = [
+    [['Barbara', 3], ['Barbara', 1]],
+    [5, 4, 3, 2, 1].map(score => ['Barbara', score])
+  ];
+
+  for (const dataset of datasets) {
+    const algorithm = await runFlashSort(dataset);
+    assert.strictEqual(algorithm.error, null);
+    assert.strictEqual(verifySortedPermutation(dataset, algorithm.dataset), null);
+  }
+});
+
+test('strings with a long shared prefix are sorted', async () => {
+  const dataset = ['tatatataba', 'tatatataaa'];
+  const algorithm = await runFlashSort(dataset);
+
+  assert.strictEqual(algorithm.error, null);
+  assert.strictEqual(verifySortedPermutation(dataset, algorithm.dataset), null);
+});
@@ -0,0 +1,78 @@
+/**
+ * Sandbox Tests
+ * User code must not reach anything outside its VM context, and may do as
+ * much work as the room's step budget allows
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { runUserAlgorithm } = require('../utils/sandbox');
+const { MAX_DATASET_SIZE } = require('../utils/datasetLimits');
+const { DEFAULT_STEP_BUDGET } = require('../utils/raceLimits');
+
+// Read a host file through the worker's process and report it in the error
+const ESCAPE = "const p = this.constructor.constructor('return process')(); "
+  + "throw new Error(p.getBuiltinModule('fs').readFileSync('/etc/hostname', 'utf8') + ' pid ' + p.pid);";
+
+test('user code cannot reach process through this', async () => {
+  const { trace, error } = await runUserAlgorithm({ code: ESCAPE, dataset: [3, 1, 2], seed: 1 });
+
+  assert.strictEqual(trace.length, 0);
+  assert.ok(error, 'the run fails, so the race scores it as did not finish');
+  assert.ok(!error.includes(os.hostname()), `reason leaks the host name: ${error}`);
+  assert.ok(!/pid \d/.test(error), `reason leaks a process id: ${error}`);
+});
+
+test('user code cannot reach process through the global or the primitives', async () => {
+  const escapes = [
+    "globalThis.constructor.constructor('return process')().exit(1);",
+    "compare.constructor('return process')().exit(1);",
+    "(async () => {}).constructor('return process')().exit(1);"
+  ];
+
+  for (const code of escapes) {
+    const { error } = await runUserAlgorithm({ code, dataset: [3, 1, 2], seed: 1 });
+    assert.match(error, /EvalError|TypeError/);
+  }
+});
+
+test('a correct user sort still runs', async () => {
+  const code = 'for (let i = 1; i < n; i++) for (let j = i; j > 0 && compare(j - 1, j) > 0; j--) swap(j - 1, j);';
+  const { trace, error } = await runUserAlgorithm({ code, dataset: [3, 1, 2], seed: 1 });
+
+  assert.strictEqual(error, null);
+  assert.ok(trace.length > 0);
+});
+
+test('a player Heap Sort of the largest dataset fits the default step budget', async () => {
+  const code = `
+    const sift = (i, size) => {
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let largest = i;
+        if (left < size && compare(left, largest) > 0) largest = left;
+        if (right < size && compare(right, largest) > 0) largest = right;
+        if (largest === i) return;
+        swap(i, largest);
+        i = largest;
+      }
+    };
+    for (let i = (n >> 1) - 1; i >= 0; i--) sift(i, n);
+    for (let last = n - 1; last > 0; last--) { swap(0, last); sift(0, last); }
+  `;
+  const dataset = Array.from({ length: MAX_DATASET_SIZE }, (_, i) => (i * 7919) % MAX_DATASET_SIZE);
+  const { trace, error } = await runUserAlgorithm({ code, dataset, seed: 1, stepBudget: DEFAULT_STEP_BUDGET });
+
+  assert.strictEqual(error, null);
+  assert.ok(trace.length / 3 > 200000);
+});
+
+test('a player sort runs out of steps at the room step budget', async () => {
+  const code = 'for (;;) compare(0, 1);';
+  const { trace, error } = await runUserAlgorithm({ code, dataset: [3, 1, 2], seed: 1, stepBudget: 1000 });
+
+  assert.match(error, /Exceeded the limit of 1001 operations/);
+  assert.strictEqual(trace.length / 3, 1001);
+});
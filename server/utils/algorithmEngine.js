@@ -6,19 +6,38 @@
 // Helper function to sleep for a given number of milliseconds
 const sleep = ms => new Promise(r => setTimeout(r, ms));
 
+const { OperationLog } = require('./operationLog');
+const { COST_PRESETS, DEFAULT_COST_PRESET } = require('./costModel');
+const { USER_OPERATIONS } = require('./sandbox');
+const { DEFAULT_DATASET_SHAPE, shapeDataset } = require('./datasetShapes');
+const { DEFAULT_DATASET_TYPE, generateTypedValues } = require('./datasetTypes');
+const { DEFAULT_PIVOT_STRATEGY } = require('./pivotStrategies');
+const { createRecords, keyOf, sortKeyOf, tagOf, sharedPrefixLength, getRadixDigits, getKeyProjection, observeStability } = require('./sortRecord');
+
 // Base class for all sorting algorithms
 class SortingAlgorithm {
-  constructor(dataset, stepSpeed = 250) {
-    this.dataset = [...dataset]; // Clone the array to avoid modifying the original
+  constructor(dataset, stepSpeed = 250, options = {}) {
+    this.dataset = createRecords(dataset); // Tagged copy, so the original is untouched and stability can be observed
     this.stepSpeed = stepSpeed;
+    this.random = options.random || Math.random; // Seeded per race so random choices can be reproduced
+    this.clock = options.clock || null; // The race's RealtimeClock or VirtualClock, shared by every algorithm
+    this.costWeights = options.costWeights || COST_PRESETS[DEFAULT_COST_PRESET].weights;
+    this.stepBudget = options.stepBudget || 0; // Most operations it may perform, 0 for no limit (see raceLimits.js)
+    this.totalCost = 0; // Time spent so far in units of cost
     this.comparisons = 0;
     this.swaps = 0;
     this.arrayAccesses = 0; // Track array read operations
     this.arrayWrites = 0;   // Track array write operations
+    this.prefixCharacters = 0; // Shared prefix characters string comparisons had to look past
     this.finished = false;
     this.lastOperation = null;
     this.isRunning = false;
+    this.error = null; // Why the algorithm failed, if it did (the race scores it as did not finish)
     this.currentStep = 0;
+    this.operationLog = new OperationLog(); // Every operation, for replays and analysis
+    this.pendingWrites = []; // Dataset writes not yet attached to a logged operation
+    this.annotations = {}; // What the algorithm is working on, for spectators (see annotate)
+    this.costedMetrics = this.getMetrics(); // Metrics already charged to earlier operations
   }
 
   // Async method to sort the array
@@ -35,6 +54,7 @@ class SortingAlgorithm {
       await this.sort();
     } catch (error) {
       console.error('Error running sort algorithm:', error);
+      this.error = error.message || String(error);
     } finally {
       this.isRunning = false;
       this.finished = true;
@@ -58,66 +78,364 @@ class SortingAlgorithm {
   // Method to get current state
   getState() {
     return {
-      dataset: [...this.dataset],
+      dataset: this.dataset.map(keyOf),
+      tags: this.dataset.map(tagOf), // Original position of each value, null for untagged values
+      ...this.getProgress()
+    };
+  }
+
+  // Current state apart from the dataset, which race updates send as the
+  // writes since the last update (see raceUpdates.js)
+  getProgress() {
+    return {
       comparisons: this.comparisons,
       swaps: this.swaps,
       arrayAccesses: this.arrayAccesses,
       arrayWrites: this.arrayWrites,
+      totalCost: this.totalCost,
       currentStep: this.currentStep,
       finished: this.finished,
       lastOperation: this.lastOperation,
-      isRunning: this.isRunning
+      isRunning: this.isRunning,
+      error: this.error,
+      heap: this.getHeapLayout(),
+      annotations: this.getAnnotations(),
+      comparisonsSaved: this.getComparisonsSaved()
+    };
+  }
+
+  /**
+   * Publishes what the algorithm is working on, so the visualizer can shade
+   * it. Ranges are [start, end) index pairs.
+   *   pivots - indices of the current pivots
+   *   partition - the range being partitioned
+   *   runs - sorted runs waiting to be merged (see markRun)
+   *   merge - the range being merged
+   *   sorted - the part already in order
+   *   digit - { position, count }: the radix digit being sorted by, 0 the least significant
+   * @param {string} name - Which annotation
+   * @param {*} value - Its new value, or null to clear it
+   */
+  annotate(name, value) {
+    if (value === null) {
+      delete this.annotations[name];
+    } else {
+      this.annotations[name] = value;
+    }
+  }
+
+  // Annotate [start, end) as one sorted run, replacing the runs merged into it
+  markRun(start, end) {
+    const runs = (this.annotations.runs || []).filter(([runStart, runEnd]) => runEnd <= start || runStart >= end);
+    this.annotate('runs', [...runs, [start, end]].sort((a, b) => a[0] - b[0]));
+  }
+
+  // The annotations while running, with a heap sort's heap as the range it
+  // covers; null once finished
+  getAnnotations() {
+    if (this.finished) return null;
+    
+    const heap = this.getHeapLayout();
+    return heap ? { ...this.annotations, heap: [0, heap.size] } : { ...this.annotations };
+  }
+
+  // The heap a heap sort is working on, for the visualizer to draw as a tree
+  // over the first size elements: { layout: 'dary', arity, size },
+  // { layout: 'weak', size } or { layout: 'leonardo', size, trees } with a
+  // [root, order] pair for each Leonardo heap (see client/src/utils/heapLayout.js).
+  // null for algorithms without one, or once the heap is used up.
+  getHeapLayout() {
+    return null;
+  }
+
+  // Comparisons saved over a binary Heap Sort of the same input, reported by
+  // the heap sort variants once they finish (negative if they made more); null otherwise
+  getComparisonsSaved() {
+    return null;
+  }
+
+  // Whether equal keys kept their original order in this run (see sortRecord.js)
+  getStability() {
+    return observeStability(this.dataset);
+  }
+
+  // Current operation counters
+  getMetrics() {
+    return {
+      comparisons: this.comparisons,
+      swaps: this.swaps,
+      arrayAccesses: this.arrayAccesses,
+      arrayWrites: this.arrayWrites,
+      prefixCharacters: this.prefixCharacters
     };
   }
 
+  // Weighted cost of the work counted since the given metrics. A string
+  // comparison costs one more comparison for every character of prefix the
+  // keys share.
+  workCost(since) {
+    const { comparison, swap, read, write } = this.costWeights;
+    
+    return comparison * (this.comparisons - since.comparisons + this.prefixCharacters - since.prefixCharacters) +
+      swap * (this.swaps - since.swaps) +
+      read * (this.arrayAccesses - since.arrayAccesses) +
+      write * (this.arrayWrites - since.arrayWrites);
+  }
+
+  // Cost of the operation being recorded: the flat per-operation cost plus the
+  // weighted work counted since the previous operation
+  operationCost() {
+    const cost = this.costWeights.operation + this.workCost(this.costedMetrics);
+    this.costedMetrics = this.getMetrics();
+    return cost;
+  }
+
   // Helper method to safely access array elements with tracking
   access(index) {
     this.arrayAccesses++;
     return this.dataset[index];
   }
   
-  // Helper method to safely write to array elements with tracking
-  write(index, value) {
+  // Helper method to safely write to array elements with tracking. Writes to
+  // auxiliary memory (a distribution sort's counters or buckets) pass the
+  // target array, so they count as writes but aren't dataset changes.
+  write(index, value, target = this.dataset) {
     this.arrayWrites++;
-    this.dataset[index] = value;
+    target[index] = value;
+    if (target === this.dataset) {
+      this.recordWrite(index);
+    }
     return value;
   }
 
+  // Note that a dataset position changed so the operation log can replay it
+  // (metrics are counted by the caller, this only feeds the log)
+  recordWrite(index) {
+    this.pendingWrites.push(index, keyOf(this.dataset[index]));
+  }
+
+  // Record an operation as the current step, for visualization and the operation log.
+  // Pass a cost for operations that work out their own (see compareExchangeRound).
+  // Returns the operation's cost
+  recordOperation(type, indices, values, cost = null) {
+    // Running out of steps fails the run, so the race scores it as did not finish
+    if (this.stepBudget && this.currentStep >= this.stepBudget) {
+      throw new Error(`Exceeded the step budget of ${this.stepBudget} steps`);
+    }
+    
+    if (cost === null) {
+      cost = this.operationCost();
+    }
+    
+    this.currentStep++;
+    this.totalCost += cost;
+    this.lastOperation = { type, indices, values };
+    
+    this.operationLog.record(this, type, indices, values, this.pendingWrites);
+    this.pendingWrites = [];
+    
+    return cost;
+  }
+
+  // Record an operation and wait for as long as it costs
+  async visualize(type, indices, values, cost = null) {
+    cost = this.recordOperation(type, indices, values, cost);
+    await this.wait(cost);
+  }
+
+  // Wait for an operation's cost - on the race clock if there is one (so the
+  // race can be paused), otherwise by sleeping stepSpeed ms per unit of cost
+  async wait(cost = 1) {
+    if (this.clock) {
+      await this.clock.wait(cost);
+    } else {
+      await sleep(this.stepSpeed * cost);
+    }
+  }
+
+  // Insertion Sort of the range [start, end) by adjacent compares and swaps,
+  // for algorithms that leave each bucket or class to a final pass
+  async insertionSortRange(start, end) {
+    for (let i = start + 1; i < end; i++) {
+      for (let j = i; j > start && await this.compare(j - 1, j); j--) {
+        await this.swap(j - 1, j);
+      }
+    }
+  }
+
+  // Index of the median of the elements at a, b and c, in two or three comparisons
+  async medianOfThree(a, b, c) {
+    const aAboveB = await this.compare(a, b);
+    const bAboveC = await this.compare(b, c);
+    if (aAboveB === bAboveC) return b;
+    
+    // b is the smallest or the largest, so the median is whichever of a and c is nearer
+    const aAboveC = await this.compare(a, c);
+    if (aAboveB) return aAboveC ? c : a;
+    return aAboveC ? a : c;
+  }
+
+  // Heap Sort of the range [start, end), for hybrid sorts that fall back to it
+  async heapSortRange(start, end) {
+    const size = end - start;
+    
+    for (let i = Math.floor(size / 2) - 1; i >= 0; i--) {
+      await this.siftDownRange(start, size, i);
+    }
+    
+    for (let last = size - 1; last > 0; last--) {
+      await this.swap(start, start + last);
+      await this.siftDownRange(start, last, 0);
+    }
+  }
+
+  // Sift a node of the heap stored in [start, start + size) down to its place
+  async siftDownRange(start, size, node) {
+    for (;;) {
+      let largest = node;
+      const left = 2 * node + 1;
+      const right = left + 1;
+      
+      if (left < size && !(await this.compare(start + largest, start + left))) largest = left;
+      if (right < size && !(await this.compare(start + largest, start + right))) largest = right;
+      if (largest === node) return;
+      
+      await this.swap(start + node, start + largest);
+      node = largest;
+    }
+  }
+
+  // Copy a finished auxiliary array back over the dataset
+  async gather(output) {
+    for (let i = 0; i < output.length; i++) {
+      this.arrayAccesses++; // Count reading from the auxiliary array
+      this.write(i, output[i]);
+      this.swaps++;
+      await this.visualize('gather', [i], [output[i]]);
+    }
+  }
+
+  // Smallest and largest key of an integer dataset, for sorts that make a
+  // counter or hole for every value in between (fails on other dataset types)
+  integerKeyRange(name) {
+    if (this.dataset.some(value => !Number.isInteger(sortKeyOf(value)))) {
+      throw new Error(`${name} only sorts integer datasets`);
+    }
+    
+    this.arrayAccesses += this.dataset.length; // Read every key once to find the range
+    const keys = this.dataset.map(sortKeyOf);
+    return { min: Math.min(...keys), max: Math.max(...keys) };
+  }
+
   // Async helper method to perform a comparison
   async compare(i, j) {
     this.comparisons++;
     this.arrayAccesses += 2; // Reading two array elements counts as two accesses
-    this.currentStep++;
-    this.lastOperation = {
-      type: 'comparison',
-      indices: [i, j],
-      values: [this.dataset[i], this.dataset[j]]
-    };
+    this.prefixCharacters += sharedPrefixLength(sortKeyOf(this.dataset[i]), sortKeyOf(this.dataset[j]));
     
-    // Wait for visualization delay
-    await sleep(this.stepSpeed);
+    // Record the comparison and wait for visualization delay
+    await this.visualize('comparison', [i, j], [this.dataset[i], this.dataset[j]]);
     
     return this.dataset[i] > this.dataset[j];
   }
 
+  /**
+   * Runs a round of independent comparators as one parallel step, the way a
+   * sorting network in hardware would: each comparator puts the smaller of
+   * its two elements at the lower index. Every comparison and exchange is
+   * counted, but the round costs only as much as its most expensive
+   * comparator, since they all run at once. The step's indices are the
+   * comparators' index pairs, flattened, and its values the elements they
+   * compared.
+   * @param {Array} comparators - [low, high] index pairs that share no index
+   */
+  async compareExchangeRound(comparators) {
+    // Work done since the previous operation is charged as usual
+    const cost = this.costWeights.operation + this.workCost(this.costedMetrics);
+    let slowest = 0;
+    const indices = [];
+    const values = [];
+    
+    for (const [low, high] of comparators) {
+      const before = this.getMetrics();
+      indices.push(low, high);
+      values.push(this.dataset[low], this.dataset[high]);
+      
+      this.comparisons++;
+      this.arrayAccesses += 2;
+      this.prefixCharacters += sharedPrefixLength(sortKeyOf(this.dataset[low]), sortKeyOf(this.dataset[high]));
+      
+      if (this.dataset[low] > this.dataset[high]) {
+        this.swaps++;
+        this.arrayAccesses += 2;
+        this.arrayWrites += 2;
+        [this.dataset[low], this.dataset[high]] = [this.dataset[high], this.dataset[low]];
+        this.recordWrite(low);
+        this.recordWrite(high);
+      }
+      
+      slowest = Math.max(slowest, this.workCost(before));
+    }
+    
+    this.costedMetrics = this.getMetrics();
+    await this.visualize('comparator_round', indices, values, cost + slowest);
+  }
+
+  // Compare a value held outside the dataset with the element at index, for
+  // algorithms that carry an element around. Returns negative, zero or positive
+  // as the value is smaller than, equal to or larger than the element.
+  async compareValue(value, index) {
+    this.comparisons++;
+    this.arrayAccesses++; // Only the element is read, the value is already held
+    this.prefixCharacters += sharedPrefixLength(sortKeyOf(value), sortKeyOf(this.dataset[index]));
+    
+    await this.visualize('comparison', [index], [this.dataset[index], value]);
+    
+    if (value > this.dataset[index]) return 1;
+    return value < this.dataset[index] ? -1 : 0;
+  }
+
+  // Compare two values held in auxiliary memory (piles, tree nodes), shown at
+  // the given dataset indices. Returns whether the first is larger.
+  async compareHeld(a, b, indices) {
+    this.comparisons++;
+    this.prefixCharacters += sharedPrefixLength(sortKeyOf(a), sortKeyOf(b));
+    
+    await this.visualize('comparison', indices, [a, b]);
+    
+    return a > b;
+  }
+
+  // Reverse the range [start, end] as one operation (a pancake flip)
+  async reverse(start, end) {
+    const values = [this.dataset[start], this.dataset[end]];
+    
+    for (let i = start, j = end; i < j; i++, j--) {
+      this.arrayAccesses += 2;
+      this.arrayWrites += 2;
+      [this.dataset[i], this.dataset[j]] = [this.dataset[j], this.dataset[i]];
+      this.recordWrite(i);
+      this.recordWrite(j);
+    }
+    
+    await this.visualize('reverse', [start, end], values);
+  }
+
   // Async helper method to perform a swap
   async swap(i, j) {
     this.swaps++;
     this.arrayAccesses += 2; // Reading values counts as accesses
     this.arrayWrites += 2;   // Writing values counts as writes
-    this.currentStep++;
-    this.lastOperation = {
-      type: 'swap',
-      indices: [i, j],
-      values: [this.dataset[i], this.dataset[j]]
-    };
+    const values = [this.dataset[i], this.dataset[j]];
     
     var temp = this.dataset[i];
     this.dataset[i] = this.dataset[j];
     this.dataset[j] = temp;
+    this.recordWrite(i);
+    this.recordWrite(j);
     
-    // Wait for visualization delay
-    await sleep(this.stepSpeed);
+    // Record the swap and wait for visualization delay
+    await this.visualize('swap', [i, j], values);
   }
 }
 
@@ -156,15 +474,27 @@ class BubbleSort extends SortingAlgorithm {
  * 
  * Divide-and-conquer algorithm that selects a pivot element and partitions
  * the array around the pivot, placing smaller elements to the left and 
- * larger ones to the right.
+ * larger ones to the right. The room's pivot strategy (see pivotStrategies.js)
+ * decides which element becomes the pivot.
  */
 class QuickSort extends SortingAlgorithm {
+  constructor(dataset, stepSpeed, options = {}) {
+    super(dataset, stepSpeed, options);
+    this.pivotStrategy = options.pivotStrategy || DEFAULT_PIVOT_STRATEGY;
+  }
+
   async sort() {
     await this.quickSort(0, this.dataset.length - 1);
   }
   
   async quickSort(low, high) {
     if (low < high) {
+      // Move the chosen pivot to the end, where partition expects it
+      const chosen = await this.choosePivot(low, high);
+      if (chosen !== high) {
+        await this.swap(chosen, high);
+      }
+      
       // Partition the array and get the pivot index
       const pivotIndex = await this.partition(low, high);
       
@@ -178,6 +508,8 @@ class QuickSort extends SortingAlgorithm {
     // Choose the rightmost element as pivot
     const pivot = this.dataset[high];
     let i = low - 1;
+    this.annotate('partition', [low, high + 1]);
+    this.annotate('pivots', [high]);
     
     // Compare all elements with the pivot
     for (let j = low; j < high; j++) {
@@ -194,8 +526,457 @@ class QuickSort extends SortingAlgorithm {
     
     // Place pivot in its final position
     await this.swap(i + 1, high);
+    this.annotate('pivots', [i + 1]);
     return i + 1;
   }
+  
+  // Index of the pivot for the range [low, high] under the pivot strategy
+  async choosePivot(low, high) {
+    const mid = low + Math.floor((high - low) / 2);
+    
+    switch (this.pivotStrategy) {
+      case 'first':
+        return low;
+      case 'random':
+        return low + Math.floor(this.random() * (high - low + 1));
+      case 'medianOfThree':
+        return high - low < 2 ? high : this.medianOfThree(low, mid, high);
+      case 'ninther': {
+        // Median of the medians of three evenly spread triples; small ranges use median of three
+        if (high - low < 8) {
+          return high - low < 2 ? high : this.medianOfThree(low, mid, high);
+        }
+        const step = Math.floor((high - low) / 8);
+        return this.medianOfThree(
+          await this.medianOfThree(low, low + step, low + 2 * step),
+          await this.medianOfThree(mid - step, mid, mid + step),
+          await this.medianOfThree(high - 2 * step, high - step, high)
+        );
+      }
+      default:
+        return high;
+    }
+  }
+}
+
+// Ranges smaller than this are finished with Insertion Sort
+const DUAL_PIVOT_INSERTION_THRESHOLD = 17;
+
+/**
+ * Dual-Pivot Quick Sort
+ * 
+ * Yaroslavskiy's variant used by Java's Arrays.sort for primitives: two
+ * pivots, taken from the tertiles, split each range into three parts (below
+ * the smaller pivot, between the pivots, above the larger one) in a single
+ * pass. Small ranges are finished with Insertion Sort.
+ */
+class DualPivotQuickSort extends SortingAlgorithm {
+  async sort() {
+    await this.dualPivotSort(0, this.dataset.length - 1);
+  }
+  
+  async dualPivotSort(low, high) {
+    if (high - low < DUAL_PIVOT_INSERTION_THRESHOLD) {
+      this.annotate('partition', null);
+      this.annotate('pivots', null);
+      await this.insertionSortRange(low, high + 1);
+      return;
+    }
+    
+    // Pivots from the tertiles, the smaller one at low and the larger at high
+    const third = Math.floor((high - low) / 3);
+    await this.swap(low, low + third);
+    await this.swap(high, high - third);
+    if (await this.compare(low, high)) {
+      await this.swap(low, high);
+    }
+    this.annotate('partition', [low, high + 1]);
+    this.annotate('pivots', [low, high]);
+    
+    // [low+1, less) is below the first pivot, (great, high-1] above the second
+    let less = low + 1;
+    let great = high - 1;
+    
+    for (let k = less; k <= great; k++) {
+      if (await this.compare(low, k)) {
+        await this.swap(k, less);
+        less++;
+      } else if (await this.compare(k, high)) {
+        // Skip elements that already belong above the second pivot
+        while (k < great && await this.compare(great, high)) {
+          great--;
+        }
+        await this.swap(k, great);
+        great--;
+        
+        // The element swapped in may belong below the first pivot
+        if (await this.compare(low, k)) {
+          await this.swap(k, less);
+          less++;
+        }
+      }
+    }
+    
+    // Move the pivots between the three parts
+    less--;
+    great++;
+    await this.swap(low, less);
+    await this.swap(high, great);
+    this.annotate('pivots', [less, great]);
+    
+    await this.dualPivotSort(low, less - 1);
+    await this.dualPivotSort(less + 1, great - 1);
+    await this.dualPivotSort(great + 1, high);
+  }
+}
+
+// Ranges smaller than this are left for the final Insertion Sort pass
+const INTROSORT_INSERTION_THRESHOLD = 16;
+
+/**
+ * Introsort
+ * 
+ * Musser's introspective sort, used by C++'s std::sort: Quick Sort with a
+ * median-of-three pivot that watches its own recursion depth and switches to
+ * Heap Sort for any range it has split more than 2·log₂(n) times, so inputs
+ * that defeat the pivot choice still sort in O(n log n). Small ranges are left
+ * for a single Insertion Sort pass at the end.
+ */
+class IntroSort extends QuickSort {
+  async sort() {
+    const n = this.dataset.length;
+    if (n <= 1) return;
+    
+    await this.introSort(0, n - 1, 2 * Math.floor(Math.log2(n)));
+    this.annotate('partition', null);
+    this.annotate('pivots', null);
+    await this.insertionSortRange(0, n);
+  }
+  
+  async introSort(low, high, depthLimit) {
+    if (high - low < INTROSORT_INSERTION_THRESHOLD) return;
+    
+    // Too many splits means the pivots keep failing, so heap sort the range
+    if (depthLimit === 0) {
+      await this.heapSortRange(low, high + 1);
+      return;
+    }
+    
+    const median = await this.medianOfThree(low, low + Math.floor((high - low) / 2), high);
+    if (median !== high) {
+      await this.swap(median, high);
+    }
+    
+    const pivotIndex = await this.partition(low, high);
+    await this.introSort(low, pivotIndex - 1, depthLimit - 1);
+    await this.introSort(pivotIndex + 1, high, depthLimit - 1);
+  }
+}
+
+// Ranges smaller than this are finished with Insertion Sort
+const PDQ_INSERTION_THRESHOLD = 24;
+
+// pdqsort picks a ninther instead of a median of three above this size
+const PDQ_NINTHER_THRESHOLD = 128;
+
+// Moves pdqsort's partial Insertion Sort makes before deciding the range isn't nearly sorted
+const PDQ_PARTIAL_INSERTION_LIMIT = 8;
+
+/**
+ * Pattern-Defeating Quick Sort (pdqsort)
+ * 
+ * Orson Peters' Quick Sort, used by Rust's sort_unstable and Go's sort. On top
+ * of Introsort it: partitions around a median of three (a ninther for large
+ * ranges); notices a partition that needed no swaps and tries to finish both
+ * sides with a bounded Insertion Sort, so sorted and reversed-then-partitioned
+ * input runs in linear time; groups elements equal to an earlier pivot in one
+ * pass, so few unique values are cheap; and after a badly unbalanced
+ * partition swaps a few elements around to break up adversarial patterns,
+ * falling back to Heap Sort if that keeps happening.
+ */
+class PdqSort extends SortingAlgorithm {
+  async sort() {
+    const n = this.dataset.length;
+    if (n <= 1) return;
+    
+    await this.pdqSort(0, n, Math.floor(Math.log2(n)), true);
+  }
+  
+  // Sort [begin, end); leftmost is false when an element no larger than every
+  // element of the range sits just before it (a previous pivot)
+  async pdqSort(begin, end, badAllowed, leftmost) {
+    for (;;) {
+      const size = end - begin;
+      if (size < PDQ_INSERTION_THRESHOLD) {
+        this.annotate('partition', null);
+        this.annotate('pivots', null);
+        await this.insertionSortRange(begin, end);
+        return;
+      }
+      
+      // Move the median of three (or the ninther) to begin as the pivot
+      const mid = begin + Math.floor(size / 2);
+      if (size > PDQ_NINTHER_THRESHOLD) {
+        await this.sortThree(begin, mid, end - 1);
+        await this.sortThree(begin + 1, mid - 1, end - 2);
+        await this.sortThree(begin + 2, mid + 1, end - 3);
+        await this.sortThree(mid - 1, mid, mid + 1);
+        await this.swap(begin, mid);
+      } else {
+        await this.sortThree(mid, begin, end - 1);
+      }
+      
+      // A pivot equal to the previous pivot: every element equal to it goes
+      // left and is done, only the larger ones are left to sort
+      if (!leftmost && !(await this.compare(begin, begin - 1))) {
+        begin = await this.partitionLeft(begin, end) + 1;
+        continue;
+      }
+      
+      const { pivotIndex, alreadyPartitioned } = await this.partitionRight(begin, end);
+      const leftSize = pivotIndex - begin;
+      const rightSize = end - (pivotIndex + 1);
+      
+      if (leftSize < size / 8 || rightSize < size / 8) {
+        // Highly unbalanced: give up on quicksort after too many, otherwise break patterns
+        badAllowed--;
+        if (badAllowed === 0) {
+          await this.heapSortRange(begin, end);
+          return;
+        }
+        
+        await this.breakPatterns(begin, pivotIndex, leftSize);
+        await this.breakPatterns(pivotIndex + 1, end, rightSize);
+      } else if (
+        alreadyPartitioned &&
+        await this.partialInsertionSort(begin, pivotIndex) &&
+        await this.partialInsertionSort(pivotIndex + 1, end)
+      ) {
+        return;
+      }
+      
+      // Recurse on the left part and loop on the right one
+      await this.pdqSort(begin, pivotIndex, badAllowed, leftmost);
+      begin = pivotIndex + 1;
+      leftmost = false;
+    }
+  }
+  
+  // Put the elements at a, b and c in order
+  async sortThree(a, b, c) {
+    if (await this.compare(a, b)) await this.swap(a, b);
+    if (await this.compare(b, c)) await this.swap(b, c);
+    if (await this.compare(a, b)) await this.swap(a, b);
+  }
+  
+  // Partition [begin, end) around the pivot at begin, elements equal to it
+  // going right. Returns the pivot's final index and whether nothing had to move.
+  async partitionRight(begin, end) {
+    let first = begin + 1;
+    let last = end - 1;
+    this.annotate('partition', [begin, end]);
+    this.annotate('pivots', [begin]);
+    
+    // Find the first element not below the pivot and the last one below it
+    while (first <= last && await this.compare(begin, first)) first++;
+    while (first <= last && !(await this.compare(begin, last))) last--;
+    const alreadyPartitioned = first > last;
+    
+    // Swap misplaced pairs; each swapped element stops the other scan
+    while (first < last) {
+      await this.swap(first, last);
+      first++;
+      last--;
+      while (await this.compare(begin, first)) first++;
+      while (!(await this.compare(begin, last))) last--;
+    }
+    
+    const pivotIndex = first - 1;
+    if (pivotIndex !== begin) {
+      await this.swap(begin, pivotIndex);
+    }
+    this.annotate('pivots', [pivotIndex]);
+    return { pivotIndex, alreadyPartitioned };
+  }
+  
+  // Partition [begin, end) around the pivot at begin, elements equal to it
+  // going left. Returns the pivot's final index.
+  async partitionLeft(begin, end) {
+    let first = begin + 1;
+    let last = end - 1;
+    this.annotate('partition', [begin, end]);
+    this.annotate('pivots', [begin]);
+    
+    while (first <= last && await this.compare(last, begin)) last--;
+    while (first <= last && !(await this.compare(first, begin))) first++;
+    
+    while (first < last) {
+      await this.swap(first, last);
+      first++;
+      last--;
+      while (await this.compare(last, begin)) last--;
+      while (!(await this.compare(first, begin))) first++;
+    }
+    
+    if (last !== begin) {
+      await this.swap(begin, last);
+    }
+    this.annotate('pivots', [last]);
+    return last;
+  }
+  
+  // Swap a few elements of an unbalanced side to new places, so the next
+  // pivots come out different on inputs built to defeat median of three
+  async breakPatterns(start, end, size) {
+    if (size < PDQ_INSERTION_THRESHOLD) return;
+    
+    const quarter = Math.floor(size / 4);
+    await this.swap(start, start + quarter);
+    await this.swap(end - 1, end - quarter);
+    
+    if (size > PDQ_NINTHER_THRESHOLD) {
+      await this.swap(start + 1, start + quarter + 1);
+      await this.swap(start + 2, start + quarter + 2);
+      await this.swap(end - 2, end - quarter - 1);
+      await this.swap(end - 3, end - quarter - 2);
+    }
+  }
+  
+  // Insertion Sort of [start, end) that gives up after a few moves, for
+  // ranges that are probably sorted already. Returns whether it finished.
+  async partialInsertionSort(start, end) {
+    let moves = 0;
+    
+    for (let i = start + 1; i < end; i++) {
+      for (let j = i; j > start && await this.compare(j - 1, j); j--) {
+        await this.swap(j - 1, j);
+        moves++;
+      }
+      
+      if (moves > PDQ_PARTIAL_INSERTION_LIMIT) return false;
+    }
+    
+    return true;
+  }
+}
+
+/**
+ * Sorting Network
+ * 
+ * A fixed sequence of comparators that sorts any input of a given length
+ * without ever looking at the outcome of a comparison to decide what to do
+ * next. Comparators that share no element form a round and run in parallel
+ * (see compareExchangeRound), so the race is decided by the number of rounds
+ * rather than the number of comparisons. Subclasses list the rounds.
+ */
+class SortingNetwork extends SortingAlgorithm {
+  // The network's rounds for n elements: lists of [low, high] comparators
+  rounds() {
+    throw new Error('Sorting networks must list their rounds');
+  }
+
+  async sort() {
+    for (const round of this.rounds(this.dataset.length)) {
+      if (round.length > 0) {
+        await this.compareExchangeRound(round);
+      }
+    }
+  }
+}
+
+/**
+ * Bitonic Sort
+ * 
+ * Batcher's bitonic network: sorted blocks are merged pairwise by comparing
+ * each element with its mirror image in the other block, then cleaning up
+ * with comparators half, a quarter, ... of the block apart. It is built for a
+ * power-of-two length; missing elements count as larger than every value, so
+ * comparators that would touch them are left out. O(log² n) rounds.
+ */
+class BitonicSort extends SortingNetwork {
+  rounds(n) {
+    const rounds = [];
+    
+    for (let block = 2; block < 2 * n; block *= 2) {
+      // Compare each element with its mirror in the other half of the block
+      rounds.push(this.partnerRound(n, i => i ^ (block - 1)));
+      
+      // Half-cleaners: compare elements a half, a quarter, ... of a half apart
+      for (let distance = block / 4; distance >= 1; distance /= 2) {
+        rounds.push(this.partnerRound(n, i => i ^ distance));
+      }
+    }
+    
+    return rounds;
+  }
+  
+  // Comparators from every element to its partner, where both exist
+  partnerRound(n, partnerOf) {
+    const round = [];
+    for (let i = 0; i < n; i++) {
+      const partner = partnerOf(i);
+      if (partner > i && partner < n) {
+        round.push([i, partner]);
+      }
+    }
+    return round;
+  }
+}
+
+/**
+ * Odd-Even Merge Sort
+ * 
+ * Batcher's odd-even merge network: sorted blocks are merged by merging
+ * their even and odd positions separately and then fixing up neighbours.
+ * Slightly fewer comparators than Bitonic Sort in the same O(log² n) rounds,
+ * and it works for any length.
+ */
+class OddEvenMergeSort extends SortingNetwork {
+  rounds(n) {
+    const rounds = [];
+    
+    for (let p = 1; p < n; p *= 2) {
+      for (let k = p; k >= 1; k = Math.floor(k / 2)) {
+        const round = [];
+        
+        for (let j = k % p; j <= n - 1 - k; j += 2 * k) {
+          for (let i = 0; i <= Math.min(k - 1, n - j - k - 1); i++) {
+            // Only compare elements within the same pair of blocks being merged
+            if (Math.floor((i + j) / (2 * p)) === Math.floor((i + j + k) / (2 * p))) {
+              round.push([i + j, i + j + k]);
+            }
+          }
+        }
+        
+        rounds.push(round);
+      }
+    }
+    
+    return rounds;
+  }
+}
+
+/**
+ * Odd-Even Transposition Sort
+ * 
+ * The network version of Bubble Sort: rounds alternately compare every
+ * even-odd and every odd-even pair of neighbours. Each round is cheap, but it
+ * takes n rounds, so on parallel hardware it sorts in O(n) time.
+ */
+class OddEvenTranspositionSort extends SortingNetwork {
+  rounds(n) {
+    const rounds = [];
+    
+    for (let round = 0; round < n; round++) {
+      const comparators = [];
+      for (let i = round % 2; i + 1 < n; i += 2) {
+        comparators.push([i, i + 1]);
+      }
+      rounds.push(comparators);
+    }
+    
+    return rounds;
+  }
 }
 
 /**
@@ -309,18 +1090,11 @@ class InPlaceStableSort extends SortingAlgorithm {
       while (p2 !== from + i) {
         // Move p2 to p1
         this.arrayAccesses++; // Count read from p2
-        this.arrayWrites++; // Count write to p1
-        this.dataset[p1] = this.dataset[p2];
+        this.write(p1, this.dataset[p2]); // Count write to p1
         
         // Visualize this operation
         this.swaps++;
-        this.currentStep++;
-        this.lastOperation = {
-          type: 'swap',
-          indices: [p1, p2],
-          values: [this.dataset[p1], this.dataset[p2]]
-        };
-        await sleep(this.stepSpeed);
+        await this.visualize('swap', [p1, p2], [this.dataset[p1], this.dataset[p2]]);
         
         p1 = p2;
         
@@ -332,18 +1106,11 @@ class InPlaceStableSort extends SortingAlgorithm {
       }
       
       // Place the saved value
-      this.arrayWrites++; // Count write to p1
-      this.dataset[p1] = val;
+      this.write(p1, val); // Count write to p1
       
       // Visualize this operation
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [p1, from + i],
-        values: [this.dataset[p1], val]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [p1, from + i], [this.dataset[p1], val]);
     }
   }
   
@@ -387,7 +1154,7 @@ class InPlaceStableSort extends SortingAlgorithm {
   
   // Main sort function
   async stableSort(from, to) {
-    await sleep(this.stepSpeed); // Visualize the recursive structure
+    //await sleep(this.stepSpeed); // Visualize the recursive structure
     
     if (to - from < 12) {
       await this.insertSort(from, to);
@@ -416,6 +1183,7 @@ class InsertionSort extends SortingAlgorithm {
     const n = this.dataset.length;
     
     for (let i = 1; i < n; i++) {
+      this.annotate('sorted', [0, i]);
       this.arrayAccesses++; // Count access for reading key
       const key = this.dataset[i];
       let j = i - 1;
@@ -432,19 +1200,12 @@ class InsertionSort extends SortingAlgorithm {
         this.arrayAccesses++; // Count access for reading dataset[j]
         if (this.dataset[j] > key) {
           this.arrayAccesses++; // Count access for reading dataset[j]
-          this.arrayWrites++; // Count write for dataset[j+1]
           // Shift element to the right
-          this.dataset[j + 1] = this.dataset[j];
+          this.write(j + 1, this.dataset[j]); // Count write for dataset[j+1]
           
           // Visualize the shift
           this.swaps++;
-          this.currentStep++;
-          this.lastOperation = {
-            type: 'swap',
-            indices: [j, j + 1],
-            values: [this.dataset[j], this.dataset[j]]
-          };
-          await sleep(this.stepSpeed);
+          await this.visualize('swap', [j, j + 1], [this.dataset[j], this.dataset[j]]);
           
           j--;
         } else {
@@ -455,19 +1216,12 @@ class InsertionSort extends SortingAlgorithm {
       // Insert the key at the correct position
       if (this.dataset[j + 1] !== key) {
         this.arrayAccesses++; // Count access for reading dataset[j+1]
-        this.arrayWrites++; // Count write for dataset[j+1]
         const oldValue = this.dataset[j + 1];
-        this.dataset[j + 1] = key;
+        this.write(j + 1, key); // Count write for dataset[j+1]
         
         // Visualize the insertion
         this.swaps++;
-        this.currentStep++;
-        this.lastOperation = {
-          type: 'swap',
-          indices: [j + 1, i],
-          values: [oldValue, key]
-        };
-        await sleep(this.stepSpeed);
+        await this.visualize('swap', [j + 1, i], [oldValue, key]);
       }
     }
   }
@@ -484,6 +1238,8 @@ class SelectionSort extends SortingAlgorithm {
     const n = this.dataset.length;
     
     for (let i = 0; i < n - 1; i++) {
+      this.annotate('sorted', [0, i]);
+      
       // Assume the current index has the minimum value
       let minIndex = i;
       
@@ -510,61 +1266,546 @@ class SelectionSort extends SortingAlgorithm {
 }
 
 /**
- * Heap Sort
+ * Cocktail Shaker Sort
  * 
- * Comparison-based sorting algorithm that uses a binary heap data structure.
- * It divides the input into a sorted and an unsorted region, and iteratively
- * shrinks the unsorted region by extracting the largest element and moving it
+ * A bidirectional Bubble Sort: passes alternate between carrying the largest
+ * element to the end and the smallest element to the front, so small values
+ * near the end (the "turtles" that slow Bubble Sort down) move quickly.
+ */
+class CocktailShakerSort extends SortingAlgorithm {
+  async sort() {
+    let start = 0;
+    let end = this.dataset.length - 1;
+    let swapped = true;
+    
+    while (swapped && start < end) {
+      swapped = false;
+      
+      // Forward pass carries the largest element to the end
+      for (let i = start; i < end; i++) {
+        if (await this.compare(i, i + 1)) {
+          await this.swap(i, i + 1);
+          swapped = true;
+        }
+      }
+      end--;
+      
+      if (!swapped) break;
+      swapped = false;
+      
+      // Backward pass carries the smallest element to the front
+      for (let i = end; i > start; i--) {
+        if (await this.compare(i - 1, i)) {
+          await this.swap(i - 1, i);
+          swapped = true;
+        }
+      }
+      start++;
+    }
+  }
+}
+
+/**
+ * Comb Sort
+ * 
+ * Bubble Sort over a gap that starts at the array length and shrinks by a
+ * factor of 1.3 each pass, so out-of-place elements travel far in a single
+ * swap. Once the gap reaches 1 it finishes with Bubble Sort passes.
+ */
+class CombSort extends SortingAlgorithm {
+  async sort() {
+    const n = this.dataset.length;
+    const shrinkFactor = 1.3;
+    let gap = n;
+    let sorted = false;
+    
+    while (!sorted) {
+      gap = Math.floor(gap / shrinkFactor);
+      if (gap <= 1) {
+        gap = 1;
+        sorted = true; // Unless this pass still has to swap something
+      }
+      
+      for (let i = 0; i + gap < n; i++) {
+        if (await this.compare(i, i + gap)) {
+          await this.swap(i, i + gap);
+          sorted = false;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Shell Sort
+ * 
+ * Insertion Sort over a shrinking sequence of gaps: each pass sorts every
+ * gap-th element, so elements move long distances early and the final
+ * gap-1 pass has little left to do. How fast it runs depends heavily on the
+ * gap sequence; this class uses Shell's original n/2, n/4, ..., 1 and the
+ * subclasses below use better ones.
+ */
+class ShellSort extends SortingAlgorithm {
+  // Gaps to sort with, largest first
+  gapSequence(n) {
+    const gaps = [];
+    for (let gap = Math.floor(n / 2); gap > 0; gap = Math.floor(gap / 2)) {
+      gaps.push(gap);
+    }
+    return gaps;
+  }
+
+  async sort() {
+    const n = this.dataset.length;
+    
+    for (const gap of this.gapSequence(n)) {
+      // Gapped insertion sort: swap each element back past larger ones gap apart
+      for (let i = gap; i < n; i++) {
+        for (let j = i; j >= gap && await this.compare(j - gap, j); j -= gap) {
+          await this.swap(j - gap, j);
+        }
+      }
+    }
+  }
+}
+
+// Knuth's gaps: 1, 4, 13, 40, ... ((3^k - 1) / 2), up to a third of the length
+class ShellSortKnuth extends ShellSort {
+  gapSequence(n) {
+    const gaps = [1];
+    while (gaps[0] * 3 + 1 < Math.ceil(n / 3)) {
+      gaps.unshift(gaps[0] * 3 + 1);
+    }
+    return gaps;
+  }
+}
+
+// Ciura's empirically best gaps, extended past 701 by a factor of 2.25
+class ShellSortCiura extends ShellSort {
+  gapSequence(n) {
+    const gaps = [1, 4, 10, 23, 57, 132, 301, 701];
+    while (gaps[gaps.length - 1] < n) {
+      gaps.push(Math.floor(gaps[gaps.length - 1] * 2.25));
+    }
+    return gaps.filter(gap => gap < n).reverse();
+  }
+}
+
+// Sedgewick's 1986 gaps: 1, 8, 23, 77, 281, ... (4^k + 3·2^(k-1) + 1)
+class ShellSortSedgewick extends ShellSort {
+  gapSequence(n) {
+    const gaps = [1];
+    for (let k = 1; 4 ** k + 3 * 2 ** (k - 1) + 1 < n; k++) {
+      gaps.unshift(4 ** k + 3 * 2 ** (k - 1) + 1);
+    }
+    return gaps;
+  }
+}
+
+// Sift the node at i of a heap of n elements down to its place. Yields
+// ['compare', i, j], answered through next() with whether the element at i
+// is larger than the one at j, and ['swap', i, j].
+function* siftDownSteps(n, i) {
+  for (;;) {
+    let largest = i;
+    const left = 2 * i + 1;
+    const right = left + 1;
+    
+    if (left < n && !(yield ['compare', largest, left])) largest = left;
+    if (right < n && !(yield ['compare', largest, right])) largest = right;
+    if (largest === i) return;
+    
+    yield ['swap', i, largest];
+    i = largest;
+  }
+}
+
+// Heap Sort's operations on n elements, as steps like siftDownSteps' plus
+// ['extract', last] when the root moves to position last, leaving a heap of
+// last elements. Shared by Heap Sort and the count of its comparisons, so
+// the two can't drift apart.
+function* heapSortSteps(n) {
+  // Build heap (rearrange array)
+  for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+    yield* siftDownSteps(n, i);
+  }
+  
+  // One by one extract elements from heap
+  for (let last = n - 1; last > 0; last--) {
+    yield ['extract', last];
+    yield* siftDownSteps(last, 0);
+  }
+}
+
+/**
+ * Heap Sort
+ * 
+ * Comparison-based sorting algorithm that uses a binary heap data structure.
+ * It divides the input into a sorted and an unsorted region, and iteratively
+ * shrinks the unsorted region by extracting the largest element and moving it
  * to the sorted region.
  */
 class HeapSort extends SortingAlgorithm {
+  constructor(dataset, stepSpeed, options) {
+    super(dataset, stepSpeed, options);
+    this.heapSize = 0; // Elements still in the heap, for the visualizer
+  }
+
+  async sort() {
+    const steps = heapSortSteps(this.dataset.length);
+    this.heapSize = this.dataset.length;
+    
+    let answer;
+    for (let step = steps.next(); !step.done; step = steps.next(answer)) {
+      const [type, a, b] = step.value;
+      answer = undefined;
+      
+      if (type === 'compare') {
+        answer = await this.compare(a, b);
+      } else if (type === 'swap') {
+        await this.swap(a, b);
+      } else {
+        // Move current root to end
+        await this.swap(0, a);
+        this.heapSize = a;
+      }
+    }
+    this.heapSize = 0;
+  }
+
+  getHeapLayout() {
+    return this.heapSize > 1 ? { layout: 'dary', arity: 2, size: this.heapSize } : null;
+  }
+}
+
+// Comparisons the Heap Sort above makes on the given sort keys, worked out
+// from its own steps on a plain copy of the keys (nothing is timed, logged
+// or awaited), so its variants can tell how many they saved
+const countHeapSortComparisons = (keys) => {
+  const heap = [...keys];
+  const steps = heapSortSteps(heap.length);
+  let comparisons = 0;
+  
+  let answer;
+  for (let step = steps.next(); !step.done; step = steps.next(answer)) {
+    const [type, a, b] = step.value;
+    answer = undefined;
+    
+    if (type === 'compare') {
+      comparisons++;
+      answer = heap[a] > heap[b];
+    } else {
+      const [i, j] = type === 'swap' ? [a, b] : [0, a];
+      [heap[i], heap[j]] = [heap[j], heap[i]];
+    }
+  }
+  
+  return comparisons;
+};
+
+// Base class for the Heap Sort variants, which each report the comparisons
+// they saved over a binary Heap Sort of the same input
+class HeapSortVariant extends SortingAlgorithm {
+  constructor(dataset, stepSpeed, options) {
+    super(dataset, stepSpeed, options);
+    this.binaryHeapComparisons = countHeapSortComparisons(this.dataset.map(sortKeyOf));
+    this.heapSize = 0; // Elements still in the heap, for the visualizer
+  }
+  
+  getComparisonsSaved() {
+    return this.finished && !this.error ? this.binaryHeapComparisons - this.comparisons : null;
+  }
+}
+
+/**
+ * Bottom-Up Heap Sort
+ * 
+ * Heap Sort with Wegener's sift: instead of comparing the sifted element
+ * with the larger child at every level, it follows the larger children all
+ * the way down to a leaf (one comparison per level), then climbs back up to
+ * where the element belongs. Elements sifted from the root nearly always end
+ * up near the bottom, so the climb is short and about half the comparisons
+ * are saved.
+ */
+class BottomUpHeapSort extends HeapSortVariant {
   async sort() {
     const n = this.dataset.length;
+    this.heapSize = n;
     
-    // Build heap (rearrange array)
     for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
-      await this.heapify(n, i);
+      await this.siftDown(n, i);
+    }
+    
+    for (let i = n - 1; i > 0; i--) {
+      await this.swap(0, i);
+      this.heapSize = i;
+      await this.siftDown(i, 0);
+    }
+    this.heapSize = 0;
+  }
+  
+  getHeapLayout() {
+    return this.heapSize > 1 ? { layout: 'dary', arity: 2, size: this.heapSize } : null;
+  }
+  
+  async siftDown(size, node) {
+    // Follow the larger children down to a leaf
+    let leaf = node;
+    for (let left = 2 * leaf + 1; left < size; left = 2 * leaf + 1) {
+      const right = left + 1;
+      leaf = right < size && !(await this.compare(left, right)) ? right : left;
+    }
+    
+    // Climb back to the first element at least as large as the sifted one
+    while (leaf > node && await this.compare(node, leaf)) {
+      leaf = Math.floor((leaf - 1) / 2);
+    }
+    
+    // Move the sifted element there, shifting everything above it on the path up a level
+    const path = [];
+    for (let i = leaf; i > node; i = Math.floor((i - 1) / 2)) {
+      path.push(i);
+    }
+    let above = node;
+    for (let k = path.length - 1; k >= 0; k--) {
+      await this.swap(above, path[k]);
+      above = path[k];
+    }
+  }
+}
+
+/**
+ * Ternary Heap Sort
+ * 
+ * Heap Sort on a d-ary heap where every node has three children. The heap
+ * is only log₃ n levels deep instead of log₂ n, so elements are sifted
+ * through fewer levels, but finding the largest of three children takes an
+ * extra comparison at each one.
+ */
+class TernaryHeapSort extends HeapSortVariant {
+  constructor(dataset, stepSpeed, options) {
+    super(dataset, stepSpeed, options);
+    this.arity = 3;
+  }
+  
+  async sort() {
+    const n = this.dataset.length;
+    this.heapSize = n;
+    
+    for (let i = Math.floor((n - 2) / this.arity); i >= 0; i--) {
+      await this.siftDown(n, i);
     }
     
-    // One by one extract elements from heap
     for (let i = n - 1; i > 0; i--) {
-      // Move current root to end
       await this.swap(0, i);
+      this.heapSize = i;
+      await this.siftDown(i, 0);
+    }
+    this.heapSize = 0;
+  }
+  
+  getHeapLayout() {
+    return this.heapSize > 1 ? { layout: 'dary', arity: this.arity, size: this.heapSize } : null;
+  }
+  
+  async siftDown(size, node) {
+    for (;;) {
+      let largest = node;
+      const first = this.arity * node + 1;
+      
+      for (let child = first; child < first + this.arity && child < size; child++) {
+        if (!(await this.compare(largest, child))) largest = child;
+      }
+      if (largest === node) return;
+      
+      await this.swap(node, largest);
+      node = largest;
+    }
+  }
+}
+
+/**
+ * Weak-Heap Sort
+ * 
+ * Dutton's sort on a weak heap: every element is only required to be no
+ * smaller than the elements in its right subtree, and the root has no left
+ * subtree. A bit per element says whether its children are flipped, so
+ * joining two subheaps takes one comparison and, if they were out of order,
+ * a swap and a flip. It makes at most n log₂ n comparisons, close to the
+ * fewest any comparison sort can.
+ */
+class WeakHeapSort extends HeapSortVariant {
+  async sort() {
+    const n = this.dataset.length;
+    this.reverseBits = new Array(n).fill(0); // Auxiliary memory: whether each element's children are flipped
+    this.heapSize = n;
+    
+    for (let j = n - 1; j > 0; j--) {
+      await this.join(this.distinguishedAncestor(j), j);
+    }
+    
+    for (let m = n - 1; m >= 2; m--) {
+      await this.swap(0, m);
+      this.heapSize = m;
       
-      // Call heapify on the reduced heap
-      await this.heapify(i, 0);
+      // Walk down the leftmost path of the root's subtree, then join its elements with the root bottom up
+      let x = 1;
+      while (2 * x + this.reverseBits[x] < m) {
+        x = 2 * x + this.reverseBits[x];
+      }
+      for (; x > 0; x = Math.floor(x / 2)) {
+        await this.join(0, x);
+      }
     }
+    
+    if (n > 1) {
+      await this.swap(0, 1);
+    }
+    this.heapSize = 0;
+  }
+  
+  // A flip swaps which child is the left one but not which element is the
+  // parent, so the tree's shape needs no flip bits
+  getHeapLayout() {
+    return this.heapSize > 1 ? { layout: 'weak', size: this.heapSize } : null;
   }
   
-  // To heapify a subtree rooted with node i which is an index in this.dataset[]
-  // n is size of heap
-  async heapify(n, i) {
-    let largest = i; // Initialize largest as root
-    const left = 2 * i + 1; // left = 2*i + 1
-    const right = 2 * i + 2; // right = 2*i + 2
+  // The element j hangs under in the weak heap's right subtree order: the
+  // parent of the first ancestor (j included) that is a right child
+  distinguishedAncestor(j) {
+    while ((j & 1) === this.reverseBits[Math.floor(j / 2)]) {
+      j = Math.floor(j / 2);
+    }
+    return Math.floor(j / 2);
+  }
+  
+  // Join the subheap rooted at j with its distinguished ancestor i, keeping the larger element at i
+  async join(i, j) {
+    if (await this.compare(j, i)) {
+      await this.swap(i, j);
+      this.write(j, 1 - this.reverseBits[j], this.reverseBits);
+    }
+  }
+}
+
+// Leonardo numbers: L(0) = L(1) = 1, L(k) = L(k - 1) + L(k - 2) + 1, the sizes of Smoothsort's heaps
+const LEONARDO_NUMBERS = [1, 1];
+
+const leonardoNumber = (order) => {
+  while (LEONARDO_NUMBERS.length <= order) {
+    const count = LEONARDO_NUMBERS.length;
+    LEONARDO_NUMBERS.push(LEONARDO_NUMBERS[count - 1] + LEONARDO_NUMBERS[count - 2] + 1);
+  }
+  return LEONARDO_NUMBERS[order];
+};
+
+/**
+ * Smoothsort
+ * 
+ * Dijkstra's heap sort on a forest of Leonardo heaps laid out left to right,
+ * each a root with two subheaps of the two previous Leonardo sizes. The
+ * roots are kept in ascending order, so the largest element is always the
+ * last root. Elements that are already in order never move far, so on
+ * presorted input it runs in O(n) and degrades smoothly to O(n log n).
+ */
+class SmoothSort extends HeapSortVariant {
+  async sort() {
+    const n = this.dataset.length;
+    this.trees = []; // { root, order } of each heap, left to right
     
-    // If left child is larger than root
-    if (left < n) {
-      const isLarger = await this.compare(largest, left);
-      if (!isLarger) {
-        largest = left;
+    // Grow the forest one element at a time
+    for (let i = 0; i < n; i++) {
+      const count = this.trees.length;
+      
+      if (count >= 2 && this.trees[count - 2].order === this.trees[count - 1].order + 1) {
+        // The last two heaps become the new element's subheaps
+        const order = this.trees[count - 2].order + 1;
+        this.trees.splice(count - 2, 2, { root: i, order });
+      } else if (count >= 1 && this.trees[count - 1].order === 1) {
+        this.trees.push({ root: i, order: 0 });
+      } else {
+        this.trees.push({ root: i, order: 1 });
+      }
+      
+      this.heapSize = i + 1;
+      
+      // A heap that later elements will merge into a bigger one only has to
+      // be a heap; the roots are put in order once it is final
+      const last = this.trees[this.trees.length - 1];
+      const previous = this.trees[this.trees.length - 2];
+      const remaining = n - 1 - i;
+      const willMerge = previous && previous.order === last.order + 1
+        ? remaining >= 1
+        : last.order > 0 && remaining >= leonardoNumber(last.order - 1) + 1;
+      
+      if (willMerge) {
+        await this.siftDown(last.root, last.order);
+      } else {
+        await this.rectify(this.trees.length - 1);
       }
     }
     
-    // If right child is larger than largest so far
-    if (right < n) {
-      const isLarger = await this.compare(largest, right);
-      if (!isLarger) {
-        largest = right;
+    // Take the last root, the largest element, and expose its subheaps
+    for (let end = n - 1; end >= 0; end--) {
+      const { order } = this.trees.pop();
+      this.heapSize = end;
+      
+      if (order >= 2) {
+        this.trees.push({ root: end - 1 - leonardoNumber(order - 2), order: order - 1 });
+        await this.rectify(this.trees.length - 1);
+        this.trees.push({ root: end - 1, order: order - 2 });
+        await this.rectify(this.trees.length - 1);
       }
     }
+  }
+  
+  getHeapLayout() {
+    if (!this.trees || this.heapSize <= 1) return null;
+    return { layout: 'leonardo', size: this.heapSize, trees: this.trees.map(({ root, order }) => [root, order]) };
+  }
+  
+  // Indices of the left and right subheap roots of a heap with the given root and order (at least 2)
+  children(root, order) {
+    return [root - 1 - leonardoNumber(order - 2), root - 1];
+  }
+  
+  // Restore the ascending order of the roots after the root of heap `tree`
+  // changed: move its element left past larger roots, then sift it down
+  async rectify(tree) {
+    while (tree > 0) {
+      const { root, order } = this.trees[tree];
+      const previous = this.trees[tree - 1].root;
+      if (!(await this.compare(previous, root))) break;
+      
+      // The previous root may only come down if it is no smaller than this heap's children
+      if (order >= 2) {
+        const [left, right] = this.children(root, order);
+        const larger = await this.compare(left, right) ? left : right;
+        if (!(await this.compare(previous, larger))) break;
+      }
+      
+      await this.swap(previous, root);
+      tree--;
+    }
     
-    // If largest is not root
-    if (largest !== i) {
-      await this.swap(i, largest);
+    await this.siftDown(this.trees[tree].root, this.trees[tree].order);
+  }
+  
+  async siftDown(root, order) {
+    while (order >= 2) {
+      const [left, right] = this.children(root, order);
+      let child = right;
+      let childOrder = order - 2;
+      if (await this.compare(left, right)) {
+        child = left;
+        childOrder = order - 1;
+      }
       
-      // Recursively heapify the affected sub-tree
-      await this.heapify(n, largest);
+      if (!(await this.compare(child, root))) return;
+      
+      await this.swap(root, child);
+      root = child;
+      order = childOrder;
     }
   }
 }
@@ -577,8 +1818,8 @@ class HeapSort extends SortingAlgorithm {
  * This is the textbook implementation with O(n log n) time and O(n) space complexity.
  */
 class MergeSort extends SortingAlgorithm {
-  constructor(dataset, stepSpeed) {
-    super(dataset, stepSpeed);
+  constructor(dataset, stepSpeed, options) {
+    super(dataset, stepSpeed, options);
     this.auxArray = new Array(dataset.length);
   }
   
@@ -600,20 +1841,17 @@ class MergeSort extends SortingAlgorithm {
   }
   
   async merge(left, mid, right) {
+    this.annotate('runs', [[left, mid + 1], [mid + 1, right + 1]]);
+    this.annotate('merge', [left, right + 1]);
+    
     // Copy data to auxiliary array
     for (let i = left; i <= right; i++) {
       this.arrayAccesses++; // Count read from dataset
       this.arrayWrites++; // Count write to auxiliary array
       this.auxArray[i] = this.dataset[i];
       
-      // Visualize copying to auxiliary array
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'copy_to_aux',
-        indices: [i], // Only highlight the current index
-        values: [this.dataset[i], this.auxArray[i]]
-      };
-      await sleep(this.stepSpeed);
+      // Visualize copying to auxiliary array (only highlight the current index)
+      await this.visualize('copy_to_aux', [i], [this.dataset[i], this.auxArray[i]]);
     }
     
     let i = left;      // Initial index of first subarray
@@ -629,26 +1867,18 @@ class MergeSort extends SortingAlgorithm {
       if (this.auxArray[i] <= this.auxArray[j]) {
         // Element from first subarray is smaller
         this.arrayAccesses++; // Count read from auxiliary array for i
-        this.arrayWrites++; // Count write to dataset
-        this.dataset[k] = this.auxArray[i];
+        this.write(k, this.auxArray[i]); // Count write to dataset
         i++;
       } else {
         // Element from second subarray is smaller
         this.arrayAccesses++; // Count read from auxiliary array for j
-        this.arrayWrites++; // Count write to dataset
-        this.dataset[k] = this.auxArray[j];
+        this.write(k, this.auxArray[j]); // Count write to dataset
         j++;
       }
       
-       // Visualize the placement
+       // Visualize the placement, highlighting both the destination and the source index
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [k, i-1 < left ? j-1 : i-1], // Include both the destination index and the source index
-        values: [this.dataset[k], this.auxArray[i-1 < left ? j-1 : i-1]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [k, i-1 < left ? j-1 : i-1], [this.dataset[k], this.auxArray[i-1 < left ? j-1 : i-1]]);
       
       k++;
       
@@ -657,18 +1887,11 @@ class MergeSort extends SortingAlgorithm {
     // Copy remaining elements from first subarray
     while (i <= mid) {
       this.arrayAccesses++; // Count read from auxiliary array
-      this.arrayWrites++; // Count write to dataset
-      this.dataset[k] = this.auxArray[i];
+      this.write(k, this.auxArray[i]); // Count write to dataset
       
-      // Visualize the copy back
+      // Visualize the copy back (destination and source indices)
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [k, i], // Include both destination and source indices
-        values: [this.dataset[k], this.auxArray[i]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [k, i], [this.dataset[k], this.auxArray[i]]);
       
       i++;
       k++;
@@ -677,22 +1900,18 @@ class MergeSort extends SortingAlgorithm {
     // Copy remaining elements from second subarray
     while (j <= right) {
       this.arrayAccesses++; // Count read from auxiliary array
-      this.arrayWrites++; // Count write to dataset
-      this.dataset[k] = this.auxArray[j];
+      this.write(k, this.auxArray[j]); // Count write to dataset
       
-      // Visualize the copy back
+      // Visualize the copy back (destination and source indices)
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [k, j], // Include both destination and source indices
-        values: [this.dataset[k], this.auxArray[j]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [k, j], [this.dataset[k], this.auxArray[j]]);
       
       j++;
       k++;
     }
+    
+    this.annotate('runs', null);
+    this.annotate('merge', null);
   }
 }
 
@@ -705,8 +1924,8 @@ class MergeSort extends SortingAlgorithm {
  * then merges the runs using merge sort's merge algorithm.
  */
 class TimSort extends SortingAlgorithm {
-  constructor(dataset, stepSpeed) {
-    super(dataset, stepSpeed);
+  constructor(dataset, stepSpeed, options) {
+    super(dataset, stepSpeed, options);
     this.auxArray = new Array(dataset.length);
     this.MIN_RUN = 16; // Balance between too small and too large
   }
@@ -724,6 +1943,7 @@ class TimSort extends SortingAlgorithm {
     for (let i = 0; i < n; i += this.MIN_RUN) {
       const end = Math.min(i + this.MIN_RUN - 1, n - 1);
       // Sort this run using insertion sort
+      this.markRun(i, end + 1);
       await this.insertionSort(i, end);
     }
     
@@ -782,41 +2002,29 @@ class TimSort extends SortingAlgorithm {
         // If we need to insert, use direct approach
         while (j >= left && this.dataset[j] > key) {
           this.arrayAccesses++; // Count access for reading dataset[j]
-          this.arrayWrites++; // Count write for dataset[j+1]
-          this.dataset[j + 1] = this.dataset[j];
+          this.write(j + 1, this.dataset[j]); // Count write for dataset[j+1]
           
           // Visualize the shift
           this.swaps++;
-          this.currentStep++;
-          this.lastOperation = {
-            type: 'swap',
-            indices: [j, j + 1],
-            values: [this.dataset[j], this.dataset[j]]
-          };
-          await sleep(this.stepSpeed);
+          await this.visualize('swap', [j, j + 1], [this.dataset[j], this.dataset[j]]);
           
           j--;
         }
         
         // Place the key in its correct position
-        this.arrayWrites++; // Count write for dataset[j+1]
-        this.dataset[j + 1] = key;
+        this.write(j + 1, key); // Count write for dataset[j+1]
         
         // Visualize the final insertion
         this.swaps++;
-        this.currentStep++;
-        this.lastOperation = {
-          type: 'swap',
-          indices: [j + 1, i],
-          values: [this.dataset[j + 1], key]
-        };
-        await sleep(this.stepSpeed);
+        await this.visualize('swap', [j + 1, i], [this.dataset[j + 1], key]);
       }
     }
   }
   
   // Standard merge function for reliability
   async mergeRuns(left, mid, right) {
+    this.annotate('merge', [left, right + 1]);
+    
     // Copy to auxiliary array
     for (let i = left; i <= right; i++) {
       this.arrayAccesses++; // Count read from dataset
@@ -825,13 +2033,7 @@ class TimSort extends SortingAlgorithm {
     }
     
     // Visualize the copy operation
-    this.currentStep++;
-    this.lastOperation = {
-      type: 'copy_to_aux',
-      indices: [left, right],
-      values: [this.dataset[left], this.dataset[right]]
-    };
-    await sleep(this.stepSpeed);
+    await this.visualize('copy_to_aux', [left, right], [this.dataset[left], this.dataset[right]]);
     
     let i = left;      // Index for left subarray
     let j = mid + 1;   // Index for right subarray
@@ -843,24 +2045,16 @@ class TimSort extends SortingAlgorithm {
       
       this.arrayAccesses += 2; // Count reads from auxiliary array
       if (this.auxArray[i] <= this.auxArray[j]) {
-        this.arrayWrites++; // Count write to dataset
-        this.dataset[k] = this.auxArray[i];
+        this.write(k, this.auxArray[i]); // Count write to dataset
         i++;
       } else {
-        this.arrayWrites++; // Count write to dataset
-        this.dataset[k] = this.auxArray[j];
+        this.write(k, this.auxArray[j]); // Count write to dataset
         j++;
       }
       
       // Visualize the placement
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [k, (k === left + (i - left - 1)) ? i - 1 : j - 1],
-        values: [this.dataset[k], this.auxArray[(k === left + (i - left - 1)) ? i - 1 : j - 1]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [k, (k === left + (i - left - 1)) ? i - 1 : j - 1], [this.dataset[k], this.auxArray[(k === left + (i - left - 1)) ? i - 1 : j - 1]]);
       
       k++;
     }
@@ -868,18 +2062,11 @@ class TimSort extends SortingAlgorithm {
     // Copy remaining elements from left subarray
     while (i <= mid) {
       this.arrayAccesses++; // Count read from auxiliary array
-      this.arrayWrites++; // Count write to dataset
-      this.dataset[k] = this.auxArray[i];
+      this.write(k, this.auxArray[i]); // Count write to dataset
       
       // Visualize the copy
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [k, i],
-        values: [this.dataset[k], this.auxArray[i]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [k, i], [this.dataset[k], this.auxArray[i]]);
       
       i++;
       k++;
@@ -888,22 +2075,18 @@ class TimSort extends SortingAlgorithm {
     // Copy remaining elements from right subarray
     while (j <= right) {
       this.arrayAccesses++; // Count read from auxiliary array
-      this.arrayWrites++; // Count write to dataset
-      this.dataset[k] = this.auxArray[j];
+      this.write(k, this.auxArray[j]); // Count write to dataset
       
       // Visualize the copy
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [k, j],
-        values: [this.dataset[k], this.auxArray[j]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [k, j], [this.dataset[k], this.auxArray[j]]);
       
       j++;
       k++;
     }
+    
+    this.annotate('merge', null);
+    this.markRun(left, right + 1);
   }
 }
 
@@ -916,8 +2099,8 @@ class TimSort extends SortingAlgorithm {
  * Developed in 2020, it's one of the newest practical sorting algorithms.
  */
 class PowerSort extends SortingAlgorithm {
-  constructor(dataset, stepSpeed) {
-    super(dataset, stepSpeed);
+  constructor(dataset, stepSpeed, options) {
+    super(dataset, stepSpeed, options);
     this.auxArray = new Array(dataset.length);
     this.MIN_RUN = 16; // Minimum size of a run
     this.stack = []; // Stack of pending runs
@@ -1008,6 +2191,7 @@ class PowerSort extends SortingAlgorithm {
   
   // Push a run onto the stack
   pushRun(start, length) {
+    this.markRun(start, start + length);
     this.stack.push({
       start: start,
       length: length,
@@ -1131,41 +2315,29 @@ class PowerSort extends SortingAlgorithm {
         
         while (j >= left && this.dataset[j] > key) {
           this.arrayAccesses++; // Count access for reading dataset[j]
-          this.arrayWrites++; // Count write for dataset[j+1]
-          this.dataset[j + 1] = this.dataset[j];
+          this.write(j + 1, this.dataset[j]); // Count write for dataset[j+1]
           
           // Visualize the shift
           this.swaps++;
-          this.currentStep++;
-          this.lastOperation = {
-            type: 'swap',
-            indices: [j, j + 1],
-            values: [this.dataset[j], this.dataset[j]]
-          };
-          await sleep(this.stepSpeed);
+          await this.visualize('swap', [j, j + 1], [this.dataset[j], this.dataset[j]]);
           
           j--;
         }
         
         // Place the key in its correct position
-        this.arrayWrites++; // Count write for dataset[j+1]
-        this.dataset[j + 1] = key;
+        this.write(j + 1, key); // Count write for dataset[j+1]
         
         // Visualize the insertion
         this.swaps++;
-        this.currentStep++;
-        this.lastOperation = {
-          type: 'swap',
-          indices: [j + 1, i],
-          values: [this.dataset[j + 1], key]
-        };
-        await sleep(this.stepSpeed);
+        await this.visualize('swap', [j + 1, i], [this.dataset[j + 1], key]);
       }
     }
   }
   
   // Standard merge function
   async mergeRuns(left, mid, right) {
+    this.annotate('merge', [left, right + 1]);
+    
     // Copy to auxiliary array
     for (let i = left; i <= right; i++) {
       this.arrayAccesses++; // Count read from dataset
@@ -1174,13 +2346,7 @@ class PowerSort extends SortingAlgorithm {
     }
     
     // Visualize the copy operation
-    this.currentStep++;
-    this.lastOperation = {
-      type: 'copy_to_aux',
-      indices: [left, right],
-      values: [this.dataset[left], this.dataset[right]]
-    };
-    await sleep(this.stepSpeed);
+    await this.visualize('copy_to_aux', [left, right], [this.dataset[left], this.dataset[right]]);
     
     let i = left;      // Index for left subarray
     let j = mid + 1;   // Index for right subarray
@@ -1192,24 +2358,16 @@ class PowerSort extends SortingAlgorithm {
       
       this.arrayAccesses += 2; // Count reads from auxiliary array
       if (this.auxArray[i] <= this.auxArray[j]) {
-        this.arrayWrites++; // Count write to dataset
-        this.dataset[k] = this.auxArray[i];
+        this.write(k, this.auxArray[i]); // Count write to dataset
         i++;
       } else {
-        this.arrayWrites++; // Count write to dataset
-        this.dataset[k] = this.auxArray[j];
+        this.write(k, this.auxArray[j]); // Count write to dataset
         j++;
       }
       
       // Visualize the placement
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [k, (k === left + (i - left - 1)) ? i - 1 : j - 1],
-        values: [this.dataset[k], this.auxArray[(k === left + (i - left - 1)) ? i - 1 : j - 1]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [k, (k === left + (i - left - 1)) ? i - 1 : j - 1], [this.dataset[k], this.auxArray[(k === left + (i - left - 1)) ? i - 1 : j - 1]]);
       
       k++;
     }
@@ -1217,18 +2375,11 @@ class PowerSort extends SortingAlgorithm {
     // Copy remaining elements from left subarray
     while (i <= mid) {
       this.arrayAccesses++; // Count read from auxiliary array
-      this.arrayWrites++; // Count write to dataset
-      this.dataset[k] = this.auxArray[i];
+      this.write(k, this.auxArray[i]); // Count write to dataset
       
       // Visualize the copy
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [k, i],
-        values: [this.dataset[k], this.auxArray[i]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [k, i], [this.dataset[k], this.auxArray[i]]);
       
       i++;
       k++;
@@ -1237,22 +2388,18 @@ class PowerSort extends SortingAlgorithm {
     // Copy remaining elements from right subarray
     while (j <= right) {
       this.arrayAccesses++; // Count read from auxiliary array
-      this.arrayWrites++; // Count write to dataset
-      this.dataset[k] = this.auxArray[j];
+      this.write(k, this.auxArray[j]); // Count write to dataset
       
       // Visualize the copy
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [k, j],
-        values: [this.dataset[k], this.auxArray[j]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [k, j], [this.dataset[k], this.auxArray[j]]);
       
       j++;
       k++;
     }
+    
+    this.annotate('merge', null);
+    this.markRun(left, right + 1);
   }
 }
 
@@ -1278,6 +2425,10 @@ class BogoSort extends SortingAlgorithm {
   // Check if array is sorted
   isSorted() {
     for (let i = 0; i < this.dataset.length - 1; i++) {
+      // Count the check's work so cost models charge for it (not visualized)
+      this.comparisons++;
+      this.arrayAccesses += 2;
+      
       if (this.dataset[i] > this.dataset[i + 1]) {
         return false;
       }
@@ -1292,21 +2443,21 @@ class BogoSort extends SortingAlgorithm {
     
     // Fisher-Yates shuffle
     for (let i = n - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.random() * (i + 1));
       [this.dataset[i], this.dataset[j]] = [this.dataset[j], this.dataset[i]];
+      this.arrayAccesses += 2; // Each exchange reads two elements
+      this.arrayWrites += 2;   // and writes two
     }
     
-    // Count shuffle as a single operation
-    this.swaps++;
-    this.currentStep++;
-    this.lastOperation = {
-      type: 'shuffle',
-      indices: [...Array(n).keys()], // All indices are affected
-      values: originalArray // The original values before shuffle
-    };
+    // Every position may have changed
+    for (let i = 0; i < n; i++) {
+      this.recordWrite(i);
+    }
     
-    // Wait for visualization delay
-    await sleep(this.stepSpeed);
+    // Count shuffle as a single operation that affects all indices,
+    // showing the original values from before the shuffle
+    this.swaps++;
+    await this.visualize('shuffle', [...Array(n).keys()], originalArray);
   }
 }
 
@@ -1330,20 +2481,13 @@ class StalinSort extends SortingAlgorithm {
       
       // If current element is less than the current maximum, remove it
       if (this.dataset[i] < currentMax) {
-        // Mark the removal in our visualization
-        this.swaps++;
-        this.currentStep++;
-        this.lastOperation = {
-          type: 'removal',
-          indices: [i],
-          values: [this.dataset[i]]
-        };
-        
         // Remove the element (splice is used for visualization purposes)
-        this.dataset.splice(i, 1);
+        // Replays reproduce removals from the operation's index
+        const [removed] = this.dataset.splice(i, 1);
         
-        // Wait for visualization delay
-        await sleep(this.stepSpeed);
+        // Mark the removal in our visualization
+        this.swaps++;
+        await this.visualize('removal', [i], [removed]);
       } else {
         // Element stays, update the current maximum
         currentMax = this.dataset[i];
@@ -1388,100 +2532,406 @@ class GnomeSort extends SortingAlgorithm {
   }
 }
 
+/**
+ * Cycle Sort
+ * 
+ * Writes every element straight to its final position: counts how many
+ * elements are smaller to find where it belongs, puts it there and picks up
+ * the element it replaces, following the cycle until it closes. It makes
+ * O(n²) comparisons but the fewest writes possible, each element being
+ * written at most once, so it wins when writes are expensive.
+ */
+class CycleSort extends SortingAlgorithm {
+  async sort() {
+    const n = this.dataset.length;
+    
+    for (let cycleStart = 0; cycleStart < n - 1; cycleStart++) {
+      let item = this.access(cycleStart);
+      let position = await this.findPosition(item, cycleStart);
+      if (position === cycleStart) continue;
+      
+      // Follow the cycle until an element lands back at its start
+      for (;;) {
+        position = await this.skipEqual(item, position);
+        item = await this.placeItem(item, position);
+        if (position === cycleStart) break;
+        
+        position = await this.findPosition(item, cycleStart);
+      }
+    }
+  }
+  
+  // Write the item at its position and return the element it replaced
+  async placeItem(item, position) {
+    const displaced = this.access(position);
+    this.write(position, item);
+    await this.visualize('cycle_write', [position], [displaced, item]);
+    return displaced;
+  }
+  
+  // Where an item belongs: the cycle's start plus the smaller elements after it
+  async findPosition(item, cycleStart) {
+    let position = cycleStart;
+    for (let i = cycleStart + 1; i < this.dataset.length; i++) {
+      if (await this.compareValue(item, i) > 0) {
+        position++;
+      }
+    }
+    return position;
+  }
+  
+  // Move past elements equal to the item, so duplicates each get their own slot
+  async skipEqual(item, position) {
+    while (await this.compareValue(item, position) === 0) {
+      position++;
+    }
+    return position;
+  }
+}
+
+/**
+ * Pancake Sort
+ * 
+ * Sorts using only prefix reversals, like flipping part of a stack of
+ * pancakes with a spatula: finds the largest unsorted element, flips it to
+ * the front, then flips the whole unsorted part so it lands at the end. At
+ * most 2n reversals, so it shines when a reversal costs one operation
+ * however long it is.
+ */
+class PancakeSort extends SortingAlgorithm {
+  async sort() {
+    for (let size = this.dataset.length; size > 1; size--) {
+      let maxIndex = 0;
+      for (let i = 1; i < size; i++) {
+        if (await this.compare(i, maxIndex)) {
+          maxIndex = i;
+        }
+      }
+      
+      if (maxIndex === size - 1) continue;
+      
+      if (maxIndex > 0) {
+        await this.reverse(0, maxIndex);
+      }
+      await this.reverse(0, size - 1);
+    }
+  }
+}
+
+/**
+ * Patience Sort
+ * 
+ * Deals the elements onto piles like the patience card game: each goes on the
+ * leftmost pile whose top is not smaller (found by binary search), starting a
+ * new pile if there is none. Every pile then reads smallest first, and the
+ * piles are merged by repeatedly taking the smallest top from a heap of
+ * piles. Already-sorted runs make few piles, so nearly sorted input is cheap.
+ */
+class PatienceSort extends SortingAlgorithm {
+  async sort() {
+    const n = this.dataset.length;
+    const piles = [];
+    
+    // Deal every element onto a pile
+    for (let i = 0; i < n; i++) {
+      const value = this.access(i);
+      
+      let low = 0;
+      let high = piles.length;
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (await this.compareHeld(value, piles[mid][piles[mid].length - 1], [i])) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      
+      if (low === piles.length) {
+        piles.push([]);
+      }
+      this.write(piles[low].length, value, piles[low]);
+      await this.visualize('pile_push', [i], [value]);
+    }
+    
+    // Merge the piles: a min-heap of piles ordered by their top elements
+    const heap = piles.map((pile, index) => index);
+    const topOf = pileIndex => piles[pileIndex][piles[pileIndex].length - 1];
+    for (let node = Math.floor(heap.length / 2) - 1; node >= 0; node--) {
+      await this.siftPile(heap, node, topOf, 0);
+    }
+    
+    for (let k = 0; k < n; k++) {
+      const pile = piles[heap[0]];
+      this.arrayAccesses++; // Count reading the pile's top
+      const value = pile.pop();
+      this.write(k, value);
+      await this.visualize('pile_pop', [k], [value]);
+      
+      // An empty pile leaves the heap; otherwise its new top sinks to its place
+      if (pile.length === 0) {
+        heap[0] = heap[heap.length - 1];
+        heap.pop();
+      }
+      if (heap.length > 0) {
+        await this.siftPile(heap, 0, topOf, k);
+      }
+    }
+  }
+  
+  // Sift a pile down the heap of piles until its top is no larger than its children's
+  async siftPile(heap, node, topOf, outputIndex) {
+    for (;;) {
+      let smallest = node;
+      const left = 2 * node + 1;
+      const right = left + 1;
+      
+      if (left < heap.length && await this.compareHeld(topOf(heap[smallest]), topOf(heap[left]), [outputIndex])) smallest = left;
+      if (right < heap.length && await this.compareHeld(topOf(heap[smallest]), topOf(heap[right]), [outputIndex])) smallest = right;
+      if (smallest === node) return;
+      
+      [heap[node], heap[smallest]] = [heap[smallest], heap[node]];
+      node = smallest;
+    }
+  }
+}
+
+/**
+ * Tree Sort
+ * 
+ * Inserts every element into a binary search tree (equal keys go right, so
+ * their order is kept) and writes them back with an in-order traversal. The
+ * tree isn't balanced, so sorted or reversed input builds a single long branch
+ * and takes O(n²) comparisons.
+ */
+class TreeSort extends SortingAlgorithm {
+  async sort() {
+    const n = this.dataset.length;
+    let root = null;
+    
+    for (let i = 0; i < n; i++) {
+      const value = this.access(i);
+      const node = { value, left: null, right: null };
+      this.arrayWrites++; // Count writing the new node
+      
+      if (!root) {
+        root = node;
+      } else {
+        // Walk down to the empty child the value belongs in
+        let parent = root;
+        for (;;) {
+          const side = await this.compareHeld(parent.value, value, [i]) ? 'left' : 'right';
+          if (!parent[side]) {
+            parent[side] = node;
+            break;
+          }
+          parent = parent[side];
+        }
+      }
+      
+      await this.visualize('tree_insert', [i], [value]);
+    }
+    
+    // In-order traversal, without recursion so a long branch can't overflow the stack
+    const output = [];
+    const stack = [];
+    let node = root;
+    while (node || stack.length > 0) {
+      while (node) {
+        stack.push(node);
+        node = node.left;
+      }
+      node = stack.pop();
+      output.push(node.value);
+      node = node.right;
+    }
+    
+    await this.gather(output);
+  }
+}
+
+// Library Sort keeps its elements on a shelf this many times the dataset's size
+const LIBRARY_SPACING = 2;
+
+/**
+ * Library Sort
+ * 
+ * Gapped insertion sort (Bender, Farach-Colton and Mosteiro): like a
+ * librarian leaving space on each shelf, it keeps the sorted elements in an
+ * array twice the dataset's size with gaps between them, so inserting
+ * usually lands in a gap instead of shifting everything after it. The gaps
+ * are evened out again (a rebalance) every time the number of elements
+ * doubles. Insertion points are found by binary search.
+ */
+class LibrarySort extends SortingAlgorithm {
+  async sort() {
+    const n = this.dataset.length;
+    if (n <= 1) return;
+    
+    const shelf = new Array(LIBRARY_SPACING * n).fill(null);
+    let count = 0;
+    
+    for (let i = 0; i < n; i++) {
+      // Rebalance whenever the number of elements reaches a power of two
+      if (count > 0 && (count & (count - 1)) === 0) {
+        await this.rebalance(shelf, count);
+      }
+      
+      const value = this.access(i);
+      const slot = await this.insertionSlot(shelf, value, i);
+      await this.insertAt(shelf, slot, value);
+      count++;
+      await this.visualize('library_insert', [i], [value]);
+    }
+    
+    await this.gather(shelf.filter(value => value !== null));
+  }
+  
+  // First shelf position whose element is larger than the value (or the end).
+  // Gaps don't hold anything to compare against, so each probe looks at the
+  // first element at or after the middle of the range.
+  async insertionSlot(shelf, value, index) {
+    let low = 0;
+    let high = shelf.length;
+    
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      let probe = mid;
+      while (probe < high && shelf[probe] === null) {
+        probe++;
+      }
+      this.arrayAccesses += probe - mid + 1; // Count reading past the gaps
+      
+      if (probe === high || await this.compareHeld(shelf[probe], value, [index])) {
+        high = mid;
+      } else {
+        low = probe + 1;
+      }
+    }
+    
+    return low;
+  }
+  
+  // Put a value on the shelf just before the slot, in the gap there or in
+  // one made by shifting elements toward the nearest gap
+  async insertAt(shelf, slot, value) {
+    if (slot < shelf.length && shelf[slot] === null) {
+      this.write(slot, value, shelf);
+      return;
+    }
+    if (slot > 0 && shelf[slot - 1] === null) {
+      this.write(slot - 1, value, shelf);
+      return;
+    }
+    
+    let gap = slot;
+    while (gap < shelf.length && shelf[gap] !== null) gap++;
+    
+    if (gap < shelf.length) {
+      for (let k = gap; k > slot; k--) {
+        this.arrayAccesses++; // Count reading the element being shifted
+        this.write(k, shelf[k - 1], shelf);
+      }
+      this.write(slot, value, shelf);
+    } else {
+      // No gap after the slot, so shift the elements before it left instead
+      gap = slot - 1;
+      while (shelf[gap] !== null) gap--;
+      for (let k = gap; k < slot - 1; k++) {
+        this.arrayAccesses++; // Count reading the element being shifted
+        this.write(k, shelf[k + 1], shelf);
+      }
+      this.write(slot - 1, value, shelf);
+    }
+  }
+  
+  // Spread the elements evenly over the shelf, leaving gaps between them
+  async rebalance(shelf, count) {
+    const values = [];
+    for (let k = 0; k < shelf.length; k++) {
+      this.arrayAccesses++; // Count reading every slot
+      if (shelf[k] !== null) {
+        values.push(shelf[k]);
+        shelf[k] = null;
+      }
+    }
+    
+    const spacing = shelf.length / count;
+    values.forEach((value, k) => this.write(Math.floor(k * spacing), value, shelf));
+    await this.visualize('rebalance', [], [count]);
+  }
+}
+
 /**
  * Radix Sort
  * 
  * A non-comparative integer sorting algorithm that sorts data by processing
  * individual digits. It uses counting sort as a subroutine to sort.
  * Works by distributing elements into buckets according to their radix (digit value),
- * and then recollecting them in order.
+ * and then recollecting them in order. Strings are sorted one character at a time,
+ * from the last character of the longest key to the first.
  */
 class RadixSort extends SortingAlgorithm {
   async sort() {
     const n = this.dataset.length;
     if (n <= 1) return;
     
-    // Find the maximum number to know the number of digits
-    let max = this.dataset[0];
-    this.arrayAccesses++; // Count reading max
-    
-    for (let i = 1; i < n; i++) {
-      this.arrayAccesses++; // Count reading for max comparison
-      if (this.dataset[i] > max) {
-        max = this.dataset[i];
-      }
-    }
+    // Read every key once to find how many digits the longest one has
+    // (decimal digits for numbers, characters for strings)
+    this.arrayAccesses += n;
+    const digits = getRadixDigits(this.dataset, 10);
     
-    // Do counting sort for every digit
-    // exp is 10^i where i is the current digit number
-    for (let exp = 1; Math.floor(max / exp) > 0; exp *= 10) {
-      await this.countingSort(exp);
+    // Do counting sort for every digit, least significant first
+    for (let position = 0; position < digits.count; position++) {
+      await this.countingSort(digits, position);
     }
   }
   
-  // A function to do counting sort according to the digit represented by exp
-  async countingSort(exp) {
+  // A function to do counting sort according to the digit at position
+  async countingSort(digits, position) {
     const n = this.dataset.length;
+    this.annotate('digit', { position, count: digits.count });
     
     // Create output array and count array
     const output = new Array(n);
-    const count = new Array(10).fill(0);
+    const count = new Array(digits.base).fill(0);
     
     // Store count of occurrences in count[]
     for (let i = 0; i < n; i++) {
       this.arrayAccesses++; // Count reading from dataset
-      const digit = Math.floor(this.dataset[i] / exp) % 10;
+      const digit = digits.digitAt(this.dataset[i], position);
       count[digit]++;
       
       // Visualize the bucketing operation
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'bucketing',
-        indices: [i],
-        values: [this.dataset[i]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('bucketing', [i], [this.dataset[i]]);
     }
     
     // Change count[i] so that count[i] now contains actual
     // position of this digit in output[]
-    for (let i = 1; i < 10; i++) {
+    for (let i = 1; i < digits.base; i++) {
       count[i] += count[i - 1];
     }
     
     // Build the output array
     for (let i = n - 1; i >= 0; i--) {
       this.arrayAccesses++; // Count reading from dataset
-      const digit = Math.floor(this.dataset[i] / exp) % 10;
+      const digit = digits.digitAt(this.dataset[i], position);
       
       this.arrayWrites++; // Count writing to output
       output[count[digit] - 1] = this.dataset[i];
       count[digit]--;
       
       // Visualize placing elements in output array
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'place',
-        indices: [i, count[digit]],
-        values: [this.dataset[i], output[count[digit]]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('place', [i, count[digit]], [this.dataset[i], output[count[digit]]]);
     }
     
     // Copy the output array to dataset[]
     for (let i = 0; i < n; i++) {
-      this.arrayWrites++; // Count writing back to dataset
-      this.dataset[i] = output[i];
+      this.write(i, output[i]); // Count writing back to dataset
       
       // Visualize copying back
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [i],
-        values: [output[i]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [i], [output[i]]);
     }
   }
 }
@@ -1492,35 +2942,28 @@ class RadixSort extends SortingAlgorithm {
  * A bit-based implementation of radix sort that processes integers bit by bit
  * rather than digit by digit. This can be more efficient for certain inputs,
  * especially when dealing with binary data or when the range of values is large.
+ * Strings are processed one bit of each character at a time.
  */
 class RadixSortBit extends SortingAlgorithm {
   async sort() {
     const n = this.dataset.length;
     if (n <= 1) return;
     
-    // Find the maximum number to know number of bits
-    let max = this.dataset[0];
-    this.arrayAccesses++; // Count reading max
-    
-    for (let i = 1; i < n; i++) {
-      this.arrayAccesses++; // Count reading for max comparison
-      if (this.dataset[i] > max) {
-        max = this.dataset[i];
-      }
-    }
-    
-    // Calculate number of bits needed
-    const bits = Math.floor(Math.log2(max)) + 1;
+    // Read every key once to find how many bits the longest one has
+    // (bits of the number, or of every character for strings)
+    this.arrayAccesses += n;
+    const bits = getRadixDigits(this.dataset, 2);
     
     // Process each bit from least significant to most significant
-    for (let bit = 0; bit < bits; bit++) {
-      await this.bitCountingSort(bit);
+    for (let bit = 0; bit < bits.count; bit++) {
+      await this.bitCountingSort(bits, bit);
     }
   }
   
   // A function to do counting sort according to a specific bit position
-  async bitCountingSort(bitPosition) {
+  async bitCountingSort(bits, bitPosition) {
     const n = this.dataset.length;
+    this.annotate('digit', { position: bitPosition, count: bits.count });
     
     // Create output array and count array (for binary, only need size 2)
     const output = new Array(n);
@@ -1529,17 +2972,11 @@ class RadixSortBit extends SortingAlgorithm {
     // Store count of occurrences in count[]
     for (let i = 0; i < n; i++) {
       this.arrayAccesses++; // Count reading from dataset
-      const bitValue = (this.dataset[i] >> bitPosition) & 1; // Extract the bit at position
+      const bitValue = bits.digitAt(this.dataset[i], bitPosition); // Extract the bit at position
       count[bitValue]++;
       
       // Visualize the bucketing operation
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'bucketing',
-        indices: [i],
-        values: [this.dataset[i]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('bucketing', [i], [this.dataset[i]]);
     }
     
     // Change count[1] to store the actual position of this bit in output[]
@@ -1548,7 +2985,7 @@ class RadixSortBit extends SortingAlgorithm {
     // Build the output array from right to left to maintain stability
     for (let i = n - 1; i >= 0; i--) {
       this.arrayAccesses++; // Count reading from dataset
-      const bitValue = (this.dataset[i] >> bitPosition) & 1; // Extract the bit at position
+      const bitValue = bits.digitAt(this.dataset[i], bitPosition); // Extract the bit at position
       
       // Calculate output position based on the bit value
       // If bit is 0, position is count[0] - 1, if bit is 1, position is count[1] - 1
@@ -1558,86 +2995,591 @@ class RadixSortBit extends SortingAlgorithm {
       output[outputIndex] = this.dataset[i];
       
       // Visualize placing elements in output array
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'place',
-        indices: [i, outputIndex],
-        values: [this.dataset[i], output[outputIndex]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('place', [i, outputIndex], [this.dataset[i], output[outputIndex]]);
     }
     
     // Copy the output array to dataset[]
     for (let i = 0; i < n; i++) {
-      this.arrayWrites++; // Count writing back to dataset
-      this.dataset[i] = output[i];
+      this.write(i, output[i]); // Count writing back to dataset
       
       // Visualize copying back
       this.swaps++;
-      this.currentStep++;
-      this.lastOperation = {
-        type: 'swap',
-        indices: [i],
-        values: [output[i]]
-      };
-      await sleep(this.stepSpeed);
+      await this.visualize('swap', [i], [output[i]]);
     }
   }
 }
 
+/**
+ * Counting Sort
+ * 
+ * A non-comparative sort for integer keys: counts how many times each value
+ * between the smallest and largest occurs, turns the counts into positions
+ * and places every element straight into its slot. Every value in the range
+ * gets a counter whether it occurs or not, so a wide value range makes it slow.
+ */
+class CountingSort extends SortingAlgorithm {
+  async sort() {
+    const n = this.dataset.length;
+    if (n <= 1) return;
+    
+    const { min, max } = this.integerKeyRange('Counting Sort');
+    const counts = new Array(max - min + 1).fill(0);
+    
+    // Count every value
+    for (let i = 0; i < n; i++) {
+      const value = this.access(i);
+      this.arrayAccesses++; // Count reading the counter
+      this.write(value - min, counts[value - min] + 1, counts);
+      await this.visualize('bucketing', [i], [value]);
+    }
+    
+    // Running totals turn each count into the end of that value's slots
+    for (let k = 1; k < counts.length; k++) {
+      this.arrayAccesses += 2; // Count reading both counters
+      this.write(k, counts[k] + counts[k - 1], counts);
+    }
+    
+    // Place elements from the back so equal values keep their order
+    const output = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+      const value = this.access(i);
+      this.arrayAccesses++; // Count reading the counter
+      const position = this.write(value - min, counts[value - min] - 1, counts);
+      this.write(position, value, output);
+      await this.visualize('place', [i, position], [value]);
+    }
+    
+    await this.gather(output);
+  }
+}
+
+/**
+ * Pigeonhole Sort
+ * 
+ * A non-comparative sort for integer keys: makes one hole for every value
+ * between the smallest and largest, drops each element into its hole, then
+ * walks the holes in order collecting them. Like Counting Sort its running
+ * time grows with the value range, empty holes included.
+ */
+class PigeonholeSort extends SortingAlgorithm {
+  async sort() {
+    const n = this.dataset.length;
+    if (n <= 1) return;
+    
+    const { min, max } = this.integerKeyRange('Pigeonhole Sort');
+    const holes = Array.from({ length: max - min + 1 }, () => []);
+    
+    // Drop every element into its hole
+    for (let i = 0; i < n; i++) {
+      const value = this.access(i);
+      const hole = holes[value - min];
+      this.write(hole.length, value, hole);
+      await this.visualize('bucketing', [i], [value]);
+    }
+    
+    // Walk every hole, empty or not, and collect its elements in order
+    let index = 0;
+    for (const hole of holes) {
+      this.arrayAccesses++; // Count checking the hole
+      for (const value of hole) {
+        this.arrayAccesses++; // Count reading from the hole
+        this.write(index, value);
+        this.swaps++;
+        await this.visualize('gather', [index], [value]);
+        index++;
+      }
+    }
+  }
+}
+
+/**
+ * Bucket Sort
+ * 
+ * Spreads the elements over one bucket per element by where their value falls
+ * between the smallest and largest, writes the buckets back in order and
+ * finishes each bucket's run with Insertion Sort. Evenly spread values leave
+ * every bucket nearly empty; clustered values pile into a few buckets and
+ * leave Insertion Sort most of the work.
+ */
+class BucketSort extends SortingAlgorithm {
+  async sort() {
+    const n = this.dataset.length;
+    if (n <= 1) return;
+    
+    const project = getKeyProjection(this.dataset);
+    this.arrayAccesses += n; // Read every key once to find the range
+    const values = this.dataset.map(project);
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min + 1;
+    const buckets = Array.from({ length: n }, () => []);
+    
+    // Scatter: each element goes to the bucket for its share of the range
+    for (let i = 0; i < n; i++) {
+      const value = this.access(i);
+      const bucket = buckets[Math.floor(((project(value) - min) / range) * n)];
+      this.write(bucket.length, value, bucket);
+      await this.visualize('bucketing', [i], [value]);
+    }
+    
+    // Gather the buckets back in order, then insertion sort each one's run
+    let start = 0;
+    for (const bucket of buckets) {
+      this.arrayAccesses++; // Count checking the bucket
+      for (let k = 0; k < bucket.length; k++) {
+        this.arrayAccesses++; // Count reading from the bucket
+        this.write(start + k, bucket[k]);
+        this.swaps++;
+        await this.visualize('gather', [start + k], [bucket[k]]);
+      }
+      
+      await this.insertionSortRange(start, start + bucket.length);
+      start += bucket.length;
+    }
+  }
+}
+
+/**
+ * Flash Sort
+ * 
+ * Neubert's in-place distribution sort: classifies every element into one of
+ * about 0.43·n classes by value, computes where each class ends, then moves
+ * elements into their class's region by following cycles of displacements
+ * (each move puts one element in its region and picks up the one it replaces).
+ * A final Insertion Sort pass orders the elements within each class.
+ */
+class FlashSort extends SortingAlgorithm {
+  async sort() {
+    const n = this.dataset.length;
+    if (n <= 1) return;
+    
+    const project = getKeyProjection(this.dataset);
+    
+    // Find the smallest value and the largest element
+    let min = project(this.access(0));
+    let maxIndex = 0;
+    for (let i = 1; i < n; i++) {
+      const value = project(this.access(i));
+      if (value < min) min = value;
+      if (value > project(this.dataset[maxIndex])) maxIndex = i;
+    }
+    const max = project(this.dataset[maxIndex]);
+    
+    // Distinct keys can project to the same number (records sharing a name,
+    // strings with a long shared prefix), so when every projection is equal
+    // there are no classes to permute into and the Insertion Sort does it all
+    if (min !== max) {
+      await this.permuteIntoClasses(project, min, max, maxIndex);
+    }
+    
+    await this.insertionSortRange(0, n);
+  }
+  
+  // Move every element into the region of its class, where class 0 holds
+  // the smallest projections and the last class the largest
+  async permuteIntoClasses(project, min, max, maxIndex) {
+    const n = this.dataset.length;
+    const classCount = Math.max(2, Math.floor(0.43 * n));
+    const classOf = (value) => Math.floor(((classCount - 1) * (project(value) - min)) / (max - min));
+    
+    // Count the elements of each class
+    const classEnds = new Array(classCount).fill(0);
+    for (let i = 0; i < n; i++) {
+      const value = this.access(i);
+      const k = classOf(value);
+      this.arrayAccesses++; // Count reading the counter
+      this.write(k, classEnds[k] + 1, classEnds);
+      await this.visualize('bucketing', [i], [value]);
+    }
+    
+    // Running totals turn the counts into where each class's region ends
+    for (let k = 1; k < classCount; k++) {
+      this.arrayAccesses += 2; // Count reading both counters
+      this.write(k, classEnds[k] + classEnds[k - 1], classEnds);
+    }
+    
+    // The largest element starts the first cycle
+    if (maxIndex !== 0) {
+      await this.swap(maxIndex, 0);
+    }
+    
+    // Permute: carry an element to the end of its class's unfilled region,
+    // pick up the element there and carry that one next, until a cycle closes
+    let moves = 0;
+    let j = 0;
+    let k = classCount - 1;
+    while (moves < n - 1) {
+      // Skip elements that are already in their class's region
+      while (j > classEnds[k] - 1) {
+        j++;
+        k = classOf(this.access(j));
+      }
+      
+      let carried = this.access(j);
+      while (j !== classEnds[k]) {
+        k = classOf(carried);
+        this.arrayAccesses++; // Count reading the class's end
+        const position = this.write(k, classEnds[k] - 1, classEnds);
+        const displaced = this.access(position);
+        this.write(position, carried);
+        this.swaps++;
+        await this.visualize('place', [j, position], [carried, displaced]);
+        
+        carried = displaced;
+        moves++;
+      }
+    }
+  }
+}
+
+/**
+ * User Algorithm
+ * 
+ * A sorting algorithm submitted by a player. Its code has already been run in
+ * the sandbox (see sandbox.js), which recorded every primitive it called; this
+ * replays those operations so they are visualized, costed and timed exactly
+ * like a built-in algorithm's. If the code failed, the operations it managed
+ * are replayed and then the algorithm fails with the sandbox's error.
+ */
+class UserAlgorithm extends SortingAlgorithm {
+  constructor(dataset, stepSpeed, options = {}) {
+    super(dataset, stepSpeed, options);
+    this.trace = options.trace || [];           // Flat [opcode, a, b, ...] list from the sandbox (an array or Float64Array)
+    this.sandboxError = options.sandboxError || null;
+  }
+  
+  // Why the trace can't be replayed, or null if every entry is a known
+  // operation on indices inside the dataset. The sandbox already checks this,
+  // but the trace comes from a run of untrusted code, so it's checked again
+  // before anything touches the dataset.
+  findTraceError() {
+    const trace = this.trace;
+    const n = this.dataset.length;
+    const isIndex = (index) => Number.isInteger(index) && index >= 0 && index < n;
+    
+    if (!(Array.isArray(trace) || trace instanceof Float64Array) || trace.length % 3 !== 0) {
+      return 'the trace is malformed';
+    }
+    
+    for (let k = 0; k < trace.length; k += 3) {
+      const operation = USER_OPERATIONS[trace[k]];
+      const a = trace[k + 1];
+      const b = trace[k + 2];
+      
+      if (!Number.isInteger(trace[k]) || !operation) {
+        return `unknown operation ${String(trace[k])} at entry ${k / 3}`;
+      }
+      if (!isIndex(a) || ((operation === 'compare' || operation === 'swap') && !isIndex(b))) {
+        return `${operation} at entry ${k / 3} is outside the dataset`;
+      }
+      if (operation === 'write' && (typeof b !== 'number' || !Number.isFinite(b) || typeof keyOf(this.dataset[a]) !== 'number')) {
+        return `write at entry ${k / 3} has an invalid value`;
+      }
+    }
+    
+    return null;
+  }
+  
+  async sort() {
+    // A trace that fails the checks is scored as did not finish, without replaying any of it
+    const traceError = this.findTraceError();
+    if (traceError) {
+      throw new Error(`Invalid operation trace: ${traceError}`);
+    }
+    
+    for (let k = 0; k < this.trace.length; k += 3) {
+      const a = this.trace[k + 1];
+      const b = this.trace[k + 2];
+      
+      switch (USER_OPERATIONS[this.trace[k]]) {
+        case 'compare':
+          await this.compare(a, b);
+          break;
+        case 'swap':
+          await this.swap(a, b);
+          break;
+        case 'access':
+          await this.visualize('access', [a], [this.access(a)]);
+          break;
+        case 'write': {
+          const oldValue = this.dataset[a];
+          this.write(a, b);
+          await this.visualize('write', [a], [oldValue, b]);
+          break;
+        }
+        default:
+          throw new Error(`Unknown operation in trace: ${this.trace[k]}`);
+      }
+    }
+    
+    if (this.sandboxError) {
+      throw new Error(this.sandboxError);
+    }
+  }
+}
+
+/**
+ * Creates a player-submitted algorithm from its sandbox run
+ * @param {Array} dataset - The race's dataset
+ * @param {number} stepSpeed - Milliseconds per unit of cost
+ * @param {object} options - Algorithm options plus the sandbox's `trace` and `sandboxError`
+ * @returns {UserAlgorithm}
+ */
+const createUserAlgorithm = (dataset, stepSpeed, options = {}) => {
+  return new UserAlgorithm(dataset, stepSpeed, options);
+};
+
+/**
+ * Algorithm registry
+ * Every algorithm the server can race, in display order. The metadata is sent
+ * to clients (see getAlgorithmCatalog), so adding an entry here is all it
+ * takes to offer a new algorithm.
+ */
+const ALGORITHMS = [
+  {
+    id: 'bubble', name: 'Bubble Sort', family: 'exchange', stable: true, inPlace: true,
+    complexity: { best: 'O(n)', average: 'O(n²)', worst: 'O(n²)', space: 'O(1)' },
+    Algorithm: BubbleSort
+  },
+  {
+    id: 'insertion', name: 'Insertion Sort', family: 'insertion', stable: true, inPlace: true,
+    complexity: { best: 'O(n)', average: 'O(n²)', worst: 'O(n²)', space: 'O(1)' },
+    Algorithm: InsertionSort
+  },
+  {
+    id: 'selection', name: 'Selection Sort', family: 'selection', stable: false, inPlace: true,
+    complexity: { best: 'O(n²)', average: 'O(n²)', worst: 'O(n²)', space: 'O(1)' },
+    Algorithm: SelectionSort
+  },
+  {
+    id: 'cocktail', name: 'Cocktail Shaker Sort', family: 'exchange', stable: true, inPlace: true,
+    complexity: { best: 'O(n)', average: 'O(n²)', worst: 'O(n²)', space: 'O(1)' },
+    Algorithm: CocktailShakerSort
+  },
+  {
+    id: 'comb', name: 'Comb Sort', family: 'exchange', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n²/2ᵖ)', worst: 'O(n²)', space: 'O(1)' },
+    Algorithm: CombSort
+  },
+  {
+    id: 'shell', name: 'Shell Sort (Shell gaps)', family: 'insertion', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n^1.5)', worst: 'O(n²)', space: 'O(1)' },
+    Algorithm: ShellSort
+  },
+  {
+    id: 'shellknuth', name: 'Shell Sort (Knuth gaps)', family: 'insertion', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n^1.25)', worst: 'O(n^1.5)', space: 'O(1)' },
+    Algorithm: ShellSortKnuth
+  },
+  {
+    // Gaps found by experiment, so no worst case is known
+    id: 'shellciura', name: 'Shell Sort (Ciura gaps)', family: 'insertion', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n^1.25)', worst: 'unknown', space: 'O(1)' },
+    Algorithm: ShellSortCiura
+  },
+  {
+    id: 'shellsedgewick', name: 'Shell Sort (Sedgewick gaps)', family: 'insertion', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n^(7/6))', worst: 'O(n^(4/3))', space: 'O(1)' },
+    Algorithm: ShellSortSedgewick
+  },
+  {
+    id: 'heap', name: 'Heap Sort', family: 'selection', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(1)' },
+    Algorithm: HeapSort
+  },
+  {
+    id: 'bottomupheap', name: 'Bottom-Up Heap Sort', family: 'selection', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(1)' },
+    Algorithm: BottomUpHeapSort
+  },
+  {
+    id: 'ternaryheap', name: 'Ternary Heap Sort', family: 'selection', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(1)' },
+    Algorithm: TernaryHeapSort
+  },
+  {
+    // One flip bit per element
+    id: 'weakheap', name: 'Weak-Heap Sort', family: 'selection', stable: false, inPlace: false,
+    complexity: { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(n)' },
+    Algorithm: WeakHeapSort
+  },
+  {
+    // Adaptive: O(n) on presorted input
+    id: 'smooth', name: 'Smoothsort', family: 'selection', stable: false, inPlace: true,
+    complexity: { best: 'O(n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(1)' },
+    Algorithm: SmoothSort
+  },
+  {
+    // Merges with rotations instead of an auxiliary array
+    id: 'inplacestable', name: 'In-Place Stable Sort', family: 'merge', stable: true, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n log² n)', worst: 'O(n log² n)', space: 'O(log n)' },
+    Algorithm: InPlaceStableSort
+  },
+  {
+    id: 'merge', name: 'Merge Sort', family: 'merge', stable: true, inPlace: false,
+    complexity: { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(n)' },
+    Algorithm: MergeSort
+  },
+  {
+    id: 'timsort', name: 'TimSort', family: 'hybrid', stable: true, inPlace: false,
+    complexity: { best: 'O(n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(n)' },
+    Algorithm: TimSort
+  },
+  {
+    id: 'powersort', name: 'PowerSort', family: 'hybrid', stable: true, inPlace: false,
+    complexity: { best: 'O(n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(n)' },
+    Algorithm: PowerSort
+  },
+  {
+    id: 'quick', name: 'Quick Sort', family: 'partition', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n²)', space: 'O(log n)' },
+    Algorithm: QuickSort
+  },
+  {
+    id: 'dualpivot', name: 'Dual-Pivot Quick Sort', family: 'partition', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n²)', space: 'O(log n)' },
+    Algorithm: DualPivotQuickSort
+  },
+  {
+    id: 'introsort', name: 'Introsort', family: 'hybrid', stable: false, inPlace: true,
+    complexity: { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(log n)' },
+    Algorithm: IntroSort
+  },
+  {
+    id: 'pdq', name: 'Pattern-Defeating Quick Sort', family: 'hybrid', stable: false, inPlace: true,
+    complexity: { best: 'O(n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(log n)' },
+    Algorithm: PdqSort
+  },
+  {
+    id: 'radix', name: 'Radix Sort (Decimal)', family: 'distribution', stable: true, inPlace: false,
+    complexity: { best: 'O(d·n)', average: 'O(d·n)', worst: 'O(d·n)', space: 'O(n)' },
+    Algorithm: RadixSort
+  },
+  {
+    id: 'radixbit', name: 'Radix Sort (Binary)', family: 'distribution', stable: true, inPlace: false,
+    complexity: { best: 'O(b·n)', average: 'O(b·n)', worst: 'O(b·n)', space: 'O(n)' },
+    Algorithm: RadixSortBit
+  },
+  {
+    // Integer datasets only; one counter per value in the range
+    id: 'counting', name: 'Counting Sort', family: 'distribution', stable: true, inPlace: false,
+    complexity: { best: 'O(n + k)', average: 'O(n + k)', worst: 'O(n + k)', space: 'O(n + k)' },
+    Algorithm: CountingSort
+  },
+  {
+    // Integer datasets only; one hole per value in the range
+    id: 'pigeonhole', name: 'Pigeonhole Sort', family: 'distribution', stable: true, inPlace: false,
+    complexity: { best: 'O(n + k)', average: 'O(n + k)', worst: 'O(n + k)', space: 'O(n + k)' },
+    Algorithm: PigeonholeSort
+  },
+  {
+    id: 'bucket', name: 'Bucket Sort', family: 'distribution', stable: true, inPlace: false,
+    complexity: { best: 'O(n)', average: 'O(n)', worst: 'O(n²)', space: 'O(n)' },
+    Algorithm: BucketSort
+  },
+  {
+    id: 'flash', name: 'Flash Sort', family: 'distribution', stable: false, inPlace: true,
+    complexity: { best: 'O(n)', average: 'O(n)', worst: 'O(n²)', space: 'O(n)' },
+    Algorithm: FlashSort
+  },
+  {
+    // Sorting networks: comparators within a round run in parallel, one step per round
+    id: 'bitonic', name: 'Bitonic Sort', family: 'network', stable: false, inPlace: true,
+    complexity: { best: 'O(n log² n)', average: 'O(n log² n)', worst: 'O(n log² n)', space: 'O(1)' },
+    Algorithm: BitonicSort
+  },
+  {
+    id: 'oddevenmerge', name: 'Odd-Even Merge Sort', family: 'network', stable: false, inPlace: true,
+    complexity: { best: 'O(n log² n)', average: 'O(n log² n)', worst: 'O(n log² n)', space: 'O(1)' },
+    Algorithm: OddEvenMergeSort
+  },
+  {
+    id: 'oddeventransposition', name: 'Odd-Even Transposition Sort', family: 'network', stable: true, inPlace: true,
+    complexity: { best: 'O(n²)', average: 'O(n²)', worst: 'O(n²)', space: 'O(1)' },
+    Algorithm: OddEvenTranspositionSort
+  },
+  {
+    // Writes each element at most once
+    id: 'cycle', name: 'Cycle Sort', family: 'selection', stable: false, inPlace: true,
+    complexity: { best: 'O(n²)', average: 'O(n²)', worst: 'O(n²)', space: 'O(1)' },
+    Algorithm: CycleSort
+  },
+  {
+    // Moves elements only with prefix reversals
+    id: 'pancake', name: 'Pancake Sort', family: 'selection', stable: false, inPlace: true,
+    complexity: { best: 'O(n²)', average: 'O(n²)', worst: 'O(n²)', space: 'O(1)' },
+    Algorithm: PancakeSort
+  },
+  {
+    id: 'patience', name: 'Patience Sort', family: 'merge', stable: false, inPlace: false,
+    complexity: { best: 'O(n)', average: 'O(n log n)', worst: 'O(n log n)', space: 'O(n)' },
+    Algorithm: PatienceSort
+  },
+  {
+    id: 'tree', name: 'Tree Sort', family: 'insertion', stable: true, inPlace: false,
+    complexity: { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n²)', space: 'O(n)' },
+    Algorithm: TreeSort
+  },
+  {
+    id: 'library', name: 'Library Sort', family: 'insertion', stable: true, inPlace: false,
+    complexity: { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n²)', space: 'O(n)' },
+    Algorithm: LibrarySort
+  },
+  {
+    id: 'bogo', name: 'Bogo Sort', family: 'joke', stable: false, inPlace: true,
+    complexity: { best: 'O(n)', average: 'O(n·n!)', worst: 'unbounded', space: 'O(1)' },
+    Algorithm: BogoSort
+  },
+  {
+    // Drops out-of-order elements rather than sorting them
+    id: 'stalin', name: 'Stalin Sort', family: 'joke', stable: true, inPlace: true,
+    complexity: { best: 'O(n)', average: 'O(n)', worst: 'O(n)', space: 'O(1)' },
+    Algorithm: StalinSort
+  },
+  {
+    id: 'gnome', name: 'Gnome Sort', family: 'exchange', stable: true, inPlace: true,
+    complexity: { best: 'O(n)', average: 'O(n²)', worst: 'O(n²)', space: 'O(1)' },
+    Algorithm: GnomeSort
+  }
+];
+
+const ALGORITHM_REGISTRY = new Map(ALGORITHMS.map(entry => [entry.id, entry]));
+
+/**
+ * Checks whether an id names a registered algorithm
+ * @param {string} type - Algorithm id
+ * @returns {boolean}
+ */
+const isAlgorithmType = (type) => ALGORITHM_REGISTRY.has(type);
+
+/**
+ * Gets the metadata of every registered algorithm, in display order
+ * @returns {Array} - { id, name, family, stable, inPlace, complexity, order } per algorithm
+ */
+const getAlgorithmCatalog = () => ALGORITHMS.map(({ Algorithm, ...metadata }, order) => ({ ...metadata, order }));
+
 // Factory function to create appropriate algorithm instance
-const createAlgorithm = (type, dataset, stepSpeed) => {
-  switch (type.toLowerCase()) {
-    case 'bubble':
-      return new BubbleSort(dataset, stepSpeed);
-    case 'quick':
-      return new QuickSort(dataset, stepSpeed);
-    case 'inplacestable': 
-      // In-place stable sort (no auxiliary array)
-      return new InPlaceStableSort(dataset, stepSpeed);
-    case 'merge':
-      // Traditional merge sort with auxiliary array
-      return new MergeSort(dataset, stepSpeed);
-    case 'insertion':
-      return new InsertionSort(dataset, stepSpeed);
-    case 'selection':
-      return new SelectionSort(dataset, stepSpeed);
-    case 'heap':
-      // Heap sort using binary heap data structure
-      return new HeapSort(dataset, stepSpeed);
-    case 'timsort':
-      // TimSort - hybrid sorting algorithm
-      return new TimSort(dataset, stepSpeed);
-    case 'powersort':
-      // PowerSort - modern adaptive sorting algorithm
-      return new PowerSort(dataset, stepSpeed);
-    case 'bogo':
-      // Bogo sort - highly inefficient random shuffle sort
-      return new BogoSort(dataset, stepSpeed);
-    case 'stalin':
-      // Stalin sort - joke sorting algorithm
-      return new StalinSort(dataset, stepSpeed);
-    case 'gnome':
-      // Gnome sort - simple back and forth sorting algorithm
-      return new GnomeSort(dataset, stepSpeed);
-    case 'radix':
-      // Radix sort - non-comparative integer sorting algorithm
-      return new RadixSort(dataset, stepSpeed);
-    case 'radixbit':
-      // Radix sort bit - bit-based implementation of radix sort
-      return new RadixSortBit(dataset, stepSpeed);
-    default:
-      throw new Error(`Unknown algorithm type: ${type}`);
+const createAlgorithm = (type, dataset, stepSpeed, options = {}) => {
+  const entry = ALGORITHM_REGISTRY.get(type.toLowerCase());
+  if (!entry) {
+    throw new Error(`Unknown algorithm type: ${type}`);
   }
+  
+  return new entry.Algorithm(dataset, stepSpeed, options);
 };
 
 // Function to generate a random dataset
-const generateDataset = (size, min = 1, max = 100, allowDuplicates = false) => {
+// Pass a seeded `random` (see utils/random.js) to make the dataset reproducible,
+// a `shape` (see utils/datasetShapes.js) to arrange it beyond uniform random,
+// and a `type` (see utils/datasetTypes.js) to race on strings or records
+const generateDataset = (size, min = 1, max = 100, allowDuplicates = false, { random = Math.random, shape = DEFAULT_DATASET_SHAPE, type = DEFAULT_DATASET_TYPE } = {}) => {
   const dataset = [];
   
-  if (allowDuplicates) {
+  if (type !== 'integers') {
+    // min and max bound the score field of records
+    dataset.push(...generateTypedValues(type, size, { min, max, allowDuplicates, random }));
+  } else if (allowDuplicates) {
     for (let i = 0; i < size; i++) {
-      dataset.push(Math.floor(Math.random() * (max - min + 1)) + min);
+      dataset.push(Math.floor(random() * (max - min + 1)) + min);
     }
   } else {
     // Ensure no duplicates by creating a set of possible values and sampling from it
@@ -1653,17 +3595,20 @@ const generateDataset = (size, min = 1, max = 100, allowDuplicates = false) => {
     const actualSize = Math.min(size, possibleValuesArray.length);
     
     for (let i = 0; i < actualSize; i++) {
-      const randomIndex = Math.floor(Math.random() * possibleValuesArray.length);
+      const randomIndex = Math.floor(random() * possibleValuesArray.length);
       dataset.push(possibleValuesArray[randomIndex]);
       possibleValuesArray.splice(randomIndex, 1);
     }
   }
   
-  return dataset;
+  return shapeDataset(dataset, shape, { min, max, allowDuplicates, random });
 };
 
 module.exports = {
   createAlgorithm,
+  createUserAlgorithm,
+  isAlgorithmType,
+  getAlgorithmCatalog,
   generateDataset,
   sleep
 }; 
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Operation Cost Model
+ * Decides how much time each operation costs during a race. An operation's
+ * cost is a flat per-operation cost plus the weighted comparisons, swaps,
+ * reads (access) and writes (write) it performed. Comparing strings costs one
+ * extra comparison per character of prefix the two keys share. A sorting
+ * network's round of parallel comparators costs only as much as its most
+ * expensive comparator. Realtime races sleep stepSpeed ms per unit of cost;
+ * virtual races advance the clock by it.
+ */
+
+// The weights a cost model is made of
+const COST_WEIGHTS = ['operation', 'comparison', 'swap', 'read', 'write'];
+
+// Keep weights whole numbers so virtual finish times (and ties) are exact
+const MAX_COST_WEIGHT = 1000;
+
+const COST_PRESETS = {
+  // One step per visualized operation, however much work it did (the original behavior)
+  classic: {
+    name: 'Classic (one step per operation)',
+    weights: { operation: 1, comparison: 0, swap: 0, read: 0, write: 0 }
+  },
+  // Every comparison, swap, read and write costs the same
+  uniform: {
+    name: 'Uniform',
+    weights: { operation: 0, comparison: 1, swap: 1, read: 1, write: 1 }
+  },
+  // Comparisons dominate, e.g. sorting long string keys
+  expensiveComparisons: {
+    name: 'Expensive comparisons (string keys)',
+    weights: { operation: 0, comparison: 10, swap: 1, read: 1, write: 1 }
+  },
+  // Writes dominate, e.g. sorting on flash memory
+  expensiveWrites: {
+    name: 'Expensive writes (flash memory)',
+    weights: { operation: 0, comparison: 1, swap: 1, read: 1, write: 10 }
+  }
+};
+
+const DEFAULT_COST_PRESET = 'classic';
+
+/**
+ * Gets the cost model for a preset
+ * @param {string} preset - Preset name
+ * @returns {object} - Cost model { preset, weights }
+ */
+const getPresetCostModel = (preset = DEFAULT_COST_PRESET) => ({
+  preset,
+  weights: { ...COST_PRESETS[preset].weights }
+});
+
+/**
+ * Parses a cost model supplied by a client
+ * @param {object} value - { preset } for a preset, or { preset: 'custom', weights } for custom weights
+ * @returns {object|null} - Normalized cost model, or null if it is not valid
+ */
+const parseCostModel = (value) => {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+
+  if (value.preset !== 'custom') {
+    return COST_PRESETS[value.preset] ? getPresetCostModel(value.preset) : null;
+  }
+
+  if (!value.weights || typeof value.weights !== 'object') {
+    return null;
+  }
+
+  const weights = {};
+  for (const weight of COST_WEIGHTS) {
+    const weightValue = value.weights[weight] === undefined ? 0 : value.weights[weight];
+
+    if (!Number.isInteger(weightValue) || weightValue < 0 || weightValue > MAX_COST_WEIGHT) {
+      return null;
+    }
+
+    weights[weight] = weightValue;
+  }
+
+  // Something has to cost time or the race would finish instantly
+  if (!COST_WEIGHTS.some(weight => weights[weight] > 0)) {
+    return null;
+  }
+
+  return { preset: 'custom', weights };
+};
+
+module.exports = {
+  COST_WEIGHTS,
+  COST_PRESETS,
+  DEFAULT_COST_PRESET,
+  MAX_COST_WEIGHT,
+  getPresetCostModel,
+  parseCostModel
+};
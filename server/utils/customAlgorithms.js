@@ -0,0 +1,69 @@
+/**
+ * Custom Algorithms
+ * Sorting algorithms written by players in a room. They are kept on the room
+ * (room.customAlgorithms, keyed by id), one per player, and run in the
+ * sandbox when a race starts (see sandbox.js).
+ */
+
+const crypto = require('crypto');
+const { checkAlgorithmCode } = require('./sandbox');
+
+// Custom ids never clash with the built-in registry's ids
+const CUSTOM_ALGORITHM_PREFIX = 'custom-';
+
+const MAX_NAME_LENGTH = 40;
+const MAX_CUSTOM_ALGORITHMS = 10; // Per room
+
+// Check whether an algorithm id belongs to a player-submitted algorithm
+const isCustomAlgorithmId = (id) => typeof id === 'string' && id.startsWith(CUSTOM_ALGORITHM_PREFIX);
+
+const createCustomAlgorithmId = () => CUSTOM_ALGORITHM_PREFIX + crypto.randomBytes(4).toString('hex');
+
+/**
+ * Validates a submitted algorithm
+ * @param {object} submission - { name, code } as sent by the client
+ * @returns {string|null} - Why the submission was rejected, or null if it is valid
+ */
+const validateSubmission = ({ name, code } = {}) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Algorithm name is required';
+  }
+
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `Algorithm name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+
+  return checkAlgorithmCode(code);
+};
+
+/**
+ * Looks up one of a room's custom algorithms. Only the room's own entries
+ * count, so ids like 'constructor' don't find anything inherited.
+ * @param {object} room - The room
+ * @param {string} id - The algorithm id
+ * @returns {object|null} - The algorithm ({ id, name, author, code }), or null
+ */
+const getCustomAlgorithm = (room, id) => {
+  if (!isCustomAlgorithmId(id) || !room.customAlgorithms || !Object.hasOwn(room.customAlgorithms, id)) {
+    return null;
+  }
+  return room.customAlgorithms[id];
+};
+
+/**
+ * Gets a room's custom algorithms as sent to clients (without their code)
+ * @param {object} room - The room
+ * @returns {Array} - { id, name, author } for each custom algorithm
+ */
+const getCustomAlgorithmList = (room) => {
+  return Object.values(room.customAlgorithms || {}).map(({ id, name, author }) => ({ id, name, author }));
+};
+
+module.exports = {
+  MAX_CUSTOM_ALGORITHMS,
+  isCustomAlgorithmId,
+  createCustomAlgorithmId,
+  validateSubmission,
+  getCustomAlgorithm,
+  getCustomAlgorithmList
+};
@@ -0,0 +1,89 @@
+/**
+ * Custom Dataset
+ * Parses a dataset the host pasted or uploaded, so a race can run on exact
+ * input (a reversed array, a QuickSort killer) instead of a generated one.
+ * Accepts numbers separated by commas, semicolons, whitespace or newlines
+ * (which covers simple CSV files, with an optional header row) or a JSON array.
+ */
+
+const { MIN_DATASET_SIZE, MAX_DATASET_SIZE } = require('./datasetLimits');
+
+// Same limits as the value range setting
+const MIN_VALUE = 1;
+const MAX_VALUE = 5000;
+
+const MAX_INPUT_LENGTH = 100000; // Characters of pasted or uploaded text, enough for the largest dataset
+
+// Split delimited text into value tokens, dropping a CSV header row if there is one
+const tokenize = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+
+  if (lines.length > 1 && !/\d/.test(lines[0])) {
+    lines.shift();
+  }
+
+  return lines
+    .join('\n')
+    .split(/[\s,;]+/)
+    .filter(token => token)
+    .map(token => token.replace(/^"(.*)"$/, '$1')); // Quoted CSV cells
+};
+
+/**
+ * Parses and validates a host-supplied dataset
+ * @param {string|Array} input - Delimited text, JSON array text, or an array of numbers
+ * @returns {object} - { dataset } if it is valid, otherwise { error } saying why not
+ */
+const parseCustomDataset = (input) => {
+  let values;
+
+  if (Array.isArray(input)) {
+    values = input;
+  } else if (typeof input === 'string' && input.trim()) {
+    if (input.length > MAX_INPUT_LENGTH) {
+      return { error: `Dataset text must be at most ${MAX_INPUT_LENGTH} characters` };
+    }
+
+    const text = input.trim();
+
+    if (text.startsWith('[')) {
+      try {
+        values = JSON.parse(text);
+      } catch (error) {
+        return { error: 'Dataset is not a valid JSON array' };
+      }
+
+      if (!Array.isArray(values)) {
+        return { error: 'Dataset is not a valid JSON array' };
+      }
+    } else {
+      values = tokenize(text);
+    }
+  } else {
+    return { error: 'Dataset is required' };
+  }
+
+  if (values.length < MIN_DATASET_SIZE || values.length > MAX_DATASET_SIZE) {
+    return { error: `Dataset must have between ${MIN_DATASET_SIZE} and ${MAX_DATASET_SIZE} values (got ${values.length})` };
+  }
+
+  const dataset = [];
+
+  for (let i = 0; i < values.length; i++) {
+    const value = typeof values[i] === 'string' && values[i].trim() ? Number(values[i]) : values[i];
+
+    if (!Number.isInteger(value) || value < MIN_VALUE || value > MAX_VALUE) {
+      return { error: `Value ${i + 1} (${String(values[i])}) must be a whole number from ${MIN_VALUE} to ${MAX_VALUE}` };
+    }
+
+    dataset.push(value);
+  }
+
+  return { dataset };
+};
+
+module.exports = {
+  MIN_VALUE,
+  MAX_VALUE,
+  parseCustomDataset
+};
@@ -0,0 +1,60 @@
+/**
+ * Dataset Limits
+ * How big a race's dataset may be. Clients draw every algorithm's dataset on
+ * a canvas (see client/src/utils/renderers.js), which keeps up with about
+ * 10,000 values per algorithm, and race update keyframes carry each
+ * algorithm's dataset (see raceUpdates.js), so the more algorithms race the
+ * smaller each dataset has to be to keep the values sent and drawn per update
+ * in bounds, and the more values a race has the less often it is updated.
+ */
+
+const MIN_DATASET_SIZE = 5;
+const MAX_DATASET_SIZE = 10000;
+
+// Values drawn per race update, across every algorithm in the race
+const MAX_RACE_VALUES = 30000;
+
+// Values sent per second in a race's updates; races of bigger datasets are
+// updated less often so viewers aren't flooded
+const MAX_VALUES_PER_SECOND = 150000;
+
+// Largest dataset a race of the given number of algorithms may sort
+const maxDatasetSizeFor = (algorithmCount) => (
+  Math.max(MIN_DATASET_SIZE, Math.min(MAX_DATASET_SIZE, Math.floor(MAX_RACE_VALUES / Math.max(1, algorithmCount))))
+);
+
+// Shortest time in ms between race updates carrying the given number of values
+const minUpdateIntervalFor = (valueCount) => Math.ceil((valueCount * 1000) / MAX_VALUES_PER_SECOND);
+
+// Why a dataset size doesn't fit a race of the given number of algorithms, or null if it does
+const checkDatasetSize = (size, algorithmCount) => {
+  const max = maxDatasetSizeFor(algorithmCount);
+  if (!Number.isInteger(size) || size < MIN_DATASET_SIZE || size > max) {
+    return `Dataset size must be a whole number from ${MIN_DATASET_SIZE} to ${max} for a race of ${algorithmCount} algorithms`;
+  }
+  return null;
+};
+
+// Why a generated dataset can't be the given size, or null if it can: a
+// whole-number dataset without duplicates needs a value range holding at
+// least as many values, or it would come out smaller than the room asked for
+const checkValueRange = (size, { datasetType, allowDuplicates, valueRange }) => {
+  if (datasetType !== 'integers' || allowDuplicates) return null;
+
+  const rangeSize = valueRange.max - valueRange.min + 1;
+  if (size > rangeSize) {
+    return `A dataset of ${size} values without duplicates needs a value range of at least ${size} values (${valueRange.min} to ${valueRange.max} holds ${Math.max(0, rangeSize)}); widen the range or allow duplicates`;
+  }
+  return null;
+};
+
+module.exports = {
+  MIN_DATASET_SIZE,
+  MAX_DATASET_SIZE,
+  MAX_RACE_VALUES,
+  MAX_VALUES_PER_SECOND,
+  maxDatasetSizeFor,
+  minUpdateIntervalFor,
+  checkDatasetSize,
+  checkValueRange
+};
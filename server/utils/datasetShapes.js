@@ -0,0 +1,155 @@
+/**
+ * Dataset Shapes
+ * Arrangements of the race dataset beyond uniform random values. Structured
+ * input is where adaptive algorithms (TimSort, PowerSort, insertion sort)
+ * pull ahead of the ones that treat every input the same.
+ */
+
+const { compareValues } = require('./datasetTypes');
+
+// Room setting values, see shapeDataset for what each one produces
+const DATASET_SHAPES = [
+  'random',
+  'sorted',
+  'reversed',
+  'nearlySorted',
+  'fewUnique',
+  'sawtooth',
+  'organPipe',
+  'gaussian',
+  'sortedRuns'
+];
+
+const DEFAULT_DATASET_SHAPE = 'random';
+
+// Nearly sorted datasets get one random swap per this many elements (at least one)
+const NEARLY_SORTED_SWAP_INTERVAL = 20;
+
+// Few-unique datasets use this many distinct values (or fewer for tiny datasets)
+const FEW_UNIQUE_VALUES = 5;
+
+const ascending = compareValues;
+
+// Pick a whole number in [low, high] with the race's random stream
+const randomInt = (random, low, high) => low + Math.floor(random() * (high - low + 1));
+
+// Standard normal sample (Box-Muller)
+const randomNormal = (random) => {
+  const u = 1 - random(); // (0, 1] so the log is finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Draws values from a bell curve centred on the middle of the range
+ * @param {number} size - Number of values
+ * @param {object} options - { min, max, allowDuplicates, random }
+ * @returns {Array} - The values, in the order drawn
+ */
+const gaussianValues = (size, { min, max, allowDuplicates, random }) => {
+  const mean = (min + max) / 2;
+  const deviation = (max - min) / 6; // Nearly every value falls within the range
+  const used = new Set();
+  const values = [];
+
+  for (let i = 0; i < size; i++) {
+    let value = Math.round(mean + randomNormal(random) * deviation);
+    value = Math.min(max, Math.max(min, value));
+
+    // Without duplicates, move to the nearest unused value so the curve keeps its shape
+    if (!allowDuplicates) {
+      for (let offset = 1; used.has(value); offset++) {
+        if (value - offset >= min && !used.has(value - offset)) {
+          value -= offset;
+        } else if (value + offset <= max && !used.has(value + offset)) {
+          value += offset;
+        }
+      }
+      used.add(value);
+    }
+
+    values.push(value);
+  }
+
+  return values;
+};
+
+/**
+ * Arranges (or for some shapes redraws) a dataset of uniform random values
+ * @param {Array} values - Uniform random values from generateDataset
+ * @param {string} shape - One of DATASET_SHAPES
+ * @param {object} options - { min, max, allowDuplicates, random } as used to draw the values
+ * @returns {Array} - The shaped dataset, the same size as values
+ */
+const shapeDataset = (values, shape, options) => {
+  const { random } = options;
+  const n = values.length;
+  const sorted = [...values].sort(ascending);
+
+  switch (shape) {
+    case 'sorted':
+      return sorted;
+
+    case 'reversed':
+      return sorted.reverse();
+
+    case 'nearlySorted': {
+      // Sorted, then a few random pairs swapped
+      const swaps = Math.max(1, Math.floor(n / NEARLY_SORTED_SWAP_INTERVAL));
+      for (let k = 0; k < swaps && n > 1; k++) {
+        const i = randomInt(random, 0, n - 1);
+        const j = randomInt(random, 0, n - 1);
+        [sorted[i], sorted[j]] = [sorted[j], sorted[i]];
+      }
+      return sorted;
+    }
+
+    case 'fewUnique': {
+      // Every element is one of a handful of the drawn values
+      const distinct = [...new Set(values)].slice(0, FEW_UNIQUE_VALUES);
+      return values.map(() => distinct[randomInt(random, 0, distinct.length - 1)]);
+    }
+
+    case 'sawtooth': {
+      // Several ascending teeth, each spanning the whole range
+      const teeth = Math.max(2, Math.round(Math.sqrt(n) / 2));
+      const result = [];
+      for (let tooth = 0; tooth < teeth; tooth++) {
+        result.push(...sorted.filter((value, index) => index % teeth === tooth));
+      }
+      return result;
+    }
+
+    case 'organPipe': {
+      // Rises to the largest value in the middle, then falls
+      const rising = sorted.filter((value, index) => index % 2 === 0);
+      const falling = sorted.filter((value, index) => index % 2 === 1).reverse();
+      return rising.concat(falling);
+    }
+
+    case 'gaussian':
+      // A bell curve of numbers; strings and records keep their random order
+      return typeof values[0] === 'number' ? gaussianValues(n, options) : values;
+
+    case 'sortedRuns': {
+      // Random values cut into runs of random length, each run already sorted
+      const result = [];
+      const maxRun = Math.max(2, Math.floor(n / 4));
+      for (let start = 0; start < n; ) {
+        const length = randomInt(random, 2, maxRun);
+        result.push(...values.slice(start, start + length).sort(ascending));
+        start += length;
+      }
+      return result;
+    }
+
+    default:
+      return values;
+  }
+};
+
+module.exports = {
+  DATASET_SHAPES,
+  DEFAULT_DATASET_SHAPE,
+  shapeDataset
+};
@@ -0,0 +1,91 @@
+/**
+ * Dataset Types
+ * What a race sorts: integers (the original datasets), strings compared
+ * lexicographically, or multi-field records sorted by a composite key
+ * (name, then score). Records are sent to clients as [name, score] arrays.
+ */
+
+const DATASET_TYPES = ['integers', 'strings', 'records'];
+
+const DEFAULT_DATASET_TYPE = 'integers';
+
+// Words are built from a few syllables so many of them share prefixes,
+// which is what makes string comparisons (and string radix sorts) expensive
+const SYLLABLES = ['ba', 'be', 'bo', 'ca', 'co', 'da', 'de', 'ma', 'mo', 'ra', 're', 'ta', 'to'];
+const MAX_SYLLABLES = 3;
+
+// Record names; few enough that equal names (and the score breaking the tie) are common
+const RECORD_NAMES = ['Ada', 'Alan', 'Barbara', 'Donald', 'Edsger', 'Grace', 'John', 'Tony'];
+
+// Draws beyond the dataset size before giving up on finding another unique value
+const MAX_EXTRA_DRAWS = 10000;
+
+const randomItem = (items, random) => items[Math.floor(random() * items.length)];
+
+const randomWord = (random) => {
+  const length = 1 + Math.floor(random() * MAX_SYLLABLES);
+  let word = '';
+  for (let i = 0; i < length; i++) {
+    word += randomItem(SYLLABLES, random);
+  }
+  return word;
+};
+
+const randomRecord = (random, min, max) => [
+  randomItem(RECORD_NAMES, random),
+  Math.floor(random() * (max - min + 1)) + min
+];
+
+/**
+ * Compares two dataset values in sort order: numbers numerically, strings
+ * lexicographically and records field by field
+ * @param {number|string|Array} a - A value
+ * @param {number|string|Array} b - Another value of the same type
+ * @returns {number} - Negative, zero or positive, like an Array.prototype.sort comparator
+ */
+const compareValues = (a, b) => {
+  if (Array.isArray(a)) {
+    for (let i = 0; i < a.length; i++) {
+      const order = compareValues(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return 0;
+  }
+
+  if (typeof a === 'string') {
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+
+  return a - b;
+};
+
+/**
+ * Draws random strings or records for a dataset
+ * @param {string} type - 'strings' or 'records'
+ * @param {number} size - Number of values
+ * @param {object} options - { min, max, allowDuplicates, random }; min and max bound record scores
+ * @returns {Array} - The values (fewer than size if there aren't enough unique ones)
+ */
+const generateTypedValues = (type, size, { min, max, allowDuplicates, random }) => {
+  const draw = type === 'strings' ? () => randomWord(random) : () => randomRecord(random, min, max);
+  const values = [];
+  const seen = new Set();
+
+  for (let attempt = 0; values.length < size && attempt < size + MAX_EXTRA_DRAWS; attempt++) {
+    const value = draw();
+    const identity = JSON.stringify(value);
+
+    if (!allowDuplicates && seen.has(identity)) continue;
+    seen.add(identity);
+    values.push(value);
+  }
+
+  return values;
+};
+
+module.exports = {
+  DATASET_TYPES,
+  DEFAULT_DATASET_TYPE,
+  compareValues,
+  generateTypedValues
+};
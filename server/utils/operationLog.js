@@ -0,0 +1,234 @@
+/**
+ * Operation Log
+ * Compact record of every operation an algorithm performs during a race.
+ * The log is kept with the finished race so the race can be replayed and
+ * analyzed after it is over.
+ *
+ * Long races perform millions of operations, so the log is stored by column
+ * in typed arrays rather than as an object per operation, stops recording
+ * once it reaches MAX_LOG_BYTES (the replay then ends early), and is sent
+ * to clients a page of entries at a time (see getEntries).
+ */
+
+// Bump whenever the entry layout changes so old logs can be told apart
+const LOG_VERSION = 3;
+
+// Layout of each entry as sent to clients. Entries are plain arrays to keep
+// long races small. `writes` is a flat [index, value, index, value, ...] list
+// of the dataset changes made since the previous operation. `time` and the
+// metric fields are the algorithm's running totals after the operation, with
+// time in units of cost (see costModel.js).
+const ENTRY_FIELDS = [
+  'step',
+  'time',
+  'type',
+  'indices',
+  'values',
+  'writes',
+  'comparisons',
+  'swaps',
+  'arrayAccesses',
+  'arrayWrites'
+];
+
+// Running totals kept for every entry
+const METRIC_FIELDS = ['time', 'comparisons', 'swaps', 'arrayAccesses', 'arrayWrites'];
+
+// Most memory a single log may take; operations past it aren't recorded
+const MAX_LOG_BYTES = 32 * 1024 * 1024;
+
+// Most memory the logs of all stored races may take together (see config/db.js)
+const MAX_STORED_LOG_BYTES = 256 * 1024 * 1024;
+
+// Bytes each entry takes: its metrics and type, plus its offsets into the
+// indices, values and writes columns, and each item it holds in those
+const ENTRY_BYTES = METRIC_FIELDS.length * 8 + 1 + 3 * 4;
+const INDEX_BYTES = 4;
+const VALUE_BYTES = 8;
+const WRITE_BYTES = INDEX_BYTES + VALUE_BYTES;
+
+// Most entries sent to a client in one page
+const LOG_PAGE_SIZE = 20000;
+
+// A typed array that doubles its capacity as it fills
+class GrowableArray {
+  constructor(Type, capacity = 1024) {
+    this.Type = Type;
+    this.array = new Type(capacity);
+    this.length = 0;
+  }
+
+  push(value) {
+    if (this.length === this.array.length) {
+      const grown = new this.Type(this.array.length * 2);
+      grown.set(this.array);
+      this.array = grown;
+    }
+    this.array[this.length++] = value;
+  }
+
+  get(index) {
+    return this.array[index];
+  }
+
+  // Drop the unused capacity once nothing more will be added
+  trim() {
+    this.array = this.array.slice(0, this.length);
+  }
+}
+
+// Column of variable-length lists: offsets[k] is where entry k's items
+// start, and the next entry's offset is where they end
+class ListColumn {
+  constructor(ItemType) {
+    this.offsets = new GrowableArray(Uint32Array);
+    this.items = ItemType ? new GrowableArray(ItemType) : [];
+  }
+
+  push(list, step = 1, pick = (items, i) => items[i]) {
+    this.offsets.push(this.items.length);
+    for (let i = 0; i < list.length; i += step) {
+      this.items.push(pick(list, i));
+    }
+  }
+
+  get(index, end) {
+    const start = this.offsets.get(index);
+    const stop = index + 1 < end ? this.offsets.get(index + 1) : this.items.length;
+    const list = [];
+    for (let i = start; i < stop; i++) {
+      list.push(Array.isArray(this.items) ? this.items[i] : this.items.get(i));
+    }
+    return list;
+  }
+
+  trim() {
+    this.offsets.trim();
+    if (!Array.isArray(this.items)) this.items.trim();
+  }
+}
+
+class OperationLog {
+  constructor(maxBytes = MAX_LOG_BYTES) {
+    this.types = [];          // Operation type names, entries refer to them by position
+    this.typeIds = new Map(); // Type name -> position in this.types
+    this.maxBytes = maxBytes;
+    this.byteSize = 0;        // Memory the recorded entries take
+    this.truncated = false;   // Whether operations went unrecorded once the log was full
+    this.length = 0;
+
+    this.typeColumn = new GrowableArray(Uint8Array);
+    this.metrics = {};
+    METRIC_FIELDS.forEach(name => {
+      this.metrics[name] = new GrowableArray(Float64Array);
+    });
+    this.indices = new ListColumn(Int32Array);
+    this.values = new ListColumn(null);    // Any values, so a plain array
+    this.writeIndices = new ListColumn(Int32Array);
+    this.writeValues = new ListColumn(null);
+  }
+
+  // Look up (or assign) the compact id for an operation type
+  typeId(type) {
+    let id = this.typeIds.get(type);
+
+    if (id === undefined) {
+      id = this.types.length;
+      this.types.push(type);
+      this.typeIds.set(type, id);
+    }
+
+    return id;
+  }
+
+  /**
+   * Appends an operation to the log, unless the log is full
+   * @param {object} algorithm - The algorithm instance (for its time and metrics)
+   * @param {string} type - The operation type
+   * @param {Array} indices - Indices the operation touched
+   * @param {Array} values - Values shown for the operation
+   * @param {Array} writes - Flat [index, value, ...] list of dataset writes
+   */
+  record(algorithm, type, indices, values, writes) {
+    if (this.truncated) return;
+
+    const bytes = ENTRY_BYTES + indices.length * INDEX_BYTES + values.length * VALUE_BYTES + (writes.length / 2) * WRITE_BYTES;
+    if (this.byteSize + bytes > this.maxBytes) {
+      this.truncated = true;
+      return;
+    }
+    this.byteSize += bytes;
+
+    this.typeColumn.push(this.typeId(type));
+    this.metrics.time.push(algorithm.totalCost);
+    this.metrics.comparisons.push(algorithm.comparisons);
+    this.metrics.swaps.push(algorithm.swaps);
+    this.metrics.arrayAccesses.push(algorithm.arrayAccesses);
+    this.metrics.arrayWrites.push(algorithm.arrayWrites);
+    this.indices.push(indices);
+    this.values.push(values);
+    this.writeIndices.push(writes, 2);
+    this.writeValues.push(writes, 2, (list, i) => list[i + 1]);
+    this.length++;
+  }
+
+  // Drop unused capacity, for a finished algorithm's log that is kept with the race
+  trim() {
+    this.typeColumn.trim();
+    Object.values(this.metrics).forEach(column => column.trim());
+    [this.indices, this.values, this.writeIndices, this.writeValues].forEach(column => column.trim());
+  }
+
+  /**
+   * Gets entries in the ENTRY_FIELDS layout, for sending to clients
+   * @param {number} start - First entry
+   * @param {number} count - Most entries to get
+   * @returns {Array} - The entries from start, up to count of them
+   */
+  getEntries(start, count = LOG_PAGE_SIZE) {
+    const end = Math.min(this.length, start + count);
+    const entries = [];
+
+    for (let k = start; k < end; k++) {
+      const writeIndices = this.writeIndices.get(k, this.length);
+      const writeValues = this.writeValues.get(k, this.length);
+      const writes = [];
+      writeIndices.forEach((index, i) => writes.push(index, writeValues[i]));
+
+      entries.push([
+        k + 1, // Every operation is recorded until the log is full, so entry k is step k + 1
+        this.metrics.time.get(k),
+        this.typeColumn.get(k),
+        this.indices.get(k, this.length),
+        this.values.get(k, this.length),
+        writes,
+        this.metrics.comparisons.get(k),
+        this.metrics.swaps.get(k),
+        this.metrics.arrayAccesses.get(k),
+        this.metrics.arrayWrites.get(k)
+      ]);
+    }
+
+    return entries;
+  }
+
+  // What is sent with the finished race; the entries follow a page at a time
+  toJSON() {
+    return {
+      version: LOG_VERSION,
+      fields: ENTRY_FIELDS,
+      types: this.types,
+      length: this.length,
+      truncated: this.truncated
+    };
+  }
+}
+
+module.exports = {
+  OperationLog,
+  LOG_VERSION,
+  ENTRY_FIELDS,
+  MAX_LOG_BYTES,
+  MAX_STORED_LOG_BYTES,
+  LOG_PAGE_SIZE
+};
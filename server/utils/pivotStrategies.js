@@ -0,0 +1,18 @@
+/**
+ * Pivot Strategies
+ * How Quick Sort picks its pivot, a room setting. A fixed position (first or
+ * last) degrades to O(n²) on sorted and reversed datasets; a random pivot or a
+ * median of samples (median of three, or Tukey's ninther: the median of three
+ * medians of three) keeps partitions balanced on them.
+ */
+
+// Room setting values, see QuickSort.choosePivot in algorithmEngine.js
+const PIVOT_STRATEGIES = ['first', 'last', 'random', 'medianOfThree', 'ninther'];
+
+// The pivot Quick Sort always used before the setting existed
+const DEFAULT_PIVOT_STRATEGY = 'last';
+
+module.exports = {
+  PIVOT_STRATEGIES,
+  DEFAULT_PIVOT_STRATEGY
+};
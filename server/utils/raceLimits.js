@@ -0,0 +1,27 @@
+/**
+ * Race Limits
+ * Per-room limits that stop runaway algorithms (BogoSort on more than a
+ * handful of elements never finishes). An algorithm that performs more than
+ * the step budget, or is still running when the time limit is up, did not
+ * finish, and the race ends once every algorithm has finished or failed.
+ */
+
+// Most operations (steps) an algorithm may perform; 0 means no limit
+const DEFAULT_STEP_BUDGET = 2000000;
+const MAX_STEP_BUDGET = 100000000;
+
+// Seconds a race may run, not counting time paused; 0 means no limit.
+// Step-mode races only advance when the host steps, so they have no time limit.
+const DEFAULT_TIME_LIMIT = 600;
+const MAX_TIME_LIMIT = 3600;
+
+// Check a limit setting: a whole number from 0 (no limit) to max
+const isValidLimit = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+
+module.exports = {
+  DEFAULT_STEP_BUDGET,
+  MAX_STEP_BUDGET,
+  DEFAULT_TIME_LIMIT,
+  MAX_TIME_LIMIT,
+  isValidLimit
+};
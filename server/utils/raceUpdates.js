@@ -0,0 +1,104 @@
+/**
+ * Race Updates
+ * A race's state goes out as a numbered stream of race_update messages.
+ * Most carry only the dataset positions each algorithm changed since the
+ * previous message, which clients apply to the datasets they already have.
+ * Keyframes carry every dataset in full: every KEYFRAME_INTERVAL-th message,
+ * the snapshot sent with race_started, and the snapshot sent to a client
+ * that missed a message or joined mid-race (see request_race_snapshot).
+ *
+ * A message is { version, sequence, keyframe, updates }, where updates holds
+ * each algorithm's progress (see getProgress in algorithmEngine.js) plus
+ * either its whole dataset as dataset and tags, or writes: a flat
+ * [index, value, tag, index, value, tag, ...] list of the positions that
+ * changed since the previous message. An algorithm whose dataset changed
+ * length (Stalin Sort) is sent whole.
+ */
+
+const { keyOf, tagOf } = require('./sortRecord');
+
+// Bump whenever the message layout changes so clients can tell it apart
+const RACE_UPDATE_VERSION = 1;
+
+// Messages between keyframes, so a client that went wrong catches up on its own
+const KEYFRAME_INTERVAL = 50;
+
+// The whole of a dataset, as sent in keyframes
+const datasetState = (records) => ({
+  dataset: records.map(keyOf),
+  tags: records.map(tagOf) // Original position of each value, null for untagged values
+});
+
+// Positions of records that differ from sent, as a flat writes list, bringing
+// sent up to date along the way. Returns null once the writes would take
+// more room than sending the whole dataset.
+const collectWrites = (sent, records) => {
+  const writes = [];
+
+  for (let index = 0; index < records.length; index++) {
+    if (records[index] === sent[index]) continue;
+
+    sent[index] = records[index];
+    writes.push(index, keyOf(records[index]), tagOf(records[index]));
+  }
+
+  return writes.length > 2 * records.length ? null : writes;
+};
+
+class RaceUpdateStream {
+  constructor(algorithms) {
+    this.algorithms = algorithms; // Algorithm instances by type
+    this.sequence = 0;            // Number of the last message built
+    this.sent = {};               // Each algorithm's records as of the last message
+    this.progress = {};           // Each algorithm's progress as of the last message
+
+    for (const [type, algorithm] of Object.entries(algorithms)) {
+      this.sent[type] = algorithm.dataset.slice();
+      this.progress[type] = algorithm.getProgress();
+    }
+  }
+
+  // Build the next message of the stream: a keyframe every KEYFRAME_INTERVAL
+  // messages, otherwise each algorithm's writes since the last one
+  next() {
+    this.sequence++;
+    const keyframe = this.sequence % KEYFRAME_INTERVAL === 0;
+    const updates = {};
+
+    for (const [type, algorithm] of Object.entries(this.algorithms)) {
+      const records = algorithm.dataset;
+      const progress = algorithm.getProgress();
+      const writes = keyframe || records.length !== this.sent[type].length
+        ? null
+        : collectWrites(this.sent[type], records);
+
+      if (writes) {
+        updates[type] = { ...progress, writes };
+      } else {
+        this.sent[type] = records.slice();
+        updates[type] = { ...progress, ...datasetState(records) };
+      }
+      this.progress[type] = progress;
+    }
+
+    return { version: RACE_UPDATE_VERSION, sequence: this.sequence, keyframe, updates };
+  }
+
+  // A keyframe of the state as of the last message, which the next message's
+  // writes apply to, for a client starting or rejoining the stream
+  snapshot() {
+    const updates = {};
+
+    for (const type of Object.keys(this.algorithms)) {
+      updates[type] = { ...this.progress[type], ...datasetState(this.sent[type]) };
+    }
+
+    return { version: RACE_UPDATE_VERSION, sequence: this.sequence, keyframe: true, updates };
+  }
+}
+
+module.exports = {
+  RACE_UPDATE_VERSION,
+  KEYFRAME_INTERVAL,
+  RaceUpdateStream
+};
@@ -0,0 +1,71 @@
+/**
+ * Seeded Random Number Generation
+ * Every race gets a seed so its dataset and random choices can be reproduced
+ */
+
+const crypto = require('crypto');
+
+// Seeds are unsigned 32-bit integers
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {function} - Drop-in replacement for Math.random returning floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Derives an independent seed for a named stream (e.g. the dataset or one algorithm)
+ * so that streams don't affect each other no matter how the race interleaves
+ * @param {number} seed - The race seed
+ * @param {string} label - Name of the stream
+ * @returns {number} - Derived unsigned 32-bit seed
+ */
+const deriveSeed = (seed, label) => {
+  // FNV-1a over the label, starting from the race seed
+  let hash = (seed ^ 0x811C9DC5) >>> 0;
+
+  for (let i = 0; i < label.length; i++) {
+    hash ^= label.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash;
+};
+
+// Generate a fresh seed for a new race
+const generateSeed = () => crypto.randomInt(0, MAX_SEED + 1);
+
+/**
+ * Parses a seed supplied by a client
+ * @param {number|string} value - The seed as a number or numeric string
+ * @returns {number|null} - The seed, or null if it is not a valid seed
+ */
+const parseSeed = (value) => {
+  const seed = typeof value === 'string' && value.trim() !== '' ? Number(value.trim()) : value;
+
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    return null;
+  }
+
+  return seed;
+};
+
+module.exports = {
+  MAX_SEED,
+  createRandom,
+  deriveSeed,
+  generateSeed,
+  parseSeed
+};
@@ -0,0 +1,80 @@
+/**
+ * Realtime Clock
+ * Clock for races run in real time. Each wait is its own timer of
+ * cost * tickDuration ms, like a plain sleep, but the clock can pause every
+ * timer and later resume them with the time they had left.
+ */
+
+class RealtimeClock {
+  constructor(tickDuration = 250) {
+    this.tickDuration = tickDuration; // Real ms per unit of cost
+    this.sleepers = new Set();        // Pending waits: { remaining, startedAt, timer, resolve }
+    this.paused = false;
+    this.stopped = false;
+  }
+
+  /**
+   * Waits for an operation's cost in real time
+   * @param {number} cost - Units of cost the operation takes
+   * @returns {Promise} - Resolves once the time has passed (not counting pauses)
+   */
+  wait(cost = 1) {
+    // A stopped clock never wakes anyone, which ends the algorithms waiting on it
+    if (this.stopped) {
+      return new Promise(() => {});
+    }
+
+    return new Promise(resolve => {
+      const sleeper = { remaining: cost * this.tickDuration, startedAt: 0, timer: null, resolve };
+      this.sleepers.add(sleeper);
+
+      if (!this.paused) {
+        this.startSleeper(sleeper);
+      }
+    });
+  }
+
+  startSleeper(sleeper) {
+    sleeper.startedAt = Date.now();
+    sleeper.timer = setTimeout(() => {
+      this.sleepers.delete(sleeper);
+      sleeper.resolve();
+    }, sleeper.remaining);
+  }
+
+  // Freeze every pending wait, keeping the time each one has left
+  pause() {
+    if (this.paused || this.stopped) return;
+    this.paused = true;
+
+    const now = Date.now();
+    for (const sleeper of this.sleepers) {
+      clearTimeout(sleeper.timer);
+      sleeper.remaining = Math.max(0, sleeper.remaining - (now - sleeper.startedAt));
+    }
+  }
+
+  // Continue every pending wait from where it was paused
+  resume() {
+    if (!this.paused || this.stopped) return;
+    this.paused = false;
+
+    for (const sleeper of this.sleepers) {
+      this.startSleeper(sleeper);
+    }
+  }
+
+  // Stop the clock for good (race ended or cleaned up)
+  stop() {
+    this.stopped = true;
+
+    for (const sleeper of this.sleepers) {
+      clearTimeout(sleeper.timer);
+    }
+    this.sleepers.clear();
+  }
+}
+
+module.exports = {
+  RealtimeClock
+};
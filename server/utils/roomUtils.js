@@ -130,7 +130,29 @@ const handleEmptyRoom = async (io, Room, room, stopRace) => {
   }, 10000); // Wait 10 seconds
 };
 
+/**
+ * Gets the race settings of a room as sent to clients
+ * @param {object} room - The room object
+ * @returns {object} - The room's race settings
+ */
+const getRoomSettings = (room) => ({
+  datasetSize: room.datasetSize,
+  allowDuplicates: room.allowDuplicates,
+  datasetType: room.datasetType,
+  datasetShape: room.datasetShape,
+  customDataset: room.customDataset,
+  valueRange: room.valueRange,
+  stepSpeed: room.stepSpeed,
+  executionMode: room.executionMode,
+  costModel: room.costModel,
+  pivotStrategy: room.pivotStrategy,
+  stepBudget: room.stepBudget,
+  timeLimit: room.timeLimit,
+  disqualifiedCanWin: room.disqualifiedCanWin
+});
+
 module.exports = {
   reassignRoomHost,
-  handleEmptyRoom
+  handleEmptyRoom,
+  getRoomSettings
 }; 
\ No newline at end of file
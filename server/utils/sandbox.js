@@ -0,0 +1,120 @@
+/**
+ * Sandbox
+ * Runs user-submitted sorting algorithms. Each run gets its own worker thread
+ * (with a memory limit) and, inside it, its own VM context (with a CPU time
+ * limit), see sandboxWorker.js. The algorithm runs to completion before the
+ * race starts and its operations are then replayed at race speed, so it races
+ * on the same clock and cost model as the built-in algorithms.
+ */
+
+const path = require('path');
+const vm = require('vm');
+const { Worker } = require('worker_threads');
+const { DEFAULT_STEP_BUDGET } = require('./raceLimits');
+
+// The primitives user code is given; a trace stores each as [opcode, a, b]
+// where the opcode is the index in this list
+const USER_OPERATIONS = ['compare', 'swap', 'access', 'write'];
+
+// User code runs in strict mode, so `this` is undefined rather than the
+// context's global. Kept on the code's first line so line numbers in errors
+// still match what was submitted.
+const STRICT_PREFIX = "'use strict'; ";
+
+const MAX_CODE_LENGTH = 20000;   // Characters of source code
+const CPU_TIME_LIMIT = 1000;     // ms the sort itself may run
+const WALL_TIME_LIMIT = 5000;    // ms before the whole worker is terminated
+const MEMORY_LIMIT_MB = 64;      // Heap the worker may use
+
+// Primitives a single run may call, whatever the room's step budget, which
+// keeps its trace in bounds (each one is a step when it is replayed)
+const MAX_OPERATIONS = DEFAULT_STEP_BUDGET;
+
+/**
+ * Checks that user code compiles as the body of the sort function
+ * @param {string} code - The submitted source code
+ * @returns {string|null} - Why the code can't be used, or null if it is fine
+ */
+const checkAlgorithmCode = (code) => {
+  if (typeof code !== 'string' || !code.trim()) {
+    return 'Algorithm code is required';
+  }
+
+  if (code.length > MAX_CODE_LENGTH) {
+    return `Algorithm code must be at most ${MAX_CODE_LENGTH} characters`;
+  }
+
+  try {
+    // Compiling doesn't run anything
+    vm.compileFunction(`${STRICT_PREFIX}${code}`, USER_OPERATIONS.concat('n'));
+  } catch (error) {
+    return `${error.name}: ${error.message}`;
+  }
+
+  return null;
+};
+
+/**
+ * Runs a user-submitted algorithm on a dataset in the sandbox
+ * @param {object} options
+ * @param {string} options.code - The algorithm's source (the body of sort(compare, swap, access, write, n))
+ * @param {Array} options.dataset - The race's dataset as sort keys (see sortRecord.js), so
+ *   strings and records compare with < and > like numbers do
+ * @param {number} options.seed - Seed for Math.random inside the sandbox
+ * @param {number} options.stepBudget - The room's step budget, 0 for no limit
+ * @returns {Promise<object>} - { trace, error }: the operations performed (flat
+ *   [opcode, a, b, ...] list) and, if the run failed, why. Never rejects.
+ */
+const runUserAlgorithm = ({ code, dataset, seed, stepBudget = 0 }) => new Promise(resolve => {
+  // A run may go one operation past the step budget, so replaying it runs out
+  // of steps the same way a built-in algorithm does
+  const maxOperations = stepBudget ? Math.min(stepBudget + 1, MAX_OPERATIONS) : MAX_OPERATIONS;
+  
+  const worker = new Worker(path.join(__dirname, 'sandboxWorker.js'), {
+    workerData: { code, dataset, seed, cpuTimeLimit: CPU_TIME_LIMIT, maxOperations },
+    resourceLimits: {
+      maxOldGenerationSizeMb: MEMORY_LIMIT_MB,
+      maxYoungGenerationSizeMb: Math.ceil(MEMORY_LIMIT_MB / 4)
+    }
+  });
+
+  let settled = false;
+  const finish = (result) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(watchdog);
+    worker.terminate();
+    resolve(result);
+  };
+
+  // Backstop for anything the CPU limit doesn't cover
+  const watchdog = setTimeout(() => {
+    finish({ trace: [], error: `Took longer than ${WALL_TIME_LIMIT / 1000} s to run` });
+  }, WALL_TIME_LIMIT);
+
+  worker.on('message', finish);
+
+  worker.on('error', (error) => {
+    finish({
+      trace: [],
+      error: error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `Ran out of memory (limit ${MEMORY_LIMIT_MB} MB)`
+        : `Sandbox error: ${error.message}`
+    });
+  });
+
+  worker.on('exit', () => {
+    finish({ trace: [], error: 'Sandbox stopped unexpectedly' });
+  });
+});
+
+module.exports = {
+  USER_OPERATIONS,
+  STRICT_PREFIX,
+  MAX_CODE_LENGTH,
+  CPU_TIME_LIMIT,
+  MEMORY_LIMIT_MB,
+  MAX_OPERATIONS,
+  checkAlgorithmCode,
+  runUserAlgorithm
+};
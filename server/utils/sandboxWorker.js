@@ -0,0 +1,173 @@
+/**
+ * Sandbox Worker
+ * Worker thread that runs one user-submitted algorithm (see sandbox.js).
+ * The code gets a fresh VM context holding only the dataset and the four
+ * primitives; every object it can reach is created inside that context, so
+ * nothing leads back to require, process or this worker. The context's
+ * global is built from Object.create(null), since an ordinary object from
+ * this realm would lead back here through its constructor, and the code runs
+ * in strict mode, so `this` is undefined rather than the global.
+ */
+
+const vm = require('vm');
+const { parentPort, workerData } = require('worker_threads');
+const { createRandom } = require('./random');
+const { USER_OPERATIONS, STRICT_PREFIX } = require('./sandbox');
+
+const { code, dataset, seed, cpuTimeLimit, maxOperations } = workerData;
+
+// Trusted setup, run in the context before any user code. It evaluates to
+// a function that is given the input (as a JSON string, so no object from
+// this realm enters the context) and the user's sort function, and defines
+// the primitives over a private copy of the dataset, recording every call as
+// [opcode, a, b] (opcodes follow USER_OPERATIONS). The trace is a typed
+// array: reading and writing its elements never looks at a prototype, so
+// user code can't reach it through Array.prototype setters or toJSON.
+const SETUP = `
+((inputJson, sort) => {
+  'use strict';
+  const input = JSON.parse(inputJson);
+
+  // Captured before user code could replace them
+  const isInteger = Number.isInteger;
+  const isFinite = Number.isFinite;
+
+  const values = input.dataset;
+  const n = values.length;
+  const writable = typeof values[0] === 'number'; // Strings and records can only be swapped
+  let trace = new Float64Array(3 * Math.min(input.maxOperations, 1024));
+  let operations = 0;
+  let error = null;
+
+  const fail = (message) => {
+    throw new RangeError(message);
+  };
+
+  const checkIndex = (operation, index) => {
+    if (!isInteger(index) || index < 0 || index >= n) {
+      fail(operation + ': index ' + String(index) + ' is out of range (0 to ' + (n - 1) + ')');
+    }
+  };
+
+  const record = (opcode, a, b) => {
+    if (operations >= input.maxOperations) {
+      fail('Exceeded the limit of ' + input.maxOperations + ' operations');
+    }
+    // Grow the trace as needed, copying element by element so nothing user
+    // code may have replaced (TypedArray.prototype.set) is called
+    if (3 * operations === trace.length) {
+      const grown = new Float64Array(Math.min(2 * trace.length, 3 * input.maxOperations));
+      for (let i = 0; i < trace.length; i++) {
+        grown[i] = trace[i];
+      }
+      trace = grown;
+    }
+    trace[3 * operations] = opcode;
+    trace[3 * operations + 1] = a;
+    trace[3 * operations + 2] = b;
+    operations++;
+  };
+
+  // Negative, zero or positive like an Array.prototype.sort comparator
+  const compare = (i, j) => {
+    checkIndex('compare', i);
+    checkIndex('compare', j);
+    record(0, i, j);
+    return values[i] < values[j] ? -1 : (values[i] > values[j] ? 1 : 0);
+  };
+
+  const swap = (i, j) => {
+    checkIndex('swap', i);
+    checkIndex('swap', j);
+    record(1, i, j);
+    const temp = values[i];
+    values[i] = values[j];
+    values[j] = temp;
+  };
+
+  const access = (i) => {
+    checkIndex('access', i);
+    record(2, i, 0);
+    return values[i];
+  };
+
+  const write = (i, value) => {
+    checkIndex('write', i);
+    if (!writable) {
+      fail('write: only integer datasets can be written to, use swap');
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+      fail('write: value must be a finite number, got ' + typeof value);
+    }
+    record(3, i, value);
+    values[i] = value;
+  };
+
+  // Seeded so re-running a race from its seed replays the same choices
+  Math.random = (${createRandom.toString()})(input.seed);
+
+  globalThis.__start = () => {
+    delete globalThis.__start;
+    try {
+      sort(compare, swap, access, write, n);
+    } catch (caught) {
+      error = caught instanceof Error ? caught.name + ': ' + caught.message : 'Threw ' + String(caught);
+    }
+  };
+
+  // error is always a string or null, and trace is read element by element
+  // outside the context (see readReport)
+  return {
+    report: () => ({ trace, length: 3 * operations, error })
+  };
+})
+`;
+
+let error = null;
+let sandbox = null;
+
+try {
+  const context = vm.createContext(
+    Object.create(null),
+    {
+      codeGeneration: { strings: false, wasm: false }, // No eval or new Function
+      microtaskMode: 'afterEvaluate' // Promise callbacks count towards the CPU limit
+    }
+  );
+
+  // Check the code is a function body on its own, then create the function
+  // inside the context (vm.compileFunction would create it in this realm,
+  // where its `this` leads back to process)
+  vm.compileFunction(`${STRICT_PREFIX}${code}`, USER_OPERATIONS.concat('n'));
+  const sort = vm.runInContext(
+    `(function (${USER_OPERATIONS.concat('n').join(', ')}) {${STRICT_PREFIX}\n${code}\n})`,
+    context,
+    { timeout: cpuTimeLimit }
+  );
+  sandbox = vm.runInContext(SETUP, context)(JSON.stringify({ dataset, seed, maxOperations }), sort);
+
+  vm.runInContext('__start()', context, { timeout: cpuTimeLimit });
+} catch (caught) {
+  error = caught.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+    ? `Exceeded the CPU time limit of ${cpuTimeLimit} ms`
+    : `${caught.name}: ${caught.message}`;
+}
+
+// Copy the context's report into this realm. Its trace is a typed array, so
+// element reads can't run user code, and only its own properties are used.
+const readReport = ({ trace, length, error: reportError }) => {
+  const copy = new Float64Array(Number.isInteger(length) ? Math.min(Math.max(length, 0), 3 * maxOperations) : 0);
+  for (let i = 0; i < copy.length; i++) {
+    copy[i] = trace[i];
+  }
+  return { trace: copy, error: typeof reportError === 'string' ? reportError : null };
+};
+
+// Whatever ran before a failure is still raced, up to the point it failed
+const report = sandbox ? readReport(sandbox.report()) : { trace: new Float64Array(0), error: null };
+
+// The trace's memory is handed over rather than copied
+parentPort.postMessage({
+  trace: report.trace,
+  error: error || report.error
+}, [report.trace.buffer]);
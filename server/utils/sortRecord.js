@@ -0,0 +1,195 @@
+/**
+ * Sort Records
+ * Every algorithm sorts records made of a key and a tag holding the record's
+ * original position, so a run can show whether equal keys kept their order.
+ * A record's valueOf() is its sort key, so the algorithms compare and do
+ * arithmetic on records exactly as they would on bare numbers, and its
+ * toJSON() is its key, so clients and the sandbox still see plain values.
+ * Values an algorithm makes up itself (a player's write) carry no tag.
+ *
+ * The sort key is the key itself for numbers and strings. Multi-field keys
+ * (see datasetTypes.js) get a string sort key with every field padded to a
+ * fixed width, so comparing sort keys compares the fields in order.
+ */
+
+// Pads string fields of composite sort keys; sorts before every other character
+const FIELD_PADDING = '\u0000';
+
+class SortRecord {
+  constructor(key, tag, sortKey = key) {
+    this.key = key;
+    this.tag = tag; // Position in the race's dataset
+    this.sortKey = sortKey;
+  }
+
+  valueOf() {
+    return this.sortKey;
+  }
+
+  toJSON() {
+    return this.key;
+  }
+
+  toString() {
+    return String(this.key);
+  }
+}
+
+// Build the function that turns a multi-field key into its sort key. Every
+// field is padded to the widest value of that field in the dataset: strings
+// on the right, numbers with leading zeros.
+const createFieldEncoder = (keys) => {
+  const widths = keys[0].map((field, index) => Math.max(...keys.map(key => String(key[index]).length)));
+
+  return (key) => key
+    .map((field, index) => (typeof field === 'number'
+      ? String(field).padStart(widths[index], '0')
+      : field.padEnd(widths[index], FIELD_PADDING)))
+    .join('');
+};
+
+// Tag every value of a dataset with its position
+const createRecords = (dataset) => {
+  if (dataset.length === 0 || !Array.isArray(dataset[0])) {
+    return dataset.map((key, index) => new SortRecord(key, index));
+  }
+
+  const encode = createFieldEncoder(dataset);
+  return dataset.map((key, index) => new SortRecord(key, index, encode(key)));
+};
+
+// The key of a record, or the value itself if it isn't one
+const keyOf = (value) => (value instanceof SortRecord ? value.key : value);
+
+// The sort key of a record, or the value itself if it isn't one
+const sortKeyOf = (value) => (value instanceof SortRecord ? value.sortKey : value);
+
+// The original position of a record, or null for an untagged value
+const tagOf = (value) => (value instanceof SortRecord ? value.tag : null);
+
+// Characters two string sort keys share before they differ (0 for numbers),
+// i.e. how much further than one character a comparison has to look
+const sharedPrefixLength = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') return 0;
+
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
+};
+
+// Base big enough for every character digit of the string sort keys: a
+// character is its code + 1, leaving 0 for past the end of a key
+const characterBaseOf = (sortKeys) => Math.max(...sortKeys.map(key => Math.max(0, ...[...key].map(c => c.charCodeAt(0))))) + 2;
+
+/**
+ * Splits the dataset's sort keys into digits for a least-significant-digit
+ * radix sort. Numbers use digits of the given base. Strings use one digit per
+ * character from the end of the longest key (0 past the end of shorter keys,
+ * so they sort first), or with base 2 one digit per bit of each character.
+ * @param {Array} records - The dataset
+ * @param {number} base - 10 for decimal digits or 2 for bits
+ * @returns {object} - { count, base, digitAt(record, position) }, position 0 is the least significant
+ */
+const getRadixDigits = (records, base) => {
+  const sortKeys = records.map(sortKeyOf);
+
+  if (typeof sortKeys[0] !== 'string') {
+    const max = Math.max(0, ...sortKeys);
+    let count = 0;
+    for (let place = 1; Math.floor(max / place) > 0; place *= base) {
+      count++;
+    }
+
+    return {
+      count,
+      base,
+      digitAt: (record, position) => Math.floor(sortKeyOf(record) / base ** position) % base
+    };
+  }
+
+  const length = Math.max(...sortKeys.map(key => key.length));
+  const characterBase = characterBaseOf(sortKeys);
+
+  // Character digits: 0 past the end of the key, otherwise the character code + 1
+  const characterAt = (record, fromEnd) => {
+    const key = sortKeyOf(record);
+    const index = length - 1 - fromEnd;
+    return index < key.length ? key.charCodeAt(index) + 1 : 0;
+  };
+
+  if (base !== 2) {
+    return { count: length, base: characterBase, digitAt: characterAt };
+  }
+
+  const bitsPerCharacter = Math.ceil(Math.log2(characterBase));
+  return {
+    count: length * bitsPerCharacter,
+    base: 2,
+    digitAt: (record, position) => (
+      characterAt(record, Math.floor(position / bitsPerCharacter)) >> (position % bitsPerCharacter)
+    ) & 1
+  };
+};
+
+/**
+ * Maps the dataset's sort keys to numbers in the same order, for distribution
+ * sorts that spread keys over buckets by size. Numbers map to themselves.
+ * Strings map to their leading characters read as digits (as in
+ * getRadixDigits), as many as a number holds exactly, so keys sharing those
+ * characters map to the same number but two keys never swap order.
+ * @param {Array} records - The dataset
+ * @returns {function} - record => number
+ */
+const getKeyProjection = (records) => {
+  const sortKeys = records.map(sortKeyOf);
+  if (typeof sortKeys[0] !== 'string') return sortKeyOf;
+
+  const characterBase = characterBaseOf(sortKeys);
+  const length = Math.max(1, Math.floor(Math.log2(Number.MAX_SAFE_INTEGER) / Math.log2(characterBase)));
+
+  return (record) => {
+    const key = sortKeyOf(record);
+    let projection = 0;
+    for (let i = 0; i < length; i++) {
+      projection = projection * characterBase + (i < key.length ? key.charCodeAt(i) + 1 : 0);
+    }
+    return projection;
+  };
+};
+
+/**
+ * Checks whether equal keys kept their original relative order
+ * @param {Array} records - An algorithm's dataset once it finished
+ * @returns {boolean|null} - Whether the run was stable, or null if it couldn't
+ *   be observed (no equal keys next to each other, or untagged values among them)
+ */
+const observeStability = (records) => {
+  let observed = false;
+
+  for (let i = 1; i < records.length; i++) {
+    if (sortKeyOf(records[i - 1]) !== sortKeyOf(records[i])) continue;
+
+    const before = tagOf(records[i - 1]);
+    const after = tagOf(records[i]);
+    if (before === null || after === null) return null;
+
+    if (before > after) return false;
+    observed = true;
+  }
+
+  return observed ? true : null;
+};
+
+module.exports = {
+  SortRecord,
+  createRecords,
+  keyOf,
+  sortKeyOf,
+  tagOf,
+  sharedPrefixLength,
+  getRadixDigits,
+  getKeyProjection,
+  observeStability
+};
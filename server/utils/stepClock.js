@@ -0,0 +1,57 @@
+/**
+ * Step Clock
+ * Clock for races in single-step (debugger) mode. Nothing advances on a
+ * timer: each step() lets every waiting algorithm perform exactly one more
+ * operation, whatever it costs.
+ */
+
+class StepClock {
+  constructor() {
+    this.now = 0;       // Steps taken so far
+    this.waiters = [];  // Algorithms waiting for the next step, in the order they started waiting
+    this.stopped = false;
+  }
+
+  // Waits for the host's next step (operation costs don't apply in step mode)
+  wait() {
+    // A stopped clock never wakes anyone, which ends the algorithms waiting on it
+    if (this.stopped) {
+      return new Promise(() => {});
+    }
+
+    return new Promise(resolve => {
+      this.waiters.push(resolve);
+    });
+  }
+
+  /**
+   * Lets every waiting algorithm perform one operation
+   * @returns {number} - How many algorithms were advanced
+   */
+  step() {
+    if (this.stopped) return 0;
+
+    const due = this.waiters;
+    this.waiters = [];
+    this.now++;
+
+    due.forEach(resolve => resolve());
+
+    return due.length;
+  }
+
+  // Step races only move when stepped, so there is nothing to pause
+  pause() {}
+
+  resume() {}
+
+  // Stop the clock for good (race ended or cleaned up)
+  stop() {
+    this.stopped = true;
+    this.waiters = [];
+  }
+}
+
+module.exports = {
+  StepClock
+};
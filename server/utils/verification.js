@@ -0,0 +1,56 @@
+/**
+ * Verification
+ * Checks that an algorithm which finished a race really sorted its input:
+ * the output must be in order and hold exactly the input's values. An
+ * algorithm that fails either check is disqualified (StalinSort, which
+ * deletes elements, or a buggy algorithm that would otherwise win silently).
+ */
+
+const { createRecords, keyOf, sortKeyOf } = require('./sortRecord');
+
+// Count how many times each sort key occurs
+const countSortKeys = (records) => {
+  const counts = new Map();
+  for (const record of records) {
+    const sortKey = sortKeyOf(record);
+    counts.set(sortKey, (counts.get(sortKey) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Verifies an algorithm's output against the race input
+ * @param {Array} input - The race's dataset
+ * @param {Array} output - The algorithm's records once it finished
+ * @returns {string|null} - Why the output is not a sorted permutation of the input, or null if it is
+ */
+const verifySortedPermutation = (input, output) => {
+  if (output.length !== input.length) {
+    return `Output has ${output.length} values but the input had ${input.length}`;
+  }
+
+  // Records (see sortRecord.js) of the input, so multi-field keys compare by sort key too
+  const inputRecords = createRecords(input);
+  const inputCounts = countSortKeys(inputRecords);
+  const outputCounts = countSortKeys(output);
+
+  for (const record of inputRecords) {
+    const count = inputCounts.get(record.sortKey);
+    const outputCount = outputCounts.get(record.sortKey) || 0;
+    if (outputCount !== count) {
+      return `Value ${record} appears ${outputCount} times in the output but ${count} times in the input`;
+    }
+  }
+
+  for (let i = 1; i < output.length; i++) {
+    if (sortKeyOf(output[i - 1]) > sortKeyOf(output[i])) {
+      return `Output is not sorted at index ${i} (${keyOf(output[i - 1])} before ${keyOf(output[i])})`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  verifySortedPermutation
+};
@@ -0,0 +1,126 @@
+/**
+ * Virtual Clock
+ * Shared clock for races run in virtual time. Operations cost ticks on the
+ * clock instead of each algorithm sleeping on its own timer, so the finish
+ * order is decided exactly by the ticks spent and equal totals are true ties.
+ * The clock still plays the race out at tickDuration ms per tick so clients
+ * can watch it.
+ */
+
+// How a race advances: 'realtime' sleeps stepSpeed ms per operation,
+// 'virtual' runs every algorithm on one shared VirtualClock, and 'step'
+// only advances when the host steps (see stepClock.js)
+const EXECUTION_MODES = ['realtime', 'virtual', 'step'];
+
+class VirtualClock {
+  constructor(tickDuration = 250) {
+    this.now = 0;                     // Current virtual time in ticks
+    this.tickDuration = tickDuration; // Real ms per tick while playing the race out
+    this.waiters = [];                // Pending waits: { time, order, resolve }
+    this.order = 0;                   // Waits due at the same time wake in the order they were made
+    this.timer = null;
+    this.timerDueAt = 0;              // Real time the pending timer fires
+    this.nextTime = 0;                // Virtual time the pending timer advances to
+    this.pausedDelay = null;          // Real ms the timer had left when paused
+    this.scheduled = false;
+    this.paused = false;
+    this.stopped = false;
+  }
+
+  /**
+   * Waits until the given number of ticks has passed on the clock
+   * @param {number} cost - Ticks the operation costs
+   * @returns {Promise} - Resolves when the clock reaches the wake-up time
+   */
+  wait(cost = 1) {
+    // A stopped clock never wakes anyone, which ends the algorithms waiting on it
+    if (this.stopped) {
+      return new Promise(() => {});
+    }
+
+    return new Promise(resolve => {
+      this.waiters.push({ time: this.now + cost, order: this.order++, resolve });
+      this.scheduleNext();
+    });
+  }
+
+  // Schedule the next wake-up. This is deferred with setImmediate so every
+  // algorithm woken by the last tick has queued its next wait first.
+  scheduleNext() {
+    if (this.scheduled || this.timer || this.stopped || this.paused) return;
+    this.scheduled = true;
+
+    setImmediate(() => {
+      this.scheduled = false;
+
+      if (this.stopped || this.paused || this.waiters.length === 0) return;
+
+      const nextTime = Math.min(...this.waiters.map(waiter => waiter.time));
+      this.startTimer(nextTime, (nextTime - this.now) * this.tickDuration);
+    });
+  }
+
+  startTimer(nextTime, delay) {
+    this.nextTime = nextTime;
+    this.timerDueAt = Date.now() + delay;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.advance(nextTime);
+    }, delay);
+  }
+
+  // Move the clock forward and wake everything that is due
+  advance(time) {
+    this.now = time;
+
+    const due = this.waiters
+      .filter(waiter => waiter.time <= time)
+      .sort((a, b) => a.order - b.order);
+    this.waiters = this.waiters.filter(waiter => waiter.time > time);
+
+    due.forEach(waiter => waiter.resolve());
+
+    this.scheduleNext();
+  }
+
+  // Freeze virtual time; nothing wakes until the clock is resumed
+  pause() {
+    if (this.paused || this.stopped) return;
+    this.paused = true;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.pausedDelay = Math.max(0, this.timerDueAt - Date.now());
+    }
+  }
+
+  // Continue from where the clock was paused
+  resume() {
+    if (!this.paused || this.stopped) return;
+    this.paused = false;
+
+    if (this.pausedDelay !== null) {
+      this.startTimer(this.nextTime, this.pausedDelay);
+      this.pausedDelay = null;
+    } else {
+      this.scheduleNext();
+    }
+  }
+
+  // Stop the clock for good (race ended or cleaned up)
+  stop() {
+    this.stopped = true;
+    this.waiters = [];
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  EXECUTION_MODES,
+  VirtualClock
+};